@@ -1,330 +1,3736 @@
 const BrowserZip = (function() {
+  // Середовище виконання: браузер (сторінка або воркер) чи Node.js
+  const isNode = typeof process !== 'undefined' && process.versions != null && process.versions.node != null;
+
+  /**
+   * Повертає кількість доступних логічних ядер процесора.
+   * @returns {number}
+   */
+  function getHardwareConcurrency() {
+    if (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) {
+      return navigator.hardwareConcurrency;
+    }
+    if (isNode && typeof require === 'function') {
+      const os = require('os');
+      return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    }
+    return 2;
+  }
+
+  /**
+   * Створює рушій CRC32: slice-by-16 на таблицях Uint32Array та, якщо доступний WebAssembly, ядро slice-by-8 на WASM.
+   * Використовується і в основному потоці, і у воркерах, тому функція серіалізується через toString()
+   * і не повинна звертатися до змінних поза своїм тілом.
+   * @returns {typeof CRC32} – клас інкрементального обчислення CRC32.
+   */
+  function createCRC32Engine() {
+    const POLYNOMIAL = 0xedb88320;
+    // 16 таблиць по 256 значень: T[k][n] – CRC байта n, за яким іде k нульових байтів
+    const tables = new Uint32Array(16 * 256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? POLYNOMIAL ^ (c >>> 1) : c >>> 1;
+      }
+      tables[n] = c;
+    }
+    for (let n = 0; n < 256; n++) {
+      let c = tables[n];
+      for (let k = 1; k < 16; k++) {
+        c = tables[c & 0xff] ^ (c >>> 8);
+        tables[k * 256 + n] = c;
+      }
+    }
+    const T = Array.from({ length: 16 }, (_, k) => tables.subarray(k * 256, (k + 1) * 256));
+    const [T0, T1, T2, T3, T4, T5, T6, T7, T8, T9, T10, T11, T12, T13, T14, T15] = T;
+
+    // Оновлює внутрішній (інвертований) стан CRC: 16 байтів за ітерацію, залишок – побайтово
+    function updateJS(crc, data) {
+      let i = 0;
+      const end16 = data.length - 15;
+      for (; i < end16; i += 16) {
+        crc ^= data[i] | (data[i + 1] << 8) | (data[i + 2] << 16) | (data[i + 3] << 24);
+        crc = T15[crc & 0xff] ^ T14[(crc >>> 8) & 0xff] ^ T13[(crc >>> 16) & 0xff] ^ T12[crc >>> 24] ^
+          T11[data[i + 4]] ^ T10[data[i + 5]] ^ T9[data[i + 6]] ^ T8[data[i + 7]] ^
+          T7[data[i + 8]] ^ T6[data[i + 9]] ^ T5[data[i + 10]] ^ T4[data[i + 11]] ^
+          T3[data[i + 12]] ^ T2[data[i + 13]] ^ T1[data[i + 14]] ^ T0[data[i + 15]];
+      }
+      for (; i < data.length; i++) {
+        crc = (crc >>> 8) ^ T0[(crc ^ data[i]) & 0xff];
+      }
+      return crc >>> 0;
+    }
+
+    // WASM-ядро: update(crc, ptr, len) -> crc; таблиці T0..T7 – у перших 8 КБ пам'яті, дані – після них.
+    // Скомпільовано з WAT: цикл по 8 байтів (два i32.load) з восьма звертаннями до таблиць,
+    // залишок – побайтовий цикл, як у updateJS.
+    const WASM_BASE64 = 'AGFzbQEAAAABCAFgA39/fwF/AwIBAAUDAQABBxMCBm1lbW9yeQIABnVwZGF0ZQAACusBAegBAQR/IAEgAmohAyABIAJBeHFqIQQCQANAIAEgBE8NASAAIAEoAABzIQUgASgABCEGIAVB/wFxQQJ0KAKAOCAFQQh2Qf8BcUECdCgCgDBzIAVBEHZB/wFxQQJ0KAKAKCAFQRh2QQJ0KAKAIHNzIAZB/wFxQQJ0KAKAGCAGQQh2Qf8BcUECdCgCgBBzIAZBEHZB/wFxQQJ0KAKACCAGQRh2QQJ0KAIAc3NzIQAgAUEIaiEBDAALCwJAA0AgASADTw0BIABBCHYgACABLQAAc0H/AXFBAnQoAgBzIQAgAUEBaiEBDAALCyAACw==';
+    const WASM_TABLES_SIZE = 8 * 1024;
+    const WASM_MAX_CHUNK = 1024 * 1024; // Більші чанки обробляються частинами, щоб не роздувати пам'ять
+    const WASM_MIN_CHUNK = 256; // Для малих чанків копіювання в пам'ять WASM не окупається
+    let wasm = null;
+    try {
+      if (typeof WebAssembly === 'object' && typeof atob === 'function') {
+        const bytes = Uint8Array.from(atob(WASM_BASE64), c => c.charCodeAt(0));
+        const instance = new WebAssembly.Instance(new WebAssembly.Module(bytes));
+        const memory = instance.exports.memory;
+        memory.grow(Math.ceil((WASM_TABLES_SIZE + WASM_MAX_CHUNK) / 65536)); // Одна сторінка вже є
+        new Uint32Array(memory.buffer, 0, 8 * 256).set(tables.subarray(0, 8 * 256));
+        wasm = { update: instance.exports.update, memory };
+      }
+    } catch (e) {
+      wasm = null; // Наприклад, CSP без 'wasm-unsafe-eval' – працюємо на JS
+    }
+
+    function update(crc, data) {
+      if (!wasm || data.length < WASM_MIN_CHUNK) return updateJS(crc, data);
+      for (let offset = 0; offset < data.length; offset += WASM_MAX_CHUNK) {
+        const part = data.subarray(offset, offset + WASM_MAX_CHUNK);
+        new Uint8Array(wasm.memory.buffer, WASM_TABLES_SIZE, part.length).set(part);
+        crc = wasm.update(crc, WASM_TABLES_SIZE, part.length);
+      }
+      return crc >>> 0;
+    }
+
+    // Множення многочленів за модулем полінома CRC (як multmodp у zlib)
+    function multModP(a, b) {
+      let m = 0x80000000;
+      let p = 0;
+      while (true) {
+        if (a & m) {
+          p ^= b;
+          if ((a & (m - 1)) === 0) break;
+        }
+        m >>>= 1;
+        b = b & 1 ? (b >>> 1) ^ POLYNOMIAL : b >>> 1;
+      }
+      return p >>> 0;
+    }
+
+    // x^(2^k) mod P для k = 0..31
+    const x2nTable = new Uint32Array(32);
+    x2nTable[0] = 0x40000000; // x^1
+    for (let k = 1; k < 32; k++) {
+      x2nTable[k] = multModP(x2nTable[k - 1], x2nTable[k - 1]);
+    }
+
+    // x^(n * 2^k) mod P; n може перевищувати 2^32, тому ділимо без побітових операцій
+    function x2nModP(n, k) {
+      let p = 0x80000000; // x^0 == 1
+      while (n > 0) {
+        if (n % 2 === 1) p = multModP(x2nTable[k & 31], p);
+        n = Math.floor(n / 2);
+        k++;
+      }
+      return p;
+    }
+
     /**
-   * Клас WorkerPool – пул воркерів для обчислення CRC32 у потоці.
+     * Інкрементальне обчислення CRC32: update(chunk) для кожного чанку, digest() – результат.
+     */
+    class CRC32 {
+      /**
+       * @param {number} [previous=0] – CRC32 попередніх даних, щоб продовжити обчислення.
+       */
+      constructor(previous = 0) {
+        this._state = (previous ^ 0xffffffff) >>> 0;
+      }
+
+      /**
+       * @param {Uint8Array} chunk – наступна частина даних.
+       * @returns {CRC32} – цей же об'єкт (для ланцюжків викликів).
+       */
+      update(chunk) {
+        this._state = update(this._state, chunk);
+        return this;
+      }
+
+      /**
+       * @returns {number} – CRC32 усіх переданих даних.
+       */
+      digest() {
+        return (this._state ^ 0xffffffff) >>> 0;
+      }
+
+      /**
+       * Обчислює CRC32 послідовності A+B за CRC32 частин, обчислених незалежно (crc32_combine у zlib).
+       * @param {number} crc1 – CRC32 частини A.
+       * @param {number} crc2 – CRC32 частини B.
+       * @param {number} length2 – довжина частини B у байтах.
+       * @returns {number}
+       */
+      static combine(crc1, crc2, length2) {
+        return (multModP(x2nModP(length2, 3), crc1) ^ crc2) >>> 0;
+      }
+
+      /**
+       * Назва активного ядра: 'wasm' або 'js'.
+       */
+      static get kernel() {
+        return wasm ? 'wasm' : 'js';
+      }
+    }
+
+    return CRC32;
+  }
+
+  const CRC32 = createCRC32Engine();
+
+  /**
+   * Створює рушій SHA-256 / SHA-512 для хешування даних, що надходять чанками (crypto.subtle.digest
+   * приймає лише весь вміст одразу). Як і createCRC32Engine, використовується і в основному потоці,
+   * і у воркерах, тому функція серіалізується через toString() і не повинна звертатися до змінних поза своїм тілом.
+   * @returns {typeof SHA2} – клас `new SHA2('SHA-256' | 'SHA-512')` з методами update(data) та digest().
+   */
+  function createSHA2Engine() {
+    const K256 = new Int32Array([
+      0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+      0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+      0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+      0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+      0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+      0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+      0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+      0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]);
+    const H256 = [
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ];
+    // 64-бітні значення SHA-512 – пари (старші 32 біти, молодші 32 біти)
+    const K512 = new Int32Array([
+      0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+      0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019, 0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+      0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+      0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+      0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3, 0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+      0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+      0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+      0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725, 0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+      0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+      0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+      0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001, 0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+      0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+      0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+      0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb, 0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+      0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+      0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+      0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207, 0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+      0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+      0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+      0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a, 0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817
+    ]);
+    const H512 = [
+      0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b, 0x3c6ef372, 0xfe94f82b, 0xa54ff53a, 0x5f1d36f1,
+      0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f, 0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179
+    ];
+    const TWO_POW_32 = 0x100000000;
+
+    class SHA2 {
+      constructor(algorithm) {
+        if (algorithm !== 'SHA-256' && algorithm !== 'SHA-512') {
+          throw new Error(`Непідтримуваний алгоритм хешування "${algorithm}". Має бути 'SHA-256' або 'SHA-512'.`);
+        }
+        this.algorithm = algorithm;
+        this._is512 = algorithm === 'SHA-512';
+        this._blockSize = this._is512 ? 128 : 64;
+        this._h = new Int32Array(this._is512 ? H512 : H256);
+        this._block = new Uint8Array(this._blockSize);
+        this._blockLength = 0;
+        this._length = 0; // Загальна кількість байтів
+        this._w = new Int32Array(this._is512 ? 160 : 64);
+      }
+
+      update(data) {
+        const blockSize = this._blockSize;
+        this._length += data.length;
+        let pos = 0;
+        if (this._blockLength > 0) {
+          const take = Math.min(blockSize - this._blockLength, data.length);
+          this._block.set(data.subarray(0, take), this._blockLength);
+          this._blockLength += take;
+          pos = take;
+          if (this._blockLength < blockSize) return this;
+          this._compress(this._block, 0);
+          this._blockLength = 0;
+        }
+        for (; pos + blockSize <= data.length; pos += blockSize) {
+          this._compress(data, pos);
+        }
+        this._block.set(data.subarray(pos), 0);
+        this._blockLength = data.length - pos;
+        return this;
+      }
+
+      /**
+       * @returns {Uint8Array} – 32 байти для SHA-256 або 64 байти для SHA-512.
+       */
+      digest() {
+        // Доповнення: 0x80, нулі та довжина в бітах (8 байтів для SHA-256, 16 – для SHA-512)
+        const blockSize = this._blockSize;
+        const lengthSize = this._is512 ? 16 : 8;
+        const bitLength = this._length * 8;
+        const padding = new Uint8Array(
+          (this._blockLength < blockSize - lengthSize ? blockSize : 2 * blockSize) - this._blockLength);
+        padding[0] = 0x80;
+        const view = new DataView(padding.buffer);
+        view.setUint32(padding.length - 8, Math.floor(bitLength / TWO_POW_32));
+        view.setUint32(padding.length - 4, bitLength >>> 0);
+        this.update(padding);
+        const result = new Uint8Array(this._h.length * 4);
+        const resultView = new DataView(result.buffer);
+        for (let i = 0; i < this._h.length; i++) resultView.setInt32(i * 4, this._h[i]);
+        return result;
+      }
+
+      _compress(data, offset) {
+        if (this._is512) this._compress512(data, offset);
+        else this._compress256(data, offset);
+      }
+
+      _compress256(data, offset) {
+        const w = this._w;
+        for (let i = 0; i < 16; i++, offset += 4) {
+          w[i] = (data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+          const x = w[i - 15];
+          const y = w[i - 2];
+          const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+          const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+          w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+        const h = this._h;
+        let a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], hh = h[7];
+        for (let i = 0; i < 64; i++) {
+          const sum1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+          const choose = (e & f) ^ (~e & g);
+          const temp1 = (hh + sum1 + choose + K256[i] + w[i]) | 0;
+          const sum0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+          const majority = (a & b) ^ (a & c) ^ (b & c);
+          const temp2 = (sum0 + majority) | 0;
+          hh = g; g = f; f = e; e = (d + temp1) | 0;
+          d = c; c = b; b = a; a = (temp1 + temp2) | 0;
+        }
+        h[0] += a; h[1] += b; h[2] += c; h[3] += d; h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+      }
+
+      // 64-бітна арифметика на парах 32-бітних чисел: молодші частини додаються як беззнакові числа
+      // (сума кількох значень точна в double), а перенос додається до старших частин
+      _compress512(data, offset) {
+        const w = this._w;
+        for (let i = 0; i < 32; i++, offset += 4) {
+          w[i] = (data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3];
+        }
+        for (let i = 32; i < 160; i += 2) {
+          const xh = w[i - 30], xl = w[i - 29]; // w[t - 15]
+          const yh = w[i - 4], yl = w[i - 3]; // w[t - 2]
+          // σ0 = ROTR1 ^ ROTR8 ^ SHR7, σ1 = ROTR19 ^ ROTR61 ^ SHR6
+          const s0h = ((xh >>> 1) | (xl << 31)) ^ ((xh >>> 8) | (xl << 24)) ^ (xh >>> 7);
+          const s0l = ((xl >>> 1) | (xh << 31)) ^ ((xl >>> 8) | (xh << 24)) ^ ((xl >>> 7) | (xh << 25));
+          const s1h = ((yh >>> 19) | (yl << 13)) ^ ((yl >>> 29) | (yh << 3)) ^ (yh >>> 6);
+          const s1l = ((yl >>> 19) | (yh << 13)) ^ ((yh >>> 29) | (yl << 3)) ^ ((yl >>> 6) | (yh << 26));
+          const low = (s0l >>> 0) + (s1l >>> 0) + (w[i - 31] >>> 0) + (w[i - 13] >>> 0);
+          w[i] = (s0h + s1h + w[i - 32] + w[i - 14] + Math.floor(low / TWO_POW_32)) | 0;
+          w[i + 1] = low | 0;
+        }
+        const h = this._h;
+        let ah = h[0], al = h[1], bh = h[2], bl = h[3], ch = h[4], cl = h[5], dh = h[6], dl = h[7];
+        let eh = h[8], el = h[9], fh = h[10], fl = h[11], gh = h[12], gl = h[13], hh = h[14], hl = h[15];
+        for (let i = 0; i < 160; i += 2) {
+          // Σ1 = ROTR14 ^ ROTR18 ^ ROTR41
+          const sum1h = ((eh >>> 14) | (el << 18)) ^ ((eh >>> 18) | (el << 14)) ^ ((el >>> 9) | (eh << 23));
+          const sum1l = ((el >>> 14) | (eh << 18)) ^ ((el >>> 18) | (eh << 14)) ^ ((eh >>> 9) | (el << 23));
+          const chooseH = (eh & fh) ^ (~eh & gh);
+          const chooseL = (el & fl) ^ (~el & gl);
+          const temp1Low = (hl >>> 0) + (sum1l >>> 0) + (chooseL >>> 0) + (K512[i + 1] >>> 0) + (w[i + 1] >>> 0);
+          const temp1h = (hh + sum1h + chooseH + K512[i] + w[i] + Math.floor(temp1Low / TWO_POW_32)) | 0;
+          const temp1l = temp1Low >>> 0;
+          // Σ0 = ROTR28 ^ ROTR34 ^ ROTR39
+          const sum0h = ((ah >>> 28) | (al << 4)) ^ ((al >>> 2) | (ah << 30)) ^ ((al >>> 7) | (ah << 25));
+          const sum0l = ((al >>> 28) | (ah << 4)) ^ ((ah >>> 2) | (al << 30)) ^ ((ah >>> 7) | (al << 25));
+          const majorityH = (ah & bh) ^ (ah & ch) ^ (bh & ch);
+          const majorityL = (al & bl) ^ (al & cl) ^ (bl & cl);
+          const temp2Low = (sum0l >>> 0) + (majorityL >>> 0);
+          const temp2h = (sum0h + majorityH + Math.floor(temp2Low / TWO_POW_32)) | 0;
+          const temp2l = temp2Low >>> 0;
+
+          hh = gh; hl = gl; gh = fh; gl = fl; fh = eh; fl = el;
+          const eLow = (dl >>> 0) + temp1l;
+          eh = (dh + temp1h + Math.floor(eLow / TWO_POW_32)) | 0;
+          el = eLow | 0;
+          dh = ch; dl = cl; ch = bh; cl = bl; bh = ah; bl = al;
+          const aLow = temp1l + temp2l;
+          ah = (temp1h + temp2h + Math.floor(aLow / TWO_POW_32)) | 0;
+          al = aLow | 0;
+        }
+        const state = [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl];
+        for (let i = 0; i < 16; i += 2) {
+          const low = (h[i + 1] >>> 0) + (state[i + 1] >>> 0);
+          h[i] = (h[i] + state[i] + Math.floor(low / TWO_POW_32)) | 0;
+          h[i + 1] = low | 0;
+        }
+      }
+    }
+
+    return SHA2;
+  }
+
+  const SHA2 = createSHA2Engine();
+
+  /**
+   * Обчислює ключовий потік WinZip AES: AES від блоків лічильника firstCounter, firstCounter + 1, ...
+   * Лічильник WinZip – 128-бітне число little-endian, а WebCrypto AES-CTR збільшує лічильник як big-endian,
+   * тому кожен блок шифрується окремим викликом AES-CBC з нульовим IV (перші 16 байтів результату –
+   * AES від блоку лічильника; це найшвидший спосіб з доступних у WebCrypto). Виклики пакету з 1024 блоків
+   * виконуються паралельно. Функція серіалізується в код воркера, тому не звертається до змінних поза своїм тілом.
+   * @param {SubtleCrypto} subtle
+   * @param {CryptoKey} key – ключ AES-CBC.
+   * @param {number} firstCounter – значення лічильника першого блоку.
+   * @param {number} blocks – кількість блоків.
+   * @param {function(number): Promise} [onBatch] – викликається після кожного пакету з кількістю готових блоків.
+   * @returns {Promise<Uint8Array>}
+   */
+  async function generateAESKeystream(subtle, key, firstCounter, blocks, onBatch) {
+    const keystream = new Uint8Array(blocks * 16);
+    const iv = new Uint8Array(16);
+    for (let done = 0; done < blocks;) {
+      const batch = Math.min(1024, blocks - done);
+      const requests = [];
+      for (let i = done; i < done + batch; i++) {
+        // Блок лічильника записується на місце свого ключового потоку: encrypt копіює вхідні дані
+        const counter = keystream.subarray(i * 16, i * 16 + 16);
+        for (let value = firstCounter + i, byte = 0; value > 0; byte++) {
+          counter[byte] = value % 256;
+          value = Math.floor(value / 256);
+        }
+        requests.push(subtle.encrypt({ name: 'AES-CBC', iv }, key, counter));
+      }
+      const encrypted = await Promise.all(requests);
+      encrypted.forEach((block, i) => keystream.set(new Uint8Array(block, 0, 16), (done + i) * 16));
+      done += batch;
+      if (onBatch) await onBatch(done);
+    }
+    return keystream;
+  }
+
+  /**
+   * Код воркера: обчислює CRC32 (і, за запитом, SHA-256 / SHA-512 за той самий прохід) для Blob по чанках.
+   * Функція серіалізується через toString() для Web Worker / worker_threads,
+   * тому не повинна звертатися до змінних поза своїм тілом.
+   * Рушії CRC32 та SHA-2 (createCRC32Engine, createSHA2Engine) додаються до коду воркера як залежності.
+   * Завдання 'aesKeystream' обчислює сегмент ключового потоку WinZip AES (generateAESKeystream – теж залежність).
+   * @param {object} self – глобальний об'єкт воркера (або його замінник для inline-режиму).
+   */
+  function crc32WorkerMain(self) {
+    const CRC32 = createCRC32Engine();
+    const SHA2 = createSHA2Engine();
+
+    const abortedTasks = new Set(); // id завдань, які потрібно перервати
+    let pauseGate = null; // Проміс, що вирішується після 'resume'
+    let resumeWorker = null;
+
+    self.onmessage = async function(e) {
+      if (e.data.type === 'abort') {
+        abortedTasks.add(e.data.id);
+      } else if (e.data.type === 'pause') {
+        if (!pauseGate) pauseGate = new Promise(resolve => { resumeWorker = resolve; });
+      } else if (e.data.type === 'resume') {
+        if (resumeWorker) resumeWorker();
+        pauseGate = resumeWorker = null;
+      } else if (e.data.type === 'calculateCRC32Stream') {
+        const { id, blob, digest } = e.data;
+        const crc = new CRC32();
+        const hash = digest ? new SHA2(digest) : null;
+        try {
+          // Потокове читання: reader повертає Uint8Array-чанки
+          const reader = blob.stream().getReader();
+          let bytesProcessed = 0;
+          let lastYield = Date.now();
+          while (true) {
+            // Чанки Blob у пам'яті читаються мікрозадачами, тому періодично віддаємо керування
+            // циклу подій, щоб обробити повідомлення 'abort' та 'pause'.
+            // Повідомлення про прогрес також слугує сигналом, що воркер не завис (taskTimeout).
+            if (Date.now() - lastYield > 50) {
+              self.postMessage({ type: 'crc32Progress', id, bytesProcessed });
+              await new Promise(resolve => setTimeout(resolve, 0));
+              lastYield = Date.now();
+            }
+            if (pauseGate) await pauseGate;
+            if (abortedTasks.has(id)) {
+              await reader.cancel();
+              const abortError = new Error('CRC32 calculation aborted');
+              abortError.name = 'AbortError';
+              throw abortError;
+            }
+            const { done, value } = await reader.read();
+            if (done) break;
+            crc.update(value);
+            if (hash) hash.update(value);
+            bytesProcessed += value.length;
+          }
+          self.postMessage({ type: 'crc32StreamResult', id, crc32: crc.digest(), digest: hash ? hash.digest() : null });
+        } catch (err) {
+          self.postMessage({
+            type: 'crc32Error',
+            id: e.data.id,
+            error: { message: err.message, name: err.name } // Передаємо об'єкт помилки
+          });
+        } finally {
+          abortedTasks.delete(id);
+        }
+      } else if (e.data.type === 'aesKeystream') {
+        const { id, key, firstCounter, blocks } = e.data;
+        try {
+          if (typeof require === 'function') {
+            // worker_threads (Node.js): AES-ECB модуля crypto шифрує всі блоки лічильника одним викликом
+            const keystream = new Uint8Array(blocks * 16);
+            for (let i = 0; i < blocks; i++) {
+              for (let value = firstCounter + i, byte = i * 16; value > 0; byte++) {
+                keystream[byte] = value % 256;
+                value = Math.floor(value / 256);
+              }
+            }
+            const cipher = require('crypto').createCipheriv(`aes-${key.length * 8}-ecb`, key, null);
+            cipher.setAutoPadding(false);
+            keystream.set(cipher.update(keystream));
+            self.postMessage({ type: 'aesKeystreamResult', id, keystream }, [keystream.buffer]);
+            return;
+          }
+          const subtle = globalThis.crypto && globalThis.crypto.subtle;
+          if (!subtle) throw new Error("Шифрування недоступне: воркер не підтримує WebCrypto (crypto.subtle).");
+          const aesKey = await subtle.importKey('raw', key, 'AES-CBC', false, ['encrypt']);
+          let lastProgress = Date.now();
+          const keystream = await generateAESKeystream(subtle, aesKey, firstCounter, blocks, async (blocksDone) => {
+            // Повідомлення про прогрес – сигнал, що воркер не завис (taskTimeout)
+            if (Date.now() - lastProgress > 50) {
+              self.postMessage({ type: 'crc32Progress', id, bytesProcessed: blocksDone * 16 });
+              lastProgress = Date.now();
+            }
+            if (pauseGate) await pauseGate;
+            if (abortedTasks.has(id)) {
+              const abortError = new Error('AES keystream generation aborted');
+              abortError.name = 'AbortError';
+              throw abortError;
+            }
+          });
+          self.postMessage({ type: 'aesKeystreamResult', id, keystream }, [keystream.buffer]);
+        } catch (err) {
+          self.postMessage({ type: 'aesKeystreamError', id, error: { message: err.message, name: err.name } });
+        } finally {
+          abortedTasks.delete(id);
+        }
+      }
+    };
+  }
+
+  /**
+   * Обгортка над worker_threads (Node.js) з інтерфейсом Web Worker (postMessage / onmessage / onerror).
+   */
+  class NodeThreadWorker {
+    constructor(workerMain, dependencies = []) {
+      const { Worker } = require('worker_threads');
+      const source = `
+        const { parentPort } = require('worker_threads');
+        const self = { postMessage: (data, transfer) => parentPort.postMessage(data, transfer) };
+        parentPort.on('message', (data) => self.onmessage({ data }));
+        ${dependencies.map(String).join('\n')}
+        (${workerMain.toString()})(self);
+      `;
+      this.onmessage = null;
+      this.onerror = null;
+      this._worker = new Worker(source, { eval: true });
+      this._worker.on('message', (data) => {
+        if (this.onmessage) this.onmessage({ data });
+      });
+      this._worker.on('error', (error) => {
+        if (this.onerror) this.onerror(error);
+      });
+      this._worker.on('exit', (code) => {
+        // Неочікуване завершення потоку (наприклад, process.exit у воркері або нестача пам'яті)
+        if (!this._terminated && this.onerror) this.onerror(new Error(`Worker thread exited with code ${code}`));
+      });
+      this._terminated = false;
+      // Вільний воркер не повинен утримувати процес Node.js.
+      // Викликається після on('message'), бо додавання слухача повертає ref.
+      this._worker.unref();
+    }
+
+    postMessage(message) {
+      this._worker.postMessage(message);
+    }
+
+    // Поки воркер виконує завдання, процес має чекати на результат (викликає WorkerPool)
+    ref() {
+      this._worker.ref();
+    }
+
+    unref() {
+      this._worker.unref();
+    }
+
+    terminate() {
+      this._terminated = true;
+      this._worker.terminate();
+    }
+  }
+
+  /**
+   * Виконує код воркера в поточному потоці – запасний варіант для середовищ без воркерів
+   * (наприклад, Service Worker). Читання Blob асинхронне, тож потік не блокується повністю.
+   */
+  class InlineWorker {
+    constructor(workerMain) {
+      this.onmessage = null;
+      this.onerror = null;
+      this._terminated = false;
+      this._scope = {
+        onmessage: null,
+        postMessage: (data) => {
+          if (!this._terminated && this.onmessage) this.onmessage({ data });
+        }
+      };
+      workerMain(this._scope);
+    }
+
+    postMessage(message) {
+      Promise.resolve().then(() => this._scope.onmessage({ data: message }));
+    }
+
+    terminate() {
+      this._terminated = true;
+    }
+  }
+
+  /**
+   * Створює воркер, доступний у поточному середовищі:
+   * Web Worker (браузер, Web Worker), worker_threads (Node.js) або inline-виконання.
+   * @param {function} workerMain – код воркера.
+   * @param {Array<function>} [dependencies] – оголошення функцій, які код воркера викликає за іменем.
+   * @returns {Worker|NodeThreadWorker|InlineWorker}
+   */
+  function createWorker(workerMain, dependencies = []) {
+    if (typeof Worker !== 'undefined' && typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function') {
+      const source = `${dependencies.map(String).join('\n')}\n(${workerMain.toString()})(self);`;
+      const blob = new Blob([source], { type: "application/javascript" });
+      const url = URL.createObjectURL(blob);
+      try {
+        return new Worker(url);
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    }
+    if (isNode && typeof require === 'function') {
+      return new NodeThreadWorker(workerMain, dependencies);
+    }
+    return new InlineWorker(workerMain);
+  }
+
+  /**
+   * Клас WorkerPool – пул воркерів для обчислення CRC32 у потоці та ключового потоку WinZip AES.
+   * Воркери створюються ліниво (за потреби, до numWorkers), аварійно завершені воркери замінюються,
+   * а їхні завдання повторюються (до maxRetries разів) або відхиляються.
    */
   class WorkerPool {
-    constructor(numWorkers) {
+    /**
+     * @param {number} numWorkers – максимальна кількість воркерів.
+     * @param {object} [options]
+     * @param {number} [options.taskTimeout=0] – час (мс) без відповіді від воркера, після якого завдання
+     *   відхиляється з TimeoutError, а воркер замінюється. 0 – без обмеження.
+     * @param {number} [options.maxRetries=1] – скільки разів повторювати завдання після аварії воркера.
+     */
+    constructor(numWorkers, options = {}) {
       this.numWorkers = numWorkers;
+      this.taskTimeout = options.taskTimeout || 0;
+      this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 1;
       this.workers = [];
       this.taskQueue = [];
       this.taskResolvers = new Map();
       this.nextTaskId = 0;
+      this.paused = false;
+      this.refCount = 0; // Кількість екземплярів BrowserZip, що використовують спільний пул
+      this.inlineFallback = false; // true, якщо справжні воркери не запускаються (наприклад, через CSP)
+    }
 
-      // Сценарій воркера: обчислює CRC32 для Blob по чанках.
-      const workerScript = `
-        const crc32Table = (() => {
-          const table = new Array(256);
-          for (let i = 0; i < 256; i++) {
-            let c = i;
-            for (let j = 0; j < 8; j++) {
-              c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
-            }
-            table[i] = c;
-          }
-          return table;
-        })();
-
-        self.onmessage = async function(e) {
-          if (e.data.type === 'calculateCRC32Stream') {
-            const { id, blob, chunkSize = 65536 } = e.data; // Використовуємо переданий chunkSize
-            let crc = 0xffffffff;
-            let offset = 0;
-            try {
-              // Використовуємо вже обчислену таблицю
-              const reader = blob.stream().getReader();
-              while (true) {
-                  const { done, value } = await reader.read();
-                  if (done) break;
-                  const data = value; // value вже є Uint8Array
-                  for (let i = 0; i < data.length; i++) {
-                      crc = (crc >>> 8) ^ crc32Table[(crc ^ data[i]) & 0xff];
-                  }
-                  // Немає потреби відстежувати offset тут, reader робить це
-              }
+    /**
+     * Повертає спільний для всього процесу (сторінки) пул воркерів і збільшує лічильник його користувачів.
+     * @param {number} numWorkers – максимальна кількість воркерів (використовується при першому створенні).
+     * @param {object} [options] – опції WorkerPool (використовуються при першому створенні).
+     * @returns {WorkerPool}
+     */
+    static acquireShared(numWorkers, options) {
+      if (!WorkerPool.sharedPool) {
+        WorkerPool.sharedPool = new WorkerPool(numWorkers, options);
+      }
+      WorkerPool.sharedPool.refCount++;
+      return WorkerPool.sharedPool;
+    }
 
-              // --- ПОКРАЩЕННЯ: Потокове читання замість slice/arrayBuffer ---
-              // Старий код з blob.slice та arrayBuffer був менш ефективним для ReadableStream
-              // const stream = blob.stream();
-              // const reader = stream.getReader();
-              // while (true) {
-              //   const { done, value } = await reader.read();
-              //   if (done) break;
-              //   const data = value; // value є Uint8Array
-              //   for (let i = 0; i < data.length; i++) {
-              //     crc = (crc >>> 8) ^ crc32Table[(crc ^ data[i]) & 0xff];
-              //   }
-              // }
-              // Попередня реалізація з slice була також робочою, але менш ідіоматичною для потоків
-              const result = (crc ^ 0xffffffff) >>> 0;
-              self.postMessage({ type: 'crc32StreamResult', id, crc32: result });
-            } catch (err) {
-              self.postMessage({
-                type: 'crc32Error',
-                id: e.data.id,
-                error: { message: err.message, name: err.name /*, stack: err.stack */ } // Передаємо об'єкт помилки
-              });
-            }
-          }
-        };
-      `;
-      const blob = new Blob([workerScript], { type: "application/javascript" });
-      const url = URL.createObjectURL(blob);
+    /**
+     * Звільняє пул: спільний пул завершується, коли його звільнив останній користувач,
+     * власний пул екземпляра – одразу.
+     */
+    release() {
+      if (this === WorkerPool.sharedPool) {
+        this.refCount = Math.max(0, this.refCount - 1);
+        if (this.refCount > 0) return;
+      }
+      this.terminate();
+    }
 
-      for (let i = 0; i < numWorkers; i++) {
-        const worker = new Worker(url);
-        worker.inUse = false;
-        worker.onmessage = (e) => {
-          const id = e.data.id;
-          if (e.data.type === 'crc32StreamResult') {
-            if (this.taskResolvers.has(id)) {
-              this.taskResolvers.get(id).resolve(e.data.crc32);
-              this.taskResolvers.delete(id);
-            }
-          } else if (e.data.type === 'crc32Error') {
-            if (this.taskResolvers.has(id)) {
-              const errorData = e.data.error || {};
-              const error = new Error(errorData.message || 'CRC32 calculation failed in worker');
-              error.name = errorData.name || 'WorkerError';
-              this.taskResolvers.get(id).reject(error);
-              this.taskResolvers.delete(id);
-            }
-          }
-          // Додати обробку помилок самого воркера ---
-          worker.onerror = (err) => {
-            console.error(`Worker error: ${err.message}`, err);
-            worker.inUse = false; // Позначити як вільний (хоча він може бути несправним)
-            this._processQueue(); // Спробувати запустити інше завдання
-          };
-          worker.onmessageerror = (err) => {
-              console.error("Worker message error:", err);
-              // Помилка серіалізації / десеріалізації
-          };
-          // Позначаємо воркер як вільний та обробляємо наступну задачу з черги
-          worker.inUse = false;
-          this._processQueue();
-        };
-        this.workers.push(worker);
+    /**
+     * Створює новий воркер з обробниками повідомлень та помилок.
+     * @returns {Worker|NodeThreadWorker|InlineWorker}
+     */
+    _spawnWorker() {
+      const worker = this.inlineFallback
+        ? new InlineWorker(crc32WorkerMain)
+        : createWorker(crc32WorkerMain, [createCRC32Engine, createSHA2Engine, generateAESKeystream]);
+      worker.inUse = false;
+      worker.currentTask = null;
+      worker.hasResponded = false;
+      worker.timeoutId = null;
+      // Обробники встановлюються одразу, щоб аварія до першої відповіді не залишила завдання без результату
+      worker.onmessage = (e) => this._handleMessage(worker, e.data);
+      worker.onerror = (event) => {
+        if (event && typeof event.preventDefault === 'function') event.preventDefault();
+        const error = event instanceof Error ? event : new Error(event && event.message || 'Worker crashed');
+        this._handleCrash(worker, error);
+      };
+      worker.onmessageerror = () => {
+        // Помилка серіалізації / десеріалізації відповіді – завдання не можна завершити
+        this._finishTask(worker, (resolver) => resolver.reject(new Error('Не вдалося отримати відповідь воркера.')));
+      };
+      if (this.paused) worker.postMessage({ type: 'pause' });
+      this.workers.push(worker);
+      return worker;
+    }
+
+    _handleMessage(worker, data) {
+      worker.hasResponded = true;
+      if (data.type === 'crc32Progress') {
+        this._armTimeout(worker); // Воркер живий – перезапускаємо таймер очікування
+        const resolver = this.taskResolvers.get(data.id);
+        if (resolver && resolver.onProgress) resolver.onProgress(data.bytesProcessed);
+        return;
+      }
+      if (!worker.currentTask || worker.currentTask.message.id !== data.id) return;
+      if (data.type === 'crc32StreamResult') {
+        this._finishTask(worker, (resolver) => resolver.resolve({ crc32: data.crc32, digest: data.digest }));
+      } else if (data.type === 'aesKeystreamResult') {
+        this._finishTask(worker, (resolver) => resolver.resolve(data.keystream));
+      } else if (data.type === 'crc32Error' || data.type === 'aesKeystreamError') {
+        const errorData = data.error || {};
+        const error = new Error(errorData.message || 'Worker task failed');
+        error.name = errorData.name || 'WorkerError';
+        this._finishTask(worker, (resolver) => resolver.reject(error));
+      }
+    }
+
+    /**
+     * Завершує поточне завдання воркера, звільняє воркер та запускає наступне завдання з черги.
+     * @param {Worker} worker
+     * @param {function} settle – отримує резолвер завдання (якщо завдання ще не скасовано).
+     */
+    _finishTask(worker, settle) {
+      const task = worker.currentTask;
+      clearTimeout(worker.timeoutId);
+      worker.currentTask = null;
+      worker.inUse = false;
+      if (worker.unref) worker.unref();
+      if (task && this.taskResolvers.has(task.message.id)) {
+        const resolver = this.taskResolvers.get(task.message.id);
+        this.taskResolvers.delete(task.message.id);
+        settle(resolver);
+      }
+      this._processQueue();
+    }
+
+    /**
+     * Прибирає несправний воркер. Його завдання повертається в чергу (якщо ще є спроби) або відхиляється.
+     * Замість воркера за потреби буде створено новий.
+     */
+    _handleCrash(worker, error) {
+      console.error(`Worker error: ${error.message}`, error);
+      clearTimeout(worker.timeoutId);
+      worker.terminate();
+      this.workers = this.workers.filter(w => w !== worker);
+      if (!worker.hasResponded && !(worker instanceof InlineWorker)) {
+        // Воркер не відповів жодного разу – ймовірно, середовище не дозволяє їх запускати
+        this.inlineFallback = true;
+      }
+      const task = worker.currentTask;
+      if (task && this.taskResolvers.has(task.message.id)) {
+        if (task.attempts <= this.maxRetries) {
+          this.taskQueue.unshift(task);
+        } else {
+          const resolver = this.taskResolvers.get(task.message.id);
+          this.taskResolvers.delete(task.message.id);
+          resolver.reject(error);
+        }
+      }
+      this._processQueue();
+    }
+
+    _armTimeout(worker) {
+      if (!this.taskTimeout || !worker.currentTask) return;
+      clearTimeout(worker.timeoutId);
+      worker.timeoutId = setTimeout(() => {
+        const task = worker.currentTask;
+        console.error(`Worker did not respond within ${this.taskTimeout} ms.`);
+        worker.terminate();
+        this.workers = this.workers.filter(w => w !== worker);
+        if (task && this.taskResolvers.has(task.message.id)) {
+          const resolver = this.taskResolvers.get(task.message.id);
+          this.taskResolvers.delete(task.message.id);
+          resolver.reject(new DOMException(`Воркер не відповідав понад ${this.taskTimeout} мс.`, 'TimeoutError'));
+        }
+        this._processQueue();
+      }, this.taskTimeout);
+    }
+
+    _processQueue() {
+      while (this.taskQueue.length > 0 && !this.paused) {
+        let freeWorker = this.workers.find(w => !w.inUse);
+        if (!freeWorker) {
+          if (this.workers.length >= this.numWorkers) return;
+          freeWorker = this._spawnWorker(); // Воркери створюються ліниво
+        }
+        const task = this.taskQueue.shift();
+        task.attempts++;
+        freeWorker.inUse = true;
+        freeWorker.currentTask = task;
+        if (freeWorker.ref) freeWorker.ref();
+        try {
+          freeWorker.postMessage(task.message);
+          this._armTimeout(freeWorker);
+        } catch (error) {
+          // Наприклад, дані неможливо передати у воркер
+          this._finishTask(freeWorker, (resolver) => resolver.reject(error));
+          return;
+        }
+      }
+    }
+
+    /**
+     * Запускає обчислення CRC32 для Blob з потоковою обробкою по чанках.
+     * @param {Blob} blob – оброблюваний файл
+     * @param {number} chunkSize – розмір чанку (у байтах)
+     * @param {AbortSignal} [signal] – сигнал скасування: завдання видаляється з черги
+     *   або переривається у воркері, а проміс відхиляється з AbortError.
+     * @param {function(number)} [onProgress] – отримує кількість уже оброблених байтів (приблизно раз на 50 мс).
+     * @returns {Promise<number>} – обчислене значення CRC32
+     */
+    runCRC32Stream(blob, chunkSize, signal, onProgress = null) {
+      return this._runChecksumTask(blob, chunkSize, null, signal, onProgress).then(result => result.crc32);
+    }
+
+    /**
+     * Обчислює CRC32 та хеш SHA-256 / SHA-512 для Blob за один прохід у воркері.
+     * @param {Blob} blob – оброблюваний файл
+     * @param {number} chunkSize – розмір чанку (у байтах)
+     * @param {'SHA-256'|'SHA-512'} algorithm – алгоритм хешування
+     * @param {AbortSignal} [signal] – сигнал скасування (див. runCRC32Stream)
+     * @param {function(number)} [onProgress] – отримує кількість уже оброблених байтів.
+     * @returns {Promise<{crc32: number, digest: Uint8Array}>}
+     */
+    runDigestStream(blob, chunkSize, algorithm, signal, onProgress = null) {
+      return this._runChecksumTask(blob, chunkSize, algorithm, signal, onProgress);
+    }
+
+    /**
+     * Обчислює у воркері сегмент ключового потоку WinZip AES (див. generateAESKeystream).
+     * @param {Uint8Array} key – ключ AES (16 або 32 байти).
+     * @param {number} firstCounter – значення лічильника першого блоку.
+     * @param {number} blocks – кількість блоків.
+     * @param {AbortSignal} [signal] – сигнал скасування (див. runCRC32Stream)
+     * @returns {Promise<Uint8Array>} – blocks * 16 байтів ключового потоку.
+     */
+    runAESKeystream(key, firstCounter, blocks, signal) {
+      return this._runTask({ type: 'aesKeystream', key, firstCounter, blocks }, signal, null);
+    }
+
+    /**
+     * Ставить завдання обчислення контрольних сум у чергу пулу.
+     * @returns {Promise<{crc32: number, digest: Uint8Array|null}>}
+     */
+    _runChecksumTask(blob, chunkSize, digest, signal, onProgress) {
+      return this._runTask({ type: 'calculateCRC32Stream', blob, chunkSize, digest }, signal, onProgress);
+    }
+
+    /**
+     * Ставить завдання в чергу пулу; id завдання додається до повідомлення.
+     * @param {object} message – повідомлення воркеру.
+     * @param {AbortSignal} [signal] – сигнал скасування.
+     * @param {function(number)} [onProgress]
+     * @returns {Promise}
+     */
+    _runTask(message, signal, onProgress) {
+      return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+          reject(createAbortError(signal));
+          return;
+        }
+        const id = this.nextTaskId++;
+        message.id = id;
+        const onAbort = () => this._abortTask(id, createAbortError(signal));
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        const cleanup = () => { if (signal) signal.removeEventListener('abort', onAbort); };
+        this.taskResolvers.set(id, {
+          resolve: (value) => { cleanup(); resolve(value); },
+          reject: (error) => { cleanup(); reject(error); },
+          onProgress
+        });
+        // Додаємо в чергу, _processQueue знайде (або створить) вільного воркера
+        this.taskQueue.push({ message, attempts: 0 });
+        this._processQueue(); // Запустити обробку черги
+      });
+    }
+
+    /**
+     * Обчислює CRC32 великого Blob паралельно: файл ділиться на діапазони (Blob.slice) для кількох воркерів,
+     * а результати об'єднуються через CRC32.combine. Малі файли обробляються одним воркером.
+     * @param {Blob} blob – оброблюваний файл
+     * @param {number} chunkSize – розмір чанку (у байтах)
+     * @param {AbortSignal} [signal] – сигнал скасування
+     * @param {function(number)} [onProgress] – отримує кількість уже оброблених байтів усього файлу.
+     * @param {number} [minPartSize=64 * 1024 * 1024] – мінімальний розмір діапазону для окремого воркера
+     * @returns {Promise<number>} – обчислене значення CRC32
+     */
+    async runCRC32Parallel(blob, chunkSize, signal, onProgress = null, minPartSize = 64 * 1024 * 1024) {
+      const parts = Math.min(this.numWorkers, Math.floor(blob.size / minPartSize));
+      if (parts < 2) return this.runCRC32Stream(blob, chunkSize, signal, onProgress);
+
+      // Помилка в одному діапазоні скасовує решту
+      const partsController = new AbortController();
+      const onAbort = () => partsController.abort(signal.reason);
+      if (signal) {
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+      }
+      const partSize = Math.ceil(blob.size / parts);
+      const ranges = [];
+      for (let start = 0; start < blob.size; start += partSize) {
+        ranges.push({ start, end: Math.min(blob.size, start + partSize) });
+      }
+      // Прогрес усього файлу – сума прогресу діапазонів
+      const processed = ranges.map(() => 0);
+      const reportPart = (i) => onProgress ? (bytes) => {
+        processed[i] = bytes;
+        onProgress(processed.reduce((total, part) => total + part, 0));
+      } : null;
+      try {
+        const crcs = await Promise.all(ranges.map(({ start, end }, i) =>
+          this.runCRC32Stream(blob.slice(start, end), chunkSize, partsController.signal, reportPart(i)).catch((error) => {
+            partsController.abort(error);
+            throw error;
+          })
+        ));
+        return crcs.reduce((crc, partCrc, i) => CRC32.combine(crc, partCrc, ranges[i].end - ranges[i].start));
+      } finally {
+        if (signal) signal.removeEventListener('abort', onAbort);
+      }
+    }
+
+    /**
+     * Скасовує завдання: видаляє його з черги або просить воркер перервати обчислення.
+     * Воркер залишається зайнятим, доки не підтвердить переривання.
+     */
+    _abortTask(id, error) {
+      const resolver = this.taskResolvers.get(id);
+      if (!resolver) return;
+      this.taskResolvers.delete(id);
+      const queueIndex = this.taskQueue.findIndex(task => task.message.id === id);
+      if (queueIndex >= 0) {
+        this.taskQueue.splice(queueIndex, 1);
+      } else {
+        const worker = this.workers.find(w => w.currentTask && w.currentTask.message.id === id);
+        if (worker) worker.postMessage({ type: 'abort', id });
       }
-      URL.revokeObjectURL(url);
+      resolver.reject(error);
+    }
+
+    /**
+     * Призупиняє обчислення: нові завдання не запускаються, а воркери чекають перед наступним чанком.
+     */
+    pause() {
+      if (this.paused) return;
+      this.paused = true;
+      this.workers.forEach(worker => {
+        clearTimeout(worker.timeoutId); // Призупинений воркер не надсилає прогрес – таймаут не діє
+        worker.postMessage({ type: 'pause' });
+      });
+    }
+
+    /**
+     * Відновлює обчислення після pause().
+     */
+    resume() {
+      if (!this.paused) return;
+      this.paused = false;
+      this.workers.forEach(worker => {
+        worker.postMessage({ type: 'resume' });
+        this._armTimeout(worker);
+      });
+      this._processQueue();
+    }
+
+    /**
+     * Завершує всі воркери. Незавершені завдання відхиляються з AbortError.
+     * Після цього пул можна використовувати знову – воркери будуть створені заново.
+     */
+    terminate() {
+      this.workers.forEach(worker => {
+        clearTimeout(worker.timeoutId);
+        worker.terminate();
+      });
+      this.workers = [];
+      this.taskQueue = [];
+      const error = new DOMException("Пул воркерів завершено до виконання завдання.", 'AbortError');
+      const resolvers = Array.from(this.taskResolvers.values());
+      this.taskResolvers.clear();
+      resolvers.forEach(resolver => resolver.reject(error));
+    }
+  }
+  
+  const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+  const CENTRAL_DIR_SIGNATURE = 0x02014b50;
+  const END_OF_CENTRAL_DIR_SIGNATURE = 0x06054b50;
+  const ZIP64_END_OF_CENTRAL_DIR_SIGNATURE = 0x06064b50;
+  const ZIP64_END_OF_CENTRAL_DIR_LOCATOR_SIGNATURE = 0x07064b50;
+  const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+  const SPLIT_ARCHIVE_SIGNATURE = 0x08074b50; // На початку першої частини розділеного архіву
+  const MIN_SPLIT_PART_SIZE = 64 * 1024; // Мінімальний розмір частини за специфікацією PKWARE
+  const ZIP64_END_RECORDS_MAX_SIZE = 56 + 20 + 22; // Zip64 EOCD Record + Zip64 Locator + EOCD
+  const PART_BOUNDARY = Symbol('partBoundary'); // Маркер межі частин у внутрішньому потоці розділеного архіву
+
+  const VERSION_NEEDED_DEFAULT = 0x0014; // 20 = 2.0
+  const VERSION_NEEDED_ZIP64 = 0x002D; // 45 = 4.5
+  const METHOD_STORE = 0x0000;
+  const METHOD_DEFLATE = 0x0008;
+  const METHOD_AES = 0x0063; // 99 – WinZip AES, справжній метод стиснення – у полі 0x9901
+  const FLAG_ENCRYPTED = 0x0001;
+  const FLAG_DATA_DESCRIPTOR = 0x0008;
+  const FLAG_UTF8 = 0x0800;
+  const MSDOS_DIR_ATTR = 0x10;
+  const HOST_SYSTEM_UNIX = 3; // Старший байт "version made by": атрибути у форматі Unix (st_mode)
+  const S_IFREG = 0o100000;
+  const S_IFDIR = 0o040000;
+  const S_IFLNK = 0o120000;
+  const S_IFMT = 0o170000;
+  const UNIX_EXTRA_FIELD_ID = 0x7875; // Info-ZIP New Unix: UID/GID
+
+  const ZIP64_EXTRA_FIELD_ID = 0x0001;
+  const ZIP64_EXTRA_FIELD_SIZE_NO_OFFSET = 16; // 2x 64-bit size
+  const ZIP64_EXTRA_FIELD_SIZE_FULL = 28; // 2x 64-bit size, 1x 64-bit offset, 1x 32-bit disk num
+
+  const COMPRESSION_MODES = ['store', 'deflate', 'auto'];
+
+  const EXTENDED_TIMESTAMP_FIELD_ID = 0x5455; // Info-ZIP "UT": час Unix (секунди, UTC)
+  const NTFS_FIELD_ID = 0x000A; // NTFS: FILETIME (100 нс від 1601-01-01, UTC)
+  const NTFS_TIMES_TAG = 0x0001;
+  const FILETIME_EPOCH_OFFSET_MS = 11644473600000n; // Мілісекунди між 1601-01-01 та 1970-01-01
+
+  const ENCRYPTION_MODES = ['aes256', 'aes128', 'zipcrypto'];
+  const VERSION_NEEDED_AES = 0x0033; // 51 = 5.1
+  const AES_EXTRA_FIELD_ID = 0x9901;
+  const AES_EXTRA_FIELD_SIZE = 7; // Версія(2) + 'AE'(2) + довжина ключа(1) + метод стиснення(2)
+  const AES_VERSION_AE2 = 0x0002; // AE-2: CRC32 не записується, цілісність перевіряє HMAC
+  const AES_KEY_LENGTHS = { aes128: 16, aes256: 32 };
+  const AES_STRENGTHS = { aes128: 0x01, aes256: 0x03 };
+  const AES_PBKDF2_ITERATIONS = 1000;
+  const AES_AUTH_CODE_LENGTH = 10;
+  const AES_BLOCK_SIZE = 16;
+  // Розмір сегменту ключового потоку AES (у блоках), який обчислює одне завдання воркера (1 МБ)
+  const AES_KEYSTREAM_SEGMENT_BLOCKS = 65536;
+  const ZIPCRYPTO_HEADER_LENGTH = 12;
+  // Скільки байтів шифрування додає до даних запису
+  const ENCRYPTION_OVERHEAD = {
+    aes128: AES_KEY_LENGTHS.aes128 / 2 + 2 + AES_AUTH_CODE_LENGTH,
+    aes256: AES_KEY_LENGTHS.aes256 / 2 + 2 + AES_AUTH_CODE_LENGTH,
+    zipcrypto: ZIPCRYPTO_HEADER_LENGTH
+  };
+  // Розширення файлів, які вже стиснуті: у режимі 'auto' вони зберігаються без стиснення
+  const PRECOMPRESSED_EXTENSIONS = new Set([
+    'jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'heic', 'heif',
+    'mp4', 'm4v', 'mov', 'mkv', 'webm', 'avi', 'mp3', 'm4a', 'aac', 'ogg', 'opus', 'flac',
+    'zip', 'gz', 'tgz', 'bz2', 'xz', '7z', 'rar', 'zst', 'br',
+    'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp', 'jar', 'apk', 'epub', 'woff', 'woff2', 'pdf'
+  ]);
+
+  /**
+   * Визначає метод стиснення для запису.
+   * @param {string} mode – 'store', 'deflate' або 'auto'.
+   * @param {string} name – ім'я файлу (для режиму 'auto').
+   * @param {*} content – вміст файлу (для режиму 'auto' враховується MIME-тип Blob).
+   * @returns {number} – METHOD_STORE або METHOD_DEFLATE.
+   */
+  function resolveCompressionMethod(mode, name, content) {
+    if (mode === 'store') return METHOD_STORE;
+    const deflateAvailable = typeof CompressionStream !== 'undefined';
+    if (mode === 'deflate') {
+      if (!deflateAvailable) {
+        throw new Error("Стиснення DEFLATE недоступне: середовище не підтримує CompressionStream.");
+      }
+      return METHOD_DEFLATE;
+    }
+    // mode === 'auto'
+    if (!deflateAvailable) return METHOD_STORE;
+    const extension = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1).toLowerCase() : '';
+    if (PRECOMPRESSED_EXTENSIONS.has(extension)) return METHOD_STORE;
+    const type = content instanceof Blob ? content.type : '';
+    if (/^(image|video|audio)\//.test(type) && !/svg|bmp|wav|tiff/.test(type)) return METHOD_STORE;
+    return METHOD_DEFLATE;
+  }
+
+  /**
+   * Стискає чанки через CompressionStream, беручи наступний вхідний чанк лише тоді, коли споживач чекає
+   * на стиснуті дані, тож пам'ять не залежить від розміру вмісту. pipeThrough тут не підходить:
+   * CompressionStream у Node.js не передає тиск (backpressure) і читає джерело наперед без обмежень.
+   * @param {AsyncIterator<Uint8Array>} chunks – вхідні дані; якщо стиснення перервано, перебір завершується.
+   * @param {'deflate-raw'|'gzip'} format – формат CompressionStream.
+   * @returns {AsyncGenerator<Uint8Array>}
+   */
+  async function* compressChunks(chunks, format) {
+    const { readable, writable } = new CompressionStream(format);
+    const writer = writable.getWriter();
+    const reader = readable.getReader();
+    // Стиснуті дані постійно забираються з компресора в локальну чергу, а наступний вхідний чанк
+    // подається лише тоді, коли черга порожня (споживач забрав усе стиснуте) і компресор прийняв попередній
+    const output = [];
+    let outputDone = false;
+    let outputError = null;
+    let notify = null;
+    const outputReady = () => new Promise(resolve => { notify = resolve; });
+    const wake = () => {
+      if (notify) notify();
+      notify = null;
+    };
+    (async () => {
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          output.push(value);
+          wake();
+        }
+        outputDone = true;
+      } catch (error) {
+        outputError = error;
+      }
+      wake();
+    })();
+
+    let inputDone = false;
+    let pendingWrite = null; // Запис чанку, який компресор ще не прийняв
+    try {
+      while (true) {
+        if (output.length) {
+          yield output.shift();
+        } else if (outputError) {
+          throw outputError;
+        } else if (outputDone) {
+          return;
+        } else if (inputDone) {
+          await outputReady();
+        } else if (pendingWrite) {
+          // Новий чанк не подається, доки компресор не прийме попередній: інакше чанки накопичуються в черзі writable
+          await Promise.race([pendingWrite, outputReady()]);
+        } else {
+          const { done, value } = await chunks.next();
+          if (done) {
+            inputDone = true;
+            writer.close().catch(() => {}); // Помилка стиснення надійде з читання
+          } else {
+            const write = writer.write(value).catch(() => {}).then(() => {
+              if (pendingWrite === write) pendingWrite = null;
+            });
+            pendingWrite = write;
+            await Promise.race([write, outputReady()]);
+          }
+        }
+      }
+    } finally {
+      if (!outputDone) {
+        writer.abort().catch(() => {});
+        reader.cancel().catch(() => {});
+        if (!inputDone && chunks.return) await chunks.return();
+      }
+    }
+  }
+
+  /**
+   * Повертає Uint8Array над тими самими байтами (без копіювання) для ArrayBuffer та будь-якого
+   * подання буфера (TypedArray, DataView).
+   * @param {*} value
+   * @returns {Uint8Array|null} – null, якщо значення не є буфером.
+   */
+  function toUint8Array(value) {
+    if (value instanceof Uint8Array) return value;
+    if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    if (value instanceof ArrayBuffer) return new Uint8Array(value);
+    if (typeof SharedArrayBuffer !== 'undefined' && value instanceof SharedArrayBuffer) return new Uint8Array(value);
+    return null;
+  }
+
+  /**
+   * Чи є вміст потоком, розмір якого невідомий до кінця читання: ReadableStream, Response (fetch)
+   * або async iterable чанків.
+   * @param {*} value
+   * @returns {boolean}
+   */
+  function isStreamSource(value) {
+    if (!value || typeof value !== 'object') return false;
+    if (typeof ReadableStream !== 'undefined' && value instanceof ReadableStream) return true;
+    if (typeof Response !== 'undefined' && value instanceof Response) return true;
+    return typeof value[Symbol.asyncIterator] === 'function';
+  }
+
+  /**
+   * Приводить вміст запису до внутрішнього вигляду: Blob, Uint8Array або потокове джерело.
+   * @param {*} content – вміст із addFile або результат функції-постачальника.
+   * @param {string} name – ім'я запису (для повідомлення про помилку).
+   * @returns {{content: Blob|Uint8Array|ReadableStream|Response|AsyncIterable, size: number|null}} –
+   *   size дорівнює null для потоків.
+   */
+  function normalizeContent(content, name) {
+    if (content instanceof Blob) return { content, size: content.size };
+    if (typeof content === 'string') {
+      const bytes = new TextEncoder().encode(content);
+      return { content: bytes, size: bytes.length };
+    }
+    const bytes = toUint8Array(content);
+    if (bytes) return { content: bytes, size: bytes.length };
+    if (isStreamSource(content)) return { content, size: null };
+    throw new Error(`Непідтримуваний тип контенту для "${name}". Має бути Blob, string, ArrayBuffer, TypedArray, ` +
+      `DataView, ReadableStream, Response, async iterable або функція, що повертає вміст.`);
+  }
+
+  /**
+   * Створює ReadableStream для потокового джерела. Чанки не перетворюються (див. toChunkBytes).
+   * @param {ReadableStream|Response|AsyncIterable} source
+   * @returns {ReadableStream}
+   */
+  function toReadableStream(source) {
+    if (typeof ReadableStream !== 'undefined' && source instanceof ReadableStream) return source;
+    if (typeof Response !== 'undefined' && source instanceof Response) {
+      return source.body || new Blob([]).stream(); // Відповідь без тіла (наприклад, 204) – порожній запис
+    }
+    const iterator = source[Symbol.asyncIterator]();
+    return new ReadableStream({
+      async pull(controller) {
+        const { value, done } = await iterator.next();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      },
+      async cancel(reason) {
+        if (typeof iterator.return === 'function') await iterator.return(reason);
+      }
+    }, { highWaterMark: 0 }); // Наступний чанк запитується лише тоді, коли попередній уже записано
+  }
+
+  /**
+   * Перетворює чанк потокового джерела на Uint8Array (рядки кодуються в UTF-8).
+   * @param {*} chunk
+   * @param {string} name – ім'я запису (для повідомлення про помилку).
+   * @returns {Uint8Array}
+   */
+  function toChunkBytes(chunk, name) {
+    if (typeof chunk === 'string') return new TextEncoder().encode(chunk);
+    const bytes = toUint8Array(chunk);
+    if (!bytes) {
+      throw new Error(`Непідтримуваний чанк у потоці "${name}": очікується Uint8Array, ArrayBuffer, TypedArray або рядок.`);
+    }
+    return bytes;
+  }
+
+  /**
+   * Викликає функцію-постачальника запису й зберігає отриманий вміст у записі на час його запису в архів.
+   * @param {Object} fileRecord – запис із provider.
+   * @param {AbortSignal} signal – сигнал генерації (передається постачальнику, наприклад, для fetch).
+   * @returns {Promise<void>}
+   */
+  async function resolveProvidedContent(fileRecord, signal) {
+    const provided = await abortable(
+      Promise.resolve().then(() => fileRecord.provider({ name: fileRecord.name, signal })), signal);
+    const { content, size } = normalizeContent(provided, fileRecord.name);
+    if (size !== null && fileRecord.expectedSize !== null && size !== fileRecord.expectedSize) {
+      throw new Error(`Розмір вмісту "${fileRecord.name}" (${size} байт) не відповідає опції size (${fileRecord.expectedSize}).`);
+    }
+    fileRecord.content = content;
+    fileRecord.size = size !== null ? size : fileRecord.expectedSize;
+    // Постачальник може щоразу повертати інший вміст, тож CRC32 попередньої генерації не використовується
+    fileRecord.crc32 = content instanceof Uint8Array ? new CRC32().update(content).digest() : null;
+    fileRecord.crc32Promise = null;
+    fileRecord.digest = null;
+    fileRecord.digestPromise = null;
+  }
+
+  /**
+   * Створює помилку скасування для AbortSignal (signal.reason або DOMException з ім'ям AbortError).
+   * @param {AbortSignal} [signal]
+   * @returns {Error}
+   */
+  function createAbortError(signal) {
+    if (signal && signal.reason !== undefined) return signal.reason;
+    return new DOMException("Генерацію ZIP‑архіву скасовано.", 'AbortError');
+  }
+
+  /**
+   * Ключ обробника події: EventTarget розрізняє обробники за типом події та прапорцем capture.
+   * @param {string} type
+   * @param {boolean|object} [options]
+   * @returns {string}
+   */
+  function listenerKey(type, options) {
+    const capture = typeof options === 'boolean' ? options : Boolean(options && options.capture);
+    return `${type}:${capture}`;
+  }
+
+  function throwIfAborted(signal) {
+    if (signal && signal.aborted) throw createAbortError(signal);
+  }
+
+  /**
+   * Очікує на проміс, але відхиляється з AbortError одразу після скасування сигналу.
+   * @param {Promise} promise
+   * @param {AbortSignal} [signal]
+   * @returns {Promise}
+   */
+  function abortable(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(createAbortError(signal));
+        return;
+      }
+      const onAbort = () => reject(createAbortError(signal));
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).then(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  function checkHighWaterMark(highWaterMark) {
+    if (!(Number.isSafeInteger(highWaterMark) && highWaterMark >= 0)) {
+      throw new Error("highWaterMark має бути невід'ємним цілим числом (байти).");
+    }
+  }
+
+  /**
+   * Створює ReadableStream, який бере дані з асинхронного генератора лише на запит споживача (pull),
+   * тож у черзі потоку не більше highWaterMark байтів, а генерація стоїть, поки споживач не читає.
+   * @param {AsyncGenerator<Uint8Array|symbol>} chunks – дані (маркер PART_BOUNDARY має нульовий розмір).
+   * @param {AbortController} abortController – контролер генерації: скасування потоку перериває генерацію,
+   *   а переривання генерації одразу завершує потік з AbortError, навіть якщо споживач зараз не читає.
+   * @param {number} highWaterMark – розмір черги потоку в байтах.
+   * @param {function(Error): void} [onAbort] – отримує помилку скасування.
+   * @returns {ReadableStream}
+   */
+  function createPullStream(chunks, abortController, highWaterMark, onAbort = null) {
+    const signal = abortController.signal;
+    return new ReadableStream({
+      start(controller) {
+        signal.addEventListener('abort', () => {
+          const error = createAbortError(signal);
+          if (onAbort) onAbort(error);
+          controller.error(error);
+          chunks.return().catch(() => {});
+        }, { once: true });
+      },
+
+      async pull(controller) {
+        try {
+          const { done, value } = await chunks.next();
+          if (done) controller.close(); // Завершуємо потік
+          else controller.enqueue(value);
+        } catch (error) {
+          controller.error(error); // Передаємо помилку в потік
+        }
+      },
+
+      cancel(reason) {
+        // Споживач скасував потік (наприклад, перервано pipeTo) – зупиняємо генерацію
+        abortController.abort(reason);
+      }
+    }, {
+      highWaterMark,
+      size: chunk => chunk === PART_BOUNDARY ? 0 : chunk.byteLength
+    });
+  }
+
+  /**
+   * Створює функцію оновлення прогресу генерації: виклик onProgress та подія `progress` з обмеженням
+   * частоти progressInterval (останнє оновлення, final, не пропускається).
+   * @param {BrowserZip} zip – екземпляр, що надсилає подію.
+   * @param {object} options
+   * @param {function|null} options.onProgress – колбек прогресу.
+   * @param {number} options.progressInterval – найменший інтервал (мс) між оновленнями.
+   * @param {number|null} options.archiveSize – точний розмір архіву або null.
+   * @param {bigint} options.totalSize – загальний розмір вмісту файлів (якщо розмір архіву невідомий).
+   * @param {function(): number} options.getBytesWritten – кількість уже виданих байтів архіву.
+   * @returns {function(bigint, Object|null, bigint, bigint|null, boolean=): void} –
+   *   (прочитано вмісту, поточний запис, прочитано запису, розмір запису, final).
+   */
+  function createProgressReporter(zip, { onProgress, progressInterval, archiveSize, totalSize, getBytesWritten }) {
+    const startTime = Date.now();
+    let lastProgressTime = -Infinity; // Час останнього оновлення прогресу (для progressInterval)
+    return (processed, record, fileProcessed, fileTotal, final = false) => {
+      const now = Date.now();
+      if (!final && now - lastProgressTime < progressInterval) return;
+      lastProgressTime = now;
+      const bytesWritten = getBytesWritten();
+      let percent = 0;
+      // Якщо розмір архіву відомий, прогрес рахується за записаними байтами архіву (разом із заголовками),
+      // інакше – за прочитаним вмістом файлів
+      if (final) {
+        percent = 100;
+      } else if (archiveSize !== null) {
+        percent = Math.min(100, bytesWritten * 100 / archiveSize);
+      } else if (totalSize > 0n) { // Запобігання діленню на нуль, якщо загальний розмір 0
+        // Обережно з великими числами при обчисленні відсотка
+        percent = Math.min(100, Number(processed * 10000n / totalSize) / 100);
+      } else if (record) { // Якщо розмір 0, але є файли, показуємо 100% після останнього
+        percent = 100;
+      }
+      const progress = {
+        filename: record ? record.name : null, // Може бути null на початковому етапі
+        fileBytesProcessed: Number(fileProcessed), // Конвертуємо в Number для колбеку
+        fileTotalBytes: fileTotal === null ? null : Number(fileTotal), // null – розмір потоку невідомий
+        bytesWritten, // Записано байтів архіву
+        totalBytes: archiveSize // Розмір архіву або null, якщо його неможливо визначити заздалегідь
+      };
+      if (onProgress) onProgress({ ...progress, overallProgressPercent: Math.round(percent) });
+      // Середня швидкість запису від початку генерації та оцінка часу до завершення
+      const seconds = (now - startTime) / 1000;
+      const bytesPerSecond = seconds > 0 ? bytesWritten / seconds : null;
+      const etaSeconds = archiveSize !== null && bytesPerSecond
+        ? (archiveSize - bytesWritten) / bytesPerSecond
+        : null;
+      zip._dispatch('progress', { ...progress, percent, bytesPerSecond, etaSeconds });
+    };
+  }
+
+  // --- Шифрування записів: WinZip AES (AE-2) та традиційне ZipCrypto ---
+  // Блоковий шифр AES, виведення ключів (PBKDF2) та сіль – лише WebCrypto: реалізація AES на таблицях у JS
+  // не має сталого часу виконання. WebCrypto не вміє обчислювати HMAC по чанках, тому лише HMAC-SHA1 реалізовано тут.
+
+  /**
+   * Інкрементальний SHA-1 (потрібен для HMAC-SHA1 над даними, що надходять чанками).
+   */
+  class SHA1 {
+    constructor() {
+      this._h = new Int32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0]);
+      this._block = new Uint8Array(64);
+      this._blockLength = 0;
+      this._length = 0; // Загальна кількість байтів
+      this._w = new Int32Array(80);
+    }
+
+    update(data) {
+      this._length += data.length;
+      let pos = 0;
+      if (this._blockLength > 0) {
+        const take = Math.min(64 - this._blockLength, data.length);
+        this._block.set(data.subarray(0, take), this._blockLength);
+        this._blockLength += take;
+        pos = take;
+        if (this._blockLength < 64) return this;
+        this._compress(this._block, 0);
+        this._blockLength = 0;
+      }
+      for (; pos + 64 <= data.length; pos += 64) {
+        this._compress(data, pos);
+      }
+      this._block.set(data.subarray(pos), 0);
+      this._blockLength = data.length - pos;
+      return this;
+    }
+
+    digest() {
+      const bitLength = this._length * 8;
+      const padding = new Uint8Array((this._blockLength < 56 ? 64 : 128) - this._blockLength);
+      padding[0] = 0x80;
+      const view = new DataView(padding.buffer);
+      view.setUint32(padding.length - 8, Math.floor(bitLength / 0x100000000));
+      view.setUint32(padding.length - 4, bitLength >>> 0);
+      this.update(padding);
+      const result = new Uint8Array(20);
+      const resultView = new DataView(result.buffer);
+      for (let i = 0; i < 5; i++) resultView.setUint32(i * 4, this._h[i]);
+      return result;
+    }
+
+    _compress(data, offset) {
+      const w = this._w;
+      for (let i = 0; i < 16; i++, offset += 4) {
+        w[i] = (data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3];
+      }
+      for (let i = 16; i < 80; i++) {
+        const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+        w[i] = (x << 1) | (x >>> 31);
+      }
+      const h = this._h;
+      let a = h[0], b = h[1], c = h[2], d = h[3], e = h[4];
+      let i = 0;
+      // Чотири етапи по 20 раундів з різними функціями та константами
+      for (; i < 20; i++) {
+        const temp = (((a << 5) | (a >>> 27)) + ((b & c) | (~b & d)) + e + w[i] + 0x5a827999) | 0;
+        e = d; d = c; c = (b << 30) | (b >>> 2); b = a; a = temp;
+      }
+      for (; i < 40; i++) {
+        const temp = (((a << 5) | (a >>> 27)) + (b ^ c ^ d) + e + w[i] + 0x6ed9eba1) | 0;
+        e = d; d = c; c = (b << 30) | (b >>> 2); b = a; a = temp;
+      }
+      for (; i < 60; i++) {
+        const temp = (((a << 5) | (a >>> 27)) + ((b & c) | (b & d) | (c & d)) + e + w[i] + 0x8f1bbcdc) | 0;
+        e = d; d = c; c = (b << 30) | (b >>> 2); b = a; a = temp;
+      }
+      for (; i < 80; i++) {
+        const temp = (((a << 5) | (a >>> 27)) + (b ^ c ^ d) + e + w[i] + 0xca62c1d6) | 0;
+        e = d; d = c; c = (b << 30) | (b >>> 2); b = a; a = temp;
+      }
+      h[0] += a; h[1] += b; h[2] += c; h[3] += d; h[4] += e;
+    }
+  }
+
+  /**
+   * Інкрементальний HMAC-SHA1 для ключа довжиною до 64 байтів.
+   */
+  class HMACSHA1 {
+    constructor(key) {
+      const innerPad = new Uint8Array(64).fill(0x36);
+      this._outerPad = new Uint8Array(64).fill(0x5c);
+      for (let i = 0; i < key.length; i++) {
+        innerPad[i] ^= key[i];
+        this._outerPad[i] ^= key[i];
+      }
+      this._inner = new SHA1().update(innerPad);
+    }
+
+    update(data) {
+      this._inner.update(data);
+      return this;
+    }
+
+    digest() {
+      return new SHA1().update(this._outerPad).update(this._inner.digest()).digest();
+    }
+  }
+
+  function getWebCrypto() {
+    const webCrypto = globalThis.crypto;
+    if (!webCrypto || !webCrypto.subtle) {
+      throw new Error("Шифрування недоступне: середовище не підтримує WebCrypto (crypto.subtle).");
+    }
+    return webCrypto;
+  }
+
+  /**
+   * Шифрування запису у форматі WinZip AES (AE-2): PBKDF2-HMAC-SHA1 (1000 ітерацій),
+   * AES-CTR з лічильником little-endian від 1 та 10-байтовий код автентифікації HMAC-SHA1 над шифротекстом.
+   * Дані запису: сіль, 2 байти перевірки пароля, шифротекст, код автентифікації.
+   * Ключовий потік обчислюється сегментами у воркерах пулу: наперед замовляється до numWorkers сегментів,
+   * тож воркери шифрують блоки лічильника паралельно, поки основний потік шифрує дані.
+   */
+  class AESEncryptor {
+    /**
+     * @param {string} password – пароль.
+     * @param {'aes128'|'aes256'} mode – довжина ключа.
+     * @param {WorkerPool} workerPool – пул воркерів для ключового потоку.
+     * @param {number|null} [size=null] – розмір шифрованих даних, якщо відомий наперед
+     *   (ключовий потік не обчислюється за межами даних).
+     * @param {AbortSignal} [signal] – сигнал скасування генерації.
+     */
+    constructor(password, mode, workerPool, size = null, signal = null) {
+      this._password = password;
+      this._keyLength = AES_KEY_LENGTHS[mode];
+      this._workerPool = workerPool;
+      this._key = null;
+      this._hmac = null;
+      this._nextCounter = 1; // Лічильник першого блоку наступного сегменту
+      this._remaining = size; // Байти даних, для яких ще не замовлено ключовий потік (null – невідомо)
+      this._segmentBlocks = 0;
+      this._segments = []; // Проміси замовлених сегментів ключового потоку
+      this._keystream = new Uint8Array(0);
+      this._keystreamPos = 0; // Використані байти поточного ключового потоку
+      // Незавершені завдання скасовуються в finish() або разом із генерацією
+      this._controller = new AbortController();
+      this._signal = signal;
+      this._onAbort = () => this._controller.abort(createAbortError(signal));
+      if (signal) signal.addEventListener('abort', this._onAbort, { once: true });
+    }
+
+    /**
+     * Виводить ключі з пароля та повертає префікс даних запису (сіль і значення перевірки пароля).
+     * @returns {Promise<Uint8Array>}
+     */
+    async start() {
+      const webCrypto = getWebCrypto();
+      const saltLength = this._keyLength / 2;
+      const salt = webCrypto.getRandomValues(new Uint8Array(saltLength));
+      const passwordKey = await webCrypto.subtle.importKey(
+        'raw', new TextEncoder().encode(this._password), 'PBKDF2', false, ['deriveBits']);
+      const derived = new Uint8Array(await webCrypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-1', salt, iterations: AES_PBKDF2_ITERATIONS },
+        passwordKey, (this._keyLength * 2 + 2) * 8));
+      // Ключ шифрування (передається воркерам), ключ HMAC, 2 байти перевірки пароля
+      this._key = derived.slice(0, this._keyLength);
+      this._hmac = new HMACSHA1(derived.subarray(this._keyLength, this._keyLength * 2));
+      const prefix = new Uint8Array(saltLength + 2);
+      prefix.set(salt, 0);
+      prefix.set(derived.subarray(this._keyLength * 2), saltLength);
+      return prefix;
+    }
+
+    /**
+     * @param {Uint8Array} chunk – відкриті (за потреби вже стиснуті) дані.
+     * @returns {Promise<Uint8Array>} – шифротекст (новий масив, вхідні дані не змінюються).
+     */
+    async update(chunk) {
+      const output = new Uint8Array(chunk.length);
+      let i = 0;
+      while (i < chunk.length) {
+        if (this._keystreamPos === this._keystream.length) {
+          this._requestSegments(chunk.length - i);
+          this._keystream = await this._segments.shift();
+          this._keystreamPos = 0;
+        }
+        const keystream = this._keystream;
+        let pos = this._keystreamPos;
+        const end = Math.min(chunk.length, i + keystream.length - pos);
+        for (; i < end; i++) output[i] = chunk[i] ^ keystream[pos++];
+        this._keystreamPos = pos;
+      }
+      this._hmac.update(output);
+      // Наступні сегменти обчислюються, поки споживач записує цей чанк
+      this._requestSegments(0);
+      return output;
+    }
+
+    /**
+     * Замовляє сегменти ключового потоку, доки в черзі не буде numWorkers сегментів.
+     * Якщо розмір даних невідомий, розмір сегментів подвоюється (до AES_KEYSTREAM_SEGMENT_BLOCKS),
+     * щоб для малих записів не обчислювати зайвий ключовий потік.
+     * @param {number} needed – байти поточного чанку, для яких ще немає ключового потоку.
+     */
+    _requestSegments(needed) {
+      const depth = Math.max(1, this._workerPool.numWorkers);
+      while (this._segments.length < depth) {
+        const neededBlocks = this._segments.length === 0 ? Math.ceil(needed / AES_BLOCK_SIZE) : 0;
+        let blocks = this._remaining === null
+          ? Math.max(neededBlocks, this._segmentBlocks * 2)
+          : Math.ceil(this._remaining / AES_BLOCK_SIZE) || neededBlocks; // Даних більше, ніж очікувалося
+        blocks = Math.min(AES_KEYSTREAM_SEGMENT_BLOCKS, blocks);
+        if (blocks === 0) return;
+        const segment = this._workerPool.runAESKeystream(this._key, this._nextCounter, blocks, this._controller.signal);
+        segment.catch(() => {}); // Сегмент після скасування вже не потрібен
+        this._segments.push(segment);
+        this._nextCounter += blocks;
+        this._segmentBlocks = blocks;
+        if (this._remaining !== null) this._remaining = Math.max(0, this._remaining - blocks * AES_BLOCK_SIZE);
+      }
+    }
+
+    /**
+     * Скасовує замовлені, але не використані сегменти.
+     * @returns {Uint8Array} – код автентифікації (перші 10 байтів HMAC-SHA1).
+     */
+    finish() {
+      this._controller.abort();
+      if (this._signal) this._signal.removeEventListener('abort', this._onAbort);
+      return this._hmac.digest().subarray(0, AES_AUTH_CODE_LENGTH);
+    }
+  }
+
+  let zipCryptoCRCTable = null;
+
+  /**
+   * Традиційне шифрування PKWARE (ZipCrypto). Криптографічно слабке – лише для сумісності зі старими програмами.
+   * Дані запису: 12-байтовий заголовок шифрування, шифротекст.
+   */
+  class ZipCryptoEncryptor {
+    /**
+     * @param {string} password – пароль.
+     * @param {number} checkByte – останній байт заголовку шифрування: старший байт CRC32,
+     *   або старший байт DOS-часу, якщо CRC записується в Data Descriptor.
+     */
+    constructor(password, checkByte) {
+      if (!zipCryptoCRCTable) {
+        zipCryptoCRCTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+          let c = n;
+          for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+          zipCryptoCRCTable[n] = c;
+        }
+      }
+      this._keys = new Uint32Array([0x12345678, 0x23456789, 0x34567890]);
+      this._checkByte = checkByte;
+      for (const byte of new TextEncoder().encode(password)) this._updateKeys(byte);
+    }
+
+    _updateKeys(byte) {
+      const keys = this._keys;
+      keys[0] = (keys[0] >>> 8) ^ zipCryptoCRCTable[(keys[0] ^ byte) & 0xff];
+      keys[1] = Math.imul(keys[1] + (keys[0] & 0xff), 134775813) + 1;
+      keys[2] = (keys[2] >>> 8) ^ zipCryptoCRCTable[(keys[2] ^ (keys[1] >>> 24)) & 0xff];
+    }
+
+    /**
+     * @returns {Promise<Uint8Array>} – зашифрований 12-байтовий заголовок.
+     */
+    async start() {
+      const header = getWebCrypto().getRandomValues(new Uint8Array(ZIPCRYPTO_HEADER_LENGTH));
+      header[ZIPCRYPTO_HEADER_LENGTH - 1] = this._checkByte;
+      return this.update(header);
+    }
+
+    update(chunk) {
+      const output = new Uint8Array(chunk.length);
+      const keys = this._keys;
+      for (let i = 0; i < chunk.length; i++) {
+        const temp = (keys[2] | 2) & 0xffff;
+        output[i] = chunk[i] ^ ((Math.imul(temp, temp ^ 1) >>> 8) & 0xff);
+        this._updateKeys(chunk[i]);
+      }
+      return output;
+    }
+
+    finish() {
+      return new Uint8Array(0);
+    }
+  }
+
+  /**
+   * Створює шифрувальник для запису відповідно до fileRecord.encryptionMode.
+   * @param {Object} fileRecord – запис файлу (CRC32 для ZipCrypto без Data Descriptor уже має бути відомий).
+   * @param {WorkerPool} workerPool – пул воркерів для ключового потоку AES.
+   * @param {AbortSignal} [signal] – сигнал скасування генерації.
+   * @returns {AESEncryptor|ZipCryptoEncryptor}
+   */
+  function createEncryptor(fileRecord, workerPool, signal) {
+    const { encryptionMode, encryptionPassword } = fileRecord;
+    if (encryptionMode === 'zipcrypto') {
+      const checkByte = fileRecord.usesDataDescriptor ? (fileRecord.dosTime >>> 8) & 0xff : fileRecord.crc32 >>> 24;
+      return new ZipCryptoEncryptor(encryptionPassword, checkByte);
+    }
+    // Без стиснення розмір шифрованих даних дорівнює розміру файлу
+    const size = fileRecord.method === METHOD_STORE ? fileRecord.size : null;
+    return new AESEncryptor(encryptionPassword, encryptionMode, workerPool, size, signal);
+  }
+
+  function isAESEncrypted(fileRecord) {
+    return fileRecord.encryptionMode === 'aes128' || fileRecord.encryptionMode === 'aes256';
+  }
+
+  /**
+   * Загальний прапорець запису (Bit 0: шифрування, Bit 3: data descriptor, Bit 11: UTF-8).
+   * @param {Object} fileRecord – запис файлу.
+   * @returns {number}
+   */
+  function getGeneralPurposeFlags(fileRecord) {
+    let flags = FLAG_UTF8;
+    if (fileRecord.usesDataDescriptor) flags |= FLAG_DATA_DESCRIPTOR;
+    if (fileRecord.encryptionMode) flags |= FLAG_ENCRYPTED;
+    return flags;
+  }
+
+  /**
+   * Створює додаткове поле WinZip AES (0x9901) для локального заголовку та центрального каталогу.
+   * @param {Object} fileRecord – запис файлу; fileRecord.method – справжній метод стиснення.
+   * @returns {Uint8Array}
+   */
+  function createAESExtraField(fileRecord) {
+    const field = new Uint8Array(4 + AES_EXTRA_FIELD_SIZE);
+    const view = new DataView(field.buffer);
+    view.setUint16(0, AES_EXTRA_FIELD_ID, true);
+    view.setUint16(2, AES_EXTRA_FIELD_SIZE, true);
+    view.setUint16(4, AES_VERSION_AE2, true);
+    field[6] = 0x41; // 'A'
+    field[7] = 0x45; // 'E'
+    field[8] = AES_STRENGTHS[fileRecord.encryptionMode];
+    view.setUint16(9, fileRecord.method, true);
+    return field;
+  }
+
+  /**
+   * Чи потрібен запису з Data Descriptor формат Zip64. Рішення приймається до запису даних,
+   * тому для DEFLATE враховується найгірший випадок розміру стиснутих даних (як deflateBound у zlib),
+   * а потік невідомого розміру завжди записується у форматі Zip64.
+   * @param {Object} fileRecord – запис файлу.
+   * @returns {boolean}
+   */
+  function needsZip64DataDescriptor(fileRecord) {
+    const { size, method } = fileRecord;
+    if (size === null) return true;
+    const maxCompressedSize = method === METHOD_DEFLATE
+      ? size + Math.ceil(size / 4096) + Math.ceil(size / 16384) + 64
+      : size;
+    const encryptionOverhead = fileRecord.encryptionMode ? ENCRYPTION_OVERHEAD[fileRecord.encryptionMode] : 0;
+    return size >= 0xFFFFFFFF || maxCompressedSize + encryptionOverhead >= 0xFFFFFFFF;
+  }
+
+  /**
+   * Перевіряє опції генерації, спільні для generateZipStream та getArchiveSize.
+   * @param {string} compression
+   * @param {string|null} encryption
+   * @param {string|null} password
+   */
+  function checkGenerationOptions(compression, encryption, password) {
+    if (!COMPRESSION_MODES.includes(compression)) {
+      throw new Error(`Невідомий метод стиснення "${compression}". Має бути 'store', 'deflate' або 'auto'.`);
+    }
+    if (encryption !== null && !ENCRYPTION_MODES.includes(encryption)) {
+      throw new Error(`Невідомий метод шифрування "${encryption}". Має бути 'aes256', 'aes128' або 'zipcrypto'.`);
+    }
+    if (password !== null && typeof password !== 'string') {
+      throw new Error("Пароль архіву має бути рядком.");
+    }
+  }
+
+  /**
+   * Визначає шифрування запису (encryptionMode, encryptionPassword): пароль і метод запису мають пріоритет
+   * над опціями архіву, директорії не шифруються.
+   * @param {Object} fileRecord
+   * @param {string|null} password – пароль архіву.
+   * @param {string|null} encryption – метод шифрування архіву.
+   */
+  function resolveEntryEncryption(fileRecord, password, encryption) {
+    if (fileRecord.content === null && !fileRecord.provider) {
+      throw new Error(`Потік "${fileRecord.name}" уже прочитано попередньою генерацією. ` +
+        `Для повторної генерації передайте в addFile функцію, що створює потік.`);
+    }
+    const entryPassword = fileRecord.isDirectory ? null : fileRecord.password !== null ? fileRecord.password : password;
+    if (!entryPassword && fileRecord.encryption) {
+      throw new Error(`Для шифрування "${fileRecord.name}" потрібен пароль.`);
+    }
+    fileRecord.encryptionMode = entryPassword ? fileRecord.encryption || encryption || 'aes256' : null;
+    fileRecord.encryptionPassword = entryPassword || null;
+  }
+
+  /**
+   * Визначає розташування запису в архіві: метод стиснення, використання Data Descriptor та його формат.
+   * Рішення не залежать від того, чи вже обчислено CRC32 Blob (наприклад, precomputeChecksums), тож
+   * розмір із getArchiveSize збігається з фактичним.
+   * @param {Object} fileRecord – запис (для функції-постачальника – ще до отримання вмісту).
+   * @param {string} compression – метод стиснення архіву за замовчуванням.
+   * @param {boolean} streaming – однопрохідний режим.
+   */
+  function planEntryLayout(fileRecord, compression, streaming) {
+    fileRecord.method = fileRecord.isDirectory || fileRecord.size === 0
+      ? METHOD_STORE
+      : resolveCompressionMethod(fileRecord.compression || compression, fileRecord.name, fileRecord.content);
+    fileRecord.compressedSize = fileRecord.size;
+    // Вміст потоку чи постачальника відомий лише під час запису, тож CRC32 та розміри записуються
+    // в Data Descriptor після даних. Так само записуються стиснуті записи: стиснутий розмір відомий лише
+    // після стиснення, а буферизація стиснутого вмісту до запису заголовку займала б пам'ять розміром із запис.
+    // У потоковому режимі – ще й Blob без відомого CRC32.
+    const readOnce = Boolean(fileRecord.provider) || isStreamSource(fileRecord.content);
+    fileRecord.usesDataDescriptor = readOnce || (!fileRecord.isDirectory && fileRecord.size > 0 &&
+      (fileRecord.method === METHOD_DEFLATE ||
+        (streaming && fileRecord.content instanceof Blob && !fileRecord.crc32Provided && !isAESEncrypted(fileRecord))));
+    fileRecord.zip64DataDescriptor = fileRecord.usesDataDescriptor && needsZip64DataDescriptor(fileRecord);
+  }
+
+  // Епоха детермінованого архіву за замовчуванням: 1980-01-01 00:00:00 UTC – найменший DOS-час
+  const DEFAULT_DETERMINISTIC_EPOCH = Date.UTC(1980, 0, 1);
+
+  /**
+   * Порівнює імена записів посегментно, тож папка стоїть перед своїм вмістом ("a/" < "a/b" < "a-b"),
+   * а порядок не залежить від локалі.
+   */
+  function compareEntryNames(a, b) {
+    const aSegments = a.split('/');
+    const bSegments = b.split('/');
+    for (let i = 0; i < Math.min(aSegments.length, bSegments.length); i++) {
+      if (aSegments[i] !== bSegments[i]) {
+        // Порожній останній сегмент папки ("a/") стоїть перед її вмістом
+        return aSegments[i] < bSegments[i] ? -1 : 1;
+      }
+    }
+    return aSegments.length - bSegments.length;
+  }
+
+  /**
+   * Готує записи до детермінованої генерації: копії записів у канонічному порядку (compareEntryNames),
+   * в яких час модифікації замінено епохою (DOS-час – у UTC, тож не залежить від часового поясу),
+   * час доступу та створення, uid та gid не записуються, а права Unix зведено до 0o644 / 0o755
+   * (0o777 для символьних посилань). Записи з наявного архіву (fromExisting) не змінюються.
+   * Шифрування несумісне з детермінованим режимом: сіль AES та заголовок ZipCrypto випадкові.
+   * @param {Array<Object>} fileRecords – записи архіву.
+   * @param {Date|number} [epoch] – час для всіх записів (за замовчуванням 1980-01-01 00:00:00 UTC).
+   * @param {string|null} password – пароль архіву за замовчуванням.
+   * @returns {Array<Object>}
+   */
+  function prepareDeterministicRecords(fileRecords, epoch, password) {
+    const lastModified = toDateOption(epoch, 'epoch', 'архіву') || new Date(DEFAULT_DETERMINISTIC_EPOCH);
+    const { dosTime, dosDate } = dateToDos(lastModified, true);
+    return fileRecords
+      .map((fileRecord) => {
+        if (fileRecord.existing) return fileRecord;
+        const entryPassword = fileRecord.password !== null ? fileRecord.password : password;
+        if (!fileRecord.isDirectory && entryPassword) {
+          throw new Error(`Детермінований архів неможливий із шифруванням "${fileRecord.name}": сіль шифрування випадкова.`);
+        }
+        let unixMode = fileRecord.unixMode;
+        if (unixMode !== null) {
+          const type = unixMode & S_IFMT;
+          const executable = type === S_IFDIR || (unixMode & 0o111) !== 0;
+          unixMode = type | (type === S_IFLNK ? 0o777 : executable ? 0o755 : 0o644);
+        }
+        return {
+          ...fileRecord,
+          lastModified,
+          lastAccessed: null,
+          created: null,
+          dosTime,
+          dosDate,
+          uid: null,
+          gid: null,
+          unixMode
+        };
+      })
+      .sort((a, b) => compareEntryNames(a.name, b.name));
+  }
+
+  const DIGEST_ALGORITHMS = ['SHA-256', 'SHA-512'];
+  const MANIFEST_FORMATS = ['json', 'mf'];
+  const DEFAULT_MANIFEST_NAMES = { json: 'MANIFEST.json', mf: 'META-INF/MANIFEST.MF' };
+  const MANIFEST_SIGNATURE_SUFFIX = '.sig'; // Відокремлений підпис маніфесту – окремий запис "<маніфест>.sig"
+  const MANIFEST_LINE_LENGTH = 72; // Найбільша довжина рядка MANIFEST.MF у байтах (специфікація JAR)
+  const HASH_LENGTHS = { 'SHA-1': 20, 'SHA-256': 32, 'SHA-384': 48, 'SHA-512': 64 };
+
+  function bytesToHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  function hexToBase64(hex) {
+    return btoa(String.fromCharCode(...hex.match(/../g).map(pair => parseInt(pair, 16))));
+  }
+
+  function base64ToHex(base64) {
+    return bytesToHex(Uint8Array.from(atob(base64), c => c.charCodeAt(0)));
+  }
+
+  function checkDigestAlgorithm(algorithm) {
+    if (!DIGEST_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Невідомий алгоритм хешування "${algorithm}". Має бути 'SHA-256' або 'SHA-512'.`);
+    }
+  }
+
+  /**
+   * Визначає формат маніфесту: явна опція format, інакше – за розширенням імені (.MF – формат JAR, решта – JSON).
+   */
+  function getManifestFormat(name, format) {
+    const resolved = format || (name && /\.mf$/i.test(name) ? 'mf' : 'json');
+    if (!MANIFEST_FORMATS.includes(resolved)) {
+      throw new Error(`Невідомий формат маніфесту "${resolved}". Має бути 'json' або 'mf'.`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Читає опцію генерації manifest.
+   * @param {boolean|Object} manifest – true або { name, format, signingKey }.
+   * @returns {{name: string, format: string, signingKey: CryptoKey|null}|null}
+   */
+  function readManifestOptions(manifest) {
+    if (!manifest) return null;
+    const options = manifest === true ? {} : manifest;
+    const format = getManifestFormat(options.name, options.format);
+    const normalized = normalizeEntryPath(options.name || DEFAULT_MANIFEST_NAMES[format]);
+    if (normalized.error || normalized.name.endsWith('/')) {
+      throw new Error(`Недопустиме ім'я маніфесту "${options.name}": ${normalized.error || 'ім\'я папки'}.`);
+    }
+    const name = normalized.name;
+    const signingKey = options.signingKey || null;
+    if (signingKey) {
+      if (signingKey.type !== 'private') {
+        throw new Error("Маніфест підписується приватним ключем (CryptoKey з type 'private').");
+      }
+      getSignatureParams(signingKey); // Непідтримуваний алгоритм ключа – помилка до початку генерації
+    }
+    return { name, format, signingKey };
+  }
+
+  /**
+   * Повертає параметри crypto.subtle.sign / verify для ключа ECDSA або RSA. Хеш ECDSA визначається кривою
+   * (P-256 – SHA-256, P-384 – SHA-384, P-521 – SHA-512), хеш RSA задано в самому ключі, а сіль RSA-PSS
+   * дорівнює довжині хешу.
+   * @param {CryptoKey} key
+   * @returns {Object}
+   */
+  function getSignatureParams(key) {
+    const algorithm = key && key.algorithm ? key.algorithm : {};
+    switch (algorithm.name) {
+      case 'ECDSA': {
+        const hash = { 'P-256': 'SHA-256', 'P-384': 'SHA-384', 'P-521': 'SHA-512' }[algorithm.namedCurve];
+        if (hash) return { name: 'ECDSA', hash };
+        break;
+      }
+      case 'RSASSA-PKCS1-v1_5':
+        return { name: algorithm.name };
+      case 'RSA-PSS':
+        return { name: algorithm.name, saltLength: HASH_LENGTHS[algorithm.hash.name] };
+    }
+    throw new Error(`Непідтримуваний ключ підпису маніфесту "${algorithm.name}". Має бути ECDSA, RSASSA-PKCS1-v1_5 або RSA-PSS.`);
+  }
+
+  /**
+   * Розбиває заголовок MANIFEST.MF на рядки до 72 байтів; рядки продовження починаються пробілом.
+   * Багатобайтові символи UTF-8 не розриваються.
+   */
+  function wrapManifestLine(line) {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = '';
+    let length = 0;
+    for (const char of line) {
+      const charLength = encoder.encode(char).byteLength;
+      if (length + charLength > MANIFEST_LINE_LENGTH) {
+        lines.push(current);
+        current = ' ';
+        length = 1;
+      }
+      current += char;
+      length += charLength;
+    }
+    lines.push(current);
+    return lines.join('\r\n');
+  }
+
+  /**
+   * Формує маніфест зі списку записів.
+   * JSON: { version, algorithm, entries: [{ name, size, digest }] } (хеш – hex);
+   * MF: головна секція та секції "Name" з заголовком "<алгоритм>-Digest" (хеш – base64), як у JAR.
+   * @param {Array<{name: string, size: number, digest: string}>} entries – записи в порядку архіву.
+   * @param {string} algorithm – алгоритм хешування.
+   * @param {'json'|'mf'} format
+   * @returns {Uint8Array}
+   */
+  function createManifest(entries, algorithm, format) {
+    if (format === 'json') {
+      const manifest = {
+        version: 1,
+        algorithm,
+        entries: entries.map(({ name, size, digest }) => ({ name, size, digest }))
+      };
+      return new TextEncoder().encode(JSON.stringify(manifest, null, 2) + '\n');
+    }
+    let text = 'Manifest-Version: 1.0\r\nCreated-By: BrowserZip\r\n\r\n';
+    for (const { name, digest } of entries) {
+      text += `${wrapManifestLine(`Name: ${name}`)}\r\n${wrapManifestLine(`${algorithm}-Digest: ${hexToBase64(digest)}`)}\r\n\r\n`;
+    }
+    return new TextEncoder().encode(text);
+  }
+
+  /**
+   * Розбирає маніфест, створений createManifest.
+   * @param {Uint8Array} bytes – вміст маніфесту.
+   * @param {'json'|'mf'} format
+   * @returns {{algorithm: string, digests: Map<string, string>}} – хеші (hex) за іменами записів.
+   */
+  function parseManifest(bytes, format) {
+    const text = new TextDecoder().decode(bytes);
+    const digests = new Map();
+    let algorithm = null;
+    if (format === 'json') {
+      let manifest;
+      try {
+        manifest = JSON.parse(text);
+      } catch (error) {
+        throw new Error(`Пошкоджений маніфест: ${error.message}`);
+      }
+      if (!manifest || !Array.isArray(manifest.entries)) {
+        throw new Error("Пошкоджений маніфест: відсутній список entries.");
+      }
+      algorithm = manifest.algorithm;
+      for (const entry of manifest.entries) digests.set(entry.name, String(entry.digest).toLowerCase());
+    } else {
+      // Рядки продовження (з пробілом на початку) приєднуються до попереднього заголовка
+      const lines = text.split(/\r\n|\r|\n/).reduce((result, line) => {
+        if (line.startsWith(' ') && result.length > 0) result[result.length - 1] += line.slice(1);
+        else result.push(line);
+        return result;
+      }, []);
+      let name = null;
+      for (const line of lines) {
+        if (line === '') {
+          name = null; // Кінець секції
+          continue;
+        }
+        const separator = line.indexOf(': ');
+        if (separator === -1) continue;
+        const header = line.slice(0, separator);
+        const value = line.slice(separator + 2);
+        const digestHeader = /^(SHA-256|SHA-512)-Digest$/i.exec(header);
+        if (header === 'Name') {
+          name = value;
+        } else if (name !== null && digestHeader) {
+          algorithm = digestHeader[1].toUpperCase();
+          digests.set(name, base64ToHex(value));
+        }
+      }
+    }
+    checkDigestAlgorithm(algorithm);
+    return { algorithm, digests };
+  }
+
+  // --- TAR (ustar та PAX, POSIX.1-2001) ---
+  const TAR_BLOCK_SIZE = 512;
+  const TAR_RECORD_SIZE = 20 * TAR_BLOCK_SIZE; // Архів доповнюється нулями до 10240 байтів, як у GNU tar
+  const TAR_END_SIZE = 2 * TAR_BLOCK_SIZE; // Кінець архіву – два нульові блоки
+  const TAR_TYPE_FILE = '0';
+  const TAR_TYPE_SYMLINK = '2';
+  const TAR_TYPE_DIRECTORY = '5';
+  const TAR_TYPE_PAX = 'x'; // Розширений заголовок PAX для наступного запису
+  const TAR_MAX_SIZE = 0o77777777777; // Найбільше значення 12-байтового вісімкового поля (size, mtime): 8 ГБ − 1
+  const TAR_MAX_ID = 0o7777777; // Найбільше значення 8-байтового вісімкового поля (uid, gid)
+  const TAR_NAME_LENGTH = 100;
+  const TAR_PREFIX_LENGTH = 155;
+
+  function writeTarOctal(header, offset, length, value) {
+    // length − 1 вісімкових цифр і завершальний NUL
+    const digits = value.toString(8).padStart(length - 1, '0');
+    for (let i = 0; i < digits.length; i++) header[offset + i] = digits.charCodeAt(i);
+  }
+
+  /**
+   * Формує 512-байтовий заголовок ustar.
+   * @param {object} fields – { name, prefix, linkname } (Uint8Array), { mode, uid, gid, size, mtime } (числа), type.
+   * @returns {Uint8Array}
+   */
+  function createUstarHeader({ name, prefix = null, linkname = null, mode, uid, gid, size, mtime, type }) {
+    const header = new Uint8Array(TAR_BLOCK_SIZE);
+    const encoder = new TextEncoder();
+    header.set(name, 0);
+    writeTarOctal(header, 100, 8, mode);
+    writeTarOctal(header, 108, 8, uid);
+    writeTarOctal(header, 116, 8, gid);
+    writeTarOctal(header, 124, 12, size);
+    writeTarOctal(header, 136, 12, mtime);
+    header[156] = type.charCodeAt(0);
+    if (linkname) header.set(linkname, 157);
+    header.set(encoder.encode('ustar\0'), 257); // magic
+    header.set(encoder.encode('00'), 263); // version
+    if (prefix) header.set(prefix, 345);
+    // Контрольна сума – сума всіх байтів заголовку, в якій поле chksum заповнене пробілами
+    header.fill(0x20, 148, 156);
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    writeTarOctal(header, 148, 7, checksum);
+    header[155] = 0x20; // 6 цифр, NUL, пробіл
+    return header;
+  }
+
+  /**
+   * Розділяє ім'я на поля prefix і name заголовку ustar по '/' (prefix до 155 байтів, name до 100).
+   * @param {Uint8Array} encodedName
+   * @returns {{name: Uint8Array, prefix: Uint8Array|null}|null} – null, якщо ім'я не вміщується.
+   */
+  function splitUstarName(encodedName) {
+    if (encodedName.length <= TAR_NAME_LENGTH) return { name: encodedName, prefix: null };
+    // Слеш у кінці імені папки належить полю name
+    for (let i = encodedName.length - 2; i > 0; i--) {
+      if (encodedName[i] !== 0x2F) continue;
+      if (encodedName.length - i - 1 > TAR_NAME_LENGTH) break; // Далі name лише довшає
+      if (i <= TAR_PREFIX_LENGTH) return { name: encodedName.subarray(i + 1), prefix: encodedName.subarray(0, i) };
+    }
+    return null;
+  }
+
+  /**
+   * Формує запис розширеного заголовку PAX: "<довжина> <ключ>=<значення>\n", де довжина (у байтах UTF-8)
+   * враховує і власні цифри.
+   */
+  function createPaxRecord(key, value) {
+    const body = new TextEncoder().encode(` ${key}=${value}\n`);
+    let length = body.length + 1;
+    while (String(length).length + body.length !== length) length = String(length).length + body.length;
+    return concatBytes([new TextEncoder().encode(String(length)), body]);
+  }
+
+  function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      result.set(part, offset);
+      offset += part.length;
+    }
+    return result;
+  }
+
+  function tarPadding(size) {
+    return (TAR_BLOCK_SIZE - size % TAR_BLOCK_SIZE) % TAR_BLOCK_SIZE;
+  }
+
+  /**
+   * Формує заголовки запису TAR: ustar, а перед ним – розширений заголовок PAX, якщо ім'я чи ціль
+   * посилання не ASCII або не вміщуються в поля ustar, розмір файлу від 8 ГБ, час поза межами поля
+   * або uid/gid більші за 0o7777777. Поля ustar таких записів містять ASCII-наближення (для старих програм).
+   * @param {Object} fileRecord – запис файлу.
+   * @returns {Uint8Array} – заголовки (кратні 512 байтам).
+   */
+  function createTarEntryHeader(fileRecord) {
+    const encoder = new TextEncoder();
+    const type = fileRecord.isDirectory ? TAR_TYPE_DIRECTORY : fileRecord.isSymlink ? TAR_TYPE_SYMLINK : TAR_TYPE_FILE;
+    const size = type === TAR_TYPE_FILE ? fileRecord.size : 0; // Ціль посилання записується в linkname
+    const mode = fileRecord.unixMode !== null
+      ? fileRecord.unixMode & 0o7777
+      : (type === TAR_TYPE_DIRECTORY ? 0o755 : type === TAR_TYPE_SYMLINK ? 0o777 : 0o644);
+    const mtime = Math.floor(fileRecord.lastModified.getTime() / 1000);
+    const uid = fileRecord.uid !== null ? fileRecord.uid : 0;
+    const gid = fileRecord.gid !== null ? fileRecord.gid : 0;
+    const isAscii = text => /^[\x20-\x7e]*$/.test(text);
+    const toAscii = text => encoder.encode(text.replace(/[^\x20-\x7e]/g, '_'));
+
+    const pax = [];
+    const split = isAscii(fileRecord.name) ? splitUstarName(fileRecord.encodedName) : null;
+    if (!split) pax.push(createPaxRecord('path', fileRecord.name));
+    let linkname = null;
+    if (type === TAR_TYPE_SYMLINK) {
+      const target = new TextDecoder().decode(fileRecord.content);
+      linkname = toAscii(target).subarray(0, TAR_NAME_LENGTH);
+      if (!isAscii(target) || fileRecord.content.length > TAR_NAME_LENGTH) pax.push(createPaxRecord('linkpath', target));
+    }
+    if (size > TAR_MAX_SIZE) pax.push(createPaxRecord('size', size));
+    if (mtime < 0 || mtime > TAR_MAX_SIZE) pax.push(createPaxRecord('mtime', mtime));
+    if (uid > TAR_MAX_ID) pax.push(createPaxRecord('uid', uid));
+    if (gid > TAR_MAX_ID) pax.push(createPaxRecord('gid', gid));
+
+    // Ім'я ustar для запису з PAX path – останні 100 байтів ASCII-наближення
+    const fallbackName = toAscii(fileRecord.name).slice(-TAR_NAME_LENGTH);
+    const header = createUstarHeader({
+      name: split ? split.name : fallbackName,
+      prefix: split ? split.prefix : null,
+      linkname,
+      mode,
+      uid: Math.min(uid, TAR_MAX_ID),
+      gid: Math.min(gid, TAR_MAX_ID),
+      size: size > TAR_MAX_SIZE ? 0 : size,
+      mtime: Math.min(Math.max(mtime, 0), TAR_MAX_SIZE),
+      type
+    });
+    if (pax.length === 0) return header;
+    const paxData = concatBytes(pax);
+    const paxHeader = createUstarHeader({
+      name: concatBytes([encoder.encode('PaxHeaders/'), fallbackName]).subarray(0, TAR_NAME_LENGTH),
+      mode: 0o644,
+      uid: 0,
+      gid: 0,
+      size: paxData.length,
+      mtime: Math.min(Math.max(mtime, 0), TAR_MAX_SIZE),
+      type: TAR_TYPE_PAX
+    });
+    return concatBytes([paxHeader, paxData, new Uint8Array(tarPadding(paxData.length)), header]);
+  }
+
+  // Функція для конвертації JS Date в MS-DOS time/date format (utc – брати компоненти часу в UTC)
+  function dateToDos(jsDate, utc = false) {
+      const date = utc ? jsDate.getUTCDate() : jsDate.getDate();
+      const month = (utc ? jsDate.getUTCMonth() : jsDate.getMonth()) + 1;
+      const year = utc ? jsDate.getUTCFullYear() : jsDate.getFullYear();
+      const hours = utc ? jsDate.getUTCHours() : jsDate.getHours();
+      const minutes = utc ? jsDate.getUTCMinutes() : jsDate.getMinutes();
+      const seconds = Math.floor((utc ? jsDate.getUTCSeconds() : jsDate.getSeconds()) / 2); // DOS time resolution is 2 seconds
+
+      if (year < 1980) { // ZIP format doesn't support years before 1980
+          return { dosTime: 0, dosDate: (1 << 5) | 1 }; // January 1st 1980
+      }
+      if (year > 2107) { // 7 біт для року: після 2107 значення переповнилося б
+          return { dosTime: (23 << 11) | (59 << 5) | 29, dosDate: (127 << 9) | (12 << 5) | 31 }; // 2107-12-31 23:59:58
+      }
+
+      const dosTime = (hours << 11) | (minutes << 5) | seconds;
+      const dosDate = ((year - 1980) << 9) | (month << 5) | date;
+
+      return { dosTime, dosDate };
+  }
+
+  // Функція для конвертації MS-DOS time/date format в JS Date (локальний час)
+  function dosToDate(dosTime, dosDate) {
+      return new Date(
+          ((dosDate >> 9) & 0x7f) + 1980,
+          ((dosDate >> 5) & 0x0f) - 1,
+          dosDate & 0x1f,
+          (dosTime >> 11) & 0x1f,
+          (dosTime >> 5) & 0x3f,
+          (dosTime & 0x1f) * 2
+      );
+  }
+
+  /**
+   * Перетворює опцію дати (Date або мілісекунди з 1970-01-01) на Date.
+   * @param {Date|number|undefined|null} value
+   * @param {string} optionName – назва опції (для повідомлення про помилку).
+   * @param {string} name – ім'я запису (для повідомлення про помилку).
+   * @returns {Date|null} – null, якщо значення не вказано.
+   */
+  function toDateOption(value, optionName, name) {
+    if (value === undefined || value === null) return null;
+    const date = value instanceof Date ? value : typeof value === 'number' ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+      throw new Error(`Некоректне значення ${optionName} для "${name}": очікується Date або кількість мілісекунд.`);
+    }
+    return date;
+  }
+
+  /**
+   * Перевіряє Unix-опції запису: права доступу (mode), uid та gid.
+   * @param {object} options – опції addFile, addFolder або addSymlink.
+   * @param {string} name – ім'я запису (для повідомлення про помилку).
+   * @returns {{mode: number|null, uid: number|null, gid: number|null}}
+   */
+  function readUnixOptions(options, name) {
+    const present = (value) => value !== undefined && value !== null;
+    const { mode, uid, gid } = options;
+    if (present(mode) && !(Number.isInteger(mode) && mode >= 0 && mode <= 0o7777)) {
+      throw new Error(`Некоректне значення mode для "${name}": очікуються права доступу від 0 до 0o7777 (наприклад, 0o755).`);
+    }
+    if (present(uid) !== present(gid)) {
+      throw new Error(`Для "${name}" uid та gid мають вказуватися разом.`);
+    }
+    for (const [optionName, value] of [['uid', uid], ['gid', gid]]) {
+      if (present(value) && !(Number.isInteger(value) && value >= 0 && value <= 0xFFFFFFFF)) {
+        throw new Error(`Некоректне значення ${optionName} для "${name}": має бути ціле число від 0 до 0xFFFFFFFF.`);
+      }
+    }
+    return { mode: present(mode) ? mode : null, uid: present(uid) ? uid : null, gid: present(gid) ? gid : null };
+  }
+
+  /**
+   * Створює додаткове поле Info-ZIP New Unix (0x7875) з UID та GID.
+   * У центральному каталозі поле не містить даних (як у Info-ZIP).
+   * @param {Object} fileRecord – запис з uid та gid.
+   * @param {boolean} isLocal – для локального заголовку (true) чи центрального каталогу (false).
+   * @returns {Uint8Array}
+   */
+  function createUnixExtraField(fileRecord, isLocal) {
+    const dataSize = isLocal ? 1 + 1 + 4 + 1 + 4 : 0; // Версія + UIDSize + UID + GIDSize + GID
+    const field = new Uint8Array(4 + dataSize);
+    const view = new DataView(field.buffer);
+    view.setUint16(0, UNIX_EXTRA_FIELD_ID, true);
+    view.setUint16(2, dataSize, true);
+    if (isLocal) {
+      view.setUint8(4, 1); // Версія поля
+      view.setUint8(5, 4);
+      view.setUint32(6, fileRecord.uid, true);
+      view.setUint8(10, 4);
+      view.setUint32(11, fileRecord.gid, true);
+    }
+    return field;
+  }
+
+  /**
+   * Нормалізує ім'я запису: '\' → '/', Unicode NFC, без сегментів '.' та порожніх сегментів.
+   * Імена з '..', абсолютні шляхи (зокрема 'C:\…' та '//server/…') та імена із символом NUL відхиляються,
+   * щоб під час розпакування файли не потрапили за межі цільової папки (zip-slip).
+   * @param {string} name – ім'я запису; '/' у кінці позначає папку й зберігається.
+   * @returns {{name: string}|{error: string}}
+   */
+  function normalizeEntryPath(name) {
+    if (typeof name !== 'string') return { error: "ім'я має бути рядком" };
+    if (name.includes('\0')) return { error: "містить символ NUL" };
+    const path = name.normalize('NFC').replace(/\\/g, '/');
+    if (path.startsWith('/') || /^[a-zA-Z]:/.test(path)) return { error: "абсолютний шлях" };
+    const segments = path.split('/').filter(segment => segment !== '' && segment !== '.');
+    if (segments.includes('..')) return { error: "містить сегмент '..'" };
+    if (segments.length === 0) return { error: "порожнє ім'я" };
+    return { name: segments.join('/') + (path.endsWith('/') ? '/' : '') };
+  }
+
+  /**
+   * Повертає імена батьківських папок запису (від кореня), наприклад 'a/b/c.txt' → ['a/', 'a/b/'].
+   * @param {string} name – нормалізоване ім'я запису.
+   * @returns {Array<string>}
+   */
+  function getParentFolderNames(name) {
+    const segments = name.replace(/\/$/, '').split('/');
+    const parents = [];
+    for (let i = 1; i < segments.length; i++) {
+      parents.push(segments.slice(0, i).join('/') + '/');
+    }
+    return parents;
+  }
+
+  /**
+   * Створює запис папки.
+   * @param {string} folderName – нормалізоване ім'я папки з '/' у кінці.
+   * @param {object} [options] – опції addFolder (lastModified, lastAccessed, created, mode, uid, gid).
+   * @returns {Object}
+   */
+  function createFolderRecord(folderName, options = {}) {
+    const unixOptions = readUnixOptions(options, folderName);
+    // Обробка lastModified
+    const lastModified = toDateOption(options.lastModified, 'lastModified', folderName) || new Date();
+    const dosDateTime = dateToDos(lastModified);
+
+    const utf8Encoder = new TextEncoder();
+    const encodedName = utf8Encoder.encode(folderName);
+    // Директорія не має вмісту, розмір = 0, CRC = 0.
+    return {
+      name: folderName,
+      encodedName,
+      content: new Uint8Array(0), // Немає контенту
+      crc32: 0,                  // CRC32 = 0 для директорії
+      size: 0,                   // Розмір = 0 для директорії
+      compression: 'store',
+      method: METHOD_STORE,
+      compressedSize: 0,
+      usesDataDescriptor: false,
+      isDirectory: true,
+      isSymlink: false,
+      unixMode: unixOptions.mode !== null ? S_IFDIR | unixOptions.mode : null,
+      uid: unixOptions.uid,
+      gid: unixOptions.gid,
+      lastModified,
+      lastAccessed: toDateOption(options.lastAccessed, 'lastAccessed', folderName),
+      created: toDateOption(options.created, 'created', folderName),
+      dosTime: dosDateTime.dosTime,
+      dosDate: dosDateTime.dosDate,
+      diskNumber: 0, // Частина розділеного архіву з локальним заголовком (встановлюється під час генерації)
+      localHeaderOffset: -1 // Буде встановлено під час генерації
+    };
+  }
+
+  /**
+   * Повертає відкриту інформацію про запис, що додається до архіву.
+   * @param {Object} fileRecord – внутрішній запис файлу.
+   * @returns {{name: string, size: number|null, lastModified: Date, isDirectory: boolean, isSymlink: boolean, mode: number|null}}
+   */
+  function describeEntry(fileRecord) {
+    return {
+      name: fileRecord.name,
+      size: fileRecord.size,
+      lastModified: new Date(fileRecord.lastModified),
+      isDirectory: fileRecord.isDirectory,
+      isSymlink: fileRecord.isSymlink,
+      mode: fileRecord.unixMode !== null ? fileRecord.unixMode & 0o7777 : null
+    };
+  }
+
+  /**
+   * Перетворює glob-шаблон на RegExp для відносного шляху ('/' – роздільник).
+   * Підтримуються '*' (будь-які символи в межах сегмента), '?' (один символ), '**' (будь-яка кількість
+   * сегментів) та '{a,b}' (альтернативи). Шаблон без '/' порівнюється з іменем файлу на будь-якій глибині.
+   * @param {string} pattern – наприклад, '*.log', 'node_modules', 'src/**' або 'docs/*.{md,txt}'.
+   * @returns {RegExp}
+   */
+  function globToRegExp(pattern) {
+    if (typeof pattern !== 'string' || pattern === '') {
+      throw new Error(`Некоректний glob-шаблон "${pattern}": має бути непорожнім рядком.`);
+    }
+    let glob = pattern.normalize('NFC').replace(/\\/g, '/').replace(/^\.?\//, '');
+    if (!glob.replace(/\/$/, '').includes('/')) glob = '**/' + glob;
+    let source = '';
+    let braceDepth = 0;
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+      if (char === '*' && glob[i + 1] === '*') {
+        const atSegmentStart = i === 0 || glob[i - 1] === '/';
+        if (atSegmentStart && glob[i + 2] === '/') {
+          source += '(?:[^/]+/)*'; // '**/' – нуль або більше папок
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '{') {
+        braceDepth++;
+        source += '(?:';
+      } else if (char === '}' && braceDepth > 0) {
+        braceDepth--;
+        source += ')';
+      } else if (char === ',' && braceDepth > 0) {
+        source += '|';
+      } else {
+        source += char.replace(/[.+^$()|[\]{}\\]/g, '\\$&');
+      }
+    }
+    if (braceDepth > 0) throw new Error(`Некоректний glob-шаблон "${pattern}": незакрита '{'.`);
+    // Шаблон, що відповідає папці, відповідає й усьому її вмісту
+    return new RegExp(`^${source.replace(/\/$/, '')}(?:/.*)?$`);
+  }
+
+  /**
+   * Створює предикат відбору для addDirectory.
+   * Шаблони include застосовуються лише до файлів; exclude – і до папок (папка пропускається разом із вмістом).
+   * @param {Function|string|Array<string>|{include?: string|Array<string>, exclude?: string|Array<string>}} [filter]
+   * @returns {function(string, boolean): boolean} – (відносний шлях, чи це папка) → чи включати.
+   */
+  function createPathFilter(filter) {
+    if (filter === undefined || filter === null) return () => true;
+    if (typeof filter === 'function') {
+      return (path, isDirectory) => Boolean(filter(path, { kind: isDirectory ? 'directory' : 'file' }));
+    }
+    const toPatterns = (value) => (value === undefined || value === null ? [] : [].concat(value)).map(globToRegExp);
+    const isPatternList = typeof filter === 'string' || Array.isArray(filter);
+    const include = toPatterns(isPatternList ? filter : filter.include);
+    const exclude = toPatterns(isPatternList ? null : filter.exclude);
+    return (path, isDirectory) => {
+      if (exclude.some(pattern => pattern.test(path))) return false;
+      return isDirectory || include.length === 0 || include.some(pattern => pattern.test(path));
+    };
+  }
+
+  /**
+   * Визначає корені джерела addDirectory. Виконується синхронно: DataTransferItem
+   * доступні лише до завершення обробника події drop, тому webkitGetAsEntry викликається одразу.
+   * @param {FileList|Array<File>|DataTransfer|DataTransferItemList|Array<DataTransferItem>|DataTransferItem|
+   *   FileSystemEntry|FileSystemHandle} source
+   * @returns {Array<{file: File}|{entry: FileSystemEntry}|{handle: FileSystemHandle}>}
+   */
+  function resolveDirectorySources(source) {
+    if (!source || typeof source !== 'object') {
+      throw new Error("addDirectory очікує FileList, DataTransferItem або FileSystemDirectoryHandle.");
+    }
+    if (source instanceof Blob) return [{ file: source }];
+    if (typeof source.kind === 'string' && (typeof source.getFile === 'function' || typeof source.values === 'function')) {
+      return [{ handle: source }]; // FileSystemFileHandle або FileSystemDirectoryHandle
+    }
+    if (typeof source.isFile === 'boolean' && typeof source.isDirectory === 'boolean') {
+      return [{ entry: source }]; // FileSystemEntry (наприклад, з webkitGetAsEntry)
+    }
+    if (typeof source.webkitGetAsEntry === 'function' || typeof source.getAsFile === 'function') {
+      if (source.kind !== 'file') return []; // Рядкові елементи (текст, URL) пропускаються
+      const entry = typeof source.webkitGetAsEntry === 'function' ? source.webkitGetAsEntry() : null;
+      if (entry) return [{ entry }];
+      const file = source.getAsFile();
+      return file ? [{ file }] : [];
+    }
+    if (source.items && typeof source.items === 'object' && typeof source.getData === 'function') {
+      return resolveDirectorySources(source.items); // DataTransfer
+    }
+    if (typeof source.length === 'number' || typeof source[Symbol.iterator] === 'function') {
+      const roots = [];
+      for (const item of Array.from(source)) roots.push(...resolveDirectorySources(item));
+      return roots;
+    }
+    throw new Error("addDirectory очікує FileList, DataTransferItem або FileSystemDirectoryHandle.");
+  }
+
+  /**
+   * Обходить дерево джерела addDirectory в глибину (вміст кожної папки – за іменем).
+   * @param {Array<{file: File}|{entry: FileSystemEntry}|{handle: FileSystemHandle}>} roots
+   * @param {function(string, boolean): boolean} matches – предикат відбору (див. createPathFilter).
+   * @returns {AsyncGenerator<{kind: 'file'|'directory', path: string, file?: File}>} – path включає
+   *   ім'я вибраної папки; для папок закінчується на '/'.
+   */
+  async function* walkDirectorySources(roots, matches) {
+    const byName = (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+    const join = (parent, name) => (parent ? `${parent}/${name}` : name);
+
+    // relative – шлях усередині вибраної папки, з яким порівнюються шаблони ('' – сама папка)
+    async function* walkEntry(entry, path, relative) {
+      if (entry.isFile) {
+        if (matches(relative, false)) {
+          yield { kind: 'file', path, file: await new Promise((resolve, reject) => entry.file(resolve, reject)) };
+        }
+        return;
+      }
+      if (!entry.isDirectory || (relative && !matches(relative, true))) return;
+      yield { kind: 'directory', path: path + '/' };
+      // readEntries повертає вміст частинами (у Chrome – по 100 записів), доки не поверне порожній масив
+      const reader = entry.createReader();
+      const children = [];
+      for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (batch.length === 0) break;
+        children.push(...batch);
+      }
+      for (const child of children.sort(byName)) {
+        yield* walkEntry(child, `${path}/${child.name}`, join(relative, child.name));
+      }
+    }
+
+    async function* walkHandle(handle, path, relative) {
+      if (handle.kind === 'file') {
+        if (matches(relative, false)) yield { kind: 'file', path, file: await handle.getFile() };
+        return;
+      }
+      if (relative && !matches(relative, true)) return;
+      yield { kind: 'directory', path: path + '/' };
+      const children = [];
+      for await (const child of handle.values()) children.push(child);
+      for (const child of children.sort(byName)) {
+        yield* walkHandle(child, `${path}/${child.name}`, join(relative, child.name));
+      }
+    }
+
+    for (const root of roots) {
+      if (root.entry) {
+        yield* walkEntry(root.entry, root.entry.name, root.entry.isFile ? root.entry.name : '');
+      } else if (root.handle) {
+        yield* walkHandle(root.handle, root.handle.name, root.handle.kind === 'file' ? root.handle.name : '');
+      } else {
+        // File з <input webkitdirectory>: webkitRelativePath = 'вибрана-папка/шлях/до/файлу'
+        const file = root.file;
+        const path = file.webkitRelativePath || file.name;
+        const segments = path.split('/');
+        if (file.webkitRelativePath) segments.shift();
+        let excluded = false;
+        for (let i = 1; i < segments.length && !excluded; i++) {
+          excluded = !matches(segments.slice(0, i).join('/'), true);
+        }
+        if (!excluded && matches(segments.join('/'), false)) yield { kind: 'file', path, file };
+      }
+    }
+  }
+
+  /**
+   * Створює додаткові поля з часом запису в UTC: Info-ZIP extended timestamp (0x5455, секунди)
+   * та NTFS (0x000A, точність 100 нс). У центральному каталозі поле 0x5455 містить лише час модифікації.
+   * @param {Object} fileRecord – запис з lastModified, lastAccessed та created (Date або null).
+   * @param {boolean} isLocal – для локального заголовку (true) чи центрального каталогу (false).
+   * @returns {Uint8Array}
+   */
+  function createTimestampExtraFields(fileRecord, isLocal) {
+    const { lastModified, lastAccessed, created } = fileRecord;
+    const toUnixSeconds = (date) => {
+      const seconds = date ? Math.floor(date.getTime() / 1000) : NaN;
+      return seconds >= -0x80000000 && seconds <= 0x7FFFFFFF ? seconds : null;
+    };
+    // Час, що не вміщується в 32-бітне значення Unix, записується лише в поле NTFS
+    const unixTimes = [lastModified, lastAccessed, created].map(toUnixSeconds);
+    const hasUnixTime = unixTimes[0] !== null;
+    let flags = 0;
+    unixTimes.forEach((seconds, i) => { if (seconds !== null) flags |= 1 << i; });
+    const unixValues = isLocal ? unixTimes.filter(seconds => seconds !== null) : [unixTimes[0]];
+    const unixFieldSize = hasUnixTime ? 4 + 1 + 4 * unixValues.length : 0;
+
+    const field = new Uint8Array(unixFieldSize + 4 + 32);
+    const view = new DataView(field.buffer);
+    let pos = 0;
+    if (hasUnixTime) {
+      view.setUint16(pos, EXTENDED_TIMESTAMP_FIELD_ID, true);
+      view.setUint16(pos + 2, unixFieldSize - 4, true);
+      view.setUint8(pos + 4, flags);
+      pos += 5;
+      for (const seconds of unixValues) {
+        view.setInt32(pos, seconds, true);
+        pos += 4;
+      }
+    }
+    // NTFS: Reserved(4) + Tag(2) + Size(2) + Mtime(8) + Atime(8) + Ctime(8); відсутній час замінюється часом модифікації
+    const toFileTime = (date) => {
+      const fileTime = (BigInt(date.getTime()) + FILETIME_EPOCH_OFFSET_MS) * 10000n;
+      return fileTime > 0n ? fileTime : 0n;
+    };
+    view.setUint16(pos, NTFS_FIELD_ID, true);
+    view.setUint16(pos + 2, 32, true);
+    view.setUint16(pos + 8, NTFS_TIMES_TAG, true);
+    view.setUint16(pos + 10, 24, true);
+    view.setBigUint64(pos + 12, toFileTime(lastModified), true);
+    view.setBigUint64(pos + 20, toFileTime(lastAccessed || lastModified), true);
+    view.setBigUint64(pos + 28, toFileTime(created || lastModified), true);
+    return field;
+  }
+
+  /**
+   * Читає час запису (UTC) з полів NTFS (0x000A) або extended timestamp (0x5455).
+   * @param {Map<number, DataView>} extraFields – додаткові поля запису центрального каталогу.
+   * @returns {{lastModified: Date|null, lastAccessed: Date|null, created: Date|null}}
+   */
+  function readTimestampExtraFields(extraFields) {
+    const times = { lastModified: null, lastAccessed: null, created: null };
+    const ntfs = extraFields.get(NTFS_FIELD_ID);
+    if (ntfs) {
+      for (let pos = 4; pos + 4 <= ntfs.byteLength; ) {
+        const tag = ntfs.getUint16(pos, true);
+        const size = ntfs.getUint16(pos + 2, true);
+        if (tag === NTFS_TIMES_TAG && size >= 24 && pos + 4 + 24 <= ntfs.byteLength) {
+          const fromFileTime = (offset) => {
+            const fileTime = ntfs.getBigUint64(offset, true);
+            return fileTime === 0n ? null : new Date(Number(fileTime / 10000n - FILETIME_EPOCH_OFFSET_MS));
+          };
+          times.lastModified = fromFileTime(pos + 4);
+          times.lastAccessed = fromFileTime(pos + 12);
+          times.created = fromFileTime(pos + 20);
+          return times;
+        }
+        pos += 4 + size;
+      }
+    }
+    const unix = extraFields.get(EXTENDED_TIMESTAMP_FIELD_ID);
+    if (unix && unix.byteLength >= 5 && (unix.getUint8(0) & 1)) {
+      times.lastModified = new Date(unix.getInt32(1, true) * 1000);
+    }
+    return times;
+  }
+
+  /**
+   * Читає ділянку Blob у DataView.
+   * @param {Blob} blob – джерело.
+   * @param {number} start – початок ділянки.
+   * @param {number} length – довжина ділянки.
+   * @returns {Promise<DataView>}
+   */
+  async function readBlobView(blob, start, length) {
+    const buffer = await blob.slice(start, start + length).arrayBuffer();
+    if (buffer.byteLength !== length) {
+      throw new Error(`Неочікуваний кінець архіву: потрібно ${length} байт зі зміщення ${start}.`);
+    }
+    return new DataView(buffer);
+  }
+
+  /**
+   * Декодує ім'я або коментар запису. Без прапорця UTF-8 спершу пробуємо UTF-8,
+   * а якщо байти некоректні – кодування DOS (IBM866), яке використовують архіватори Windows.
+   * @param {Uint8Array} bytes – закодовані байти.
+   * @param {boolean} isUtf8 – чи встановлено прапорець FLAG_UTF8.
+   * @returns {string}
+   */
+  function decodeEntryText(bytes, isUtf8) {
+    if (isUtf8) return new TextDecoder('utf-8').decode(bytes);
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (e) {
+      return new TextDecoder('ibm866').decode(bytes);
+    }
+  }
+
+  /**
+   * Знаходить кінцеві записи архіву (EOCD та, за наявності, Zip64 EOCD) і зчитує центральний каталог.
+   * @param {Blob} blob – ZIP‑архів.
+   * @returns {Promise<{ entries: Array<Object>, centralDirectoryOffset: number, centralDirectorySize: number,
+   *   diskNumber: number, comment: string }>} – сирі записи центрального каталогу (з полями, що відповідають
+   *   заголовкам ZIP, та байтами заголовку в centralHeader); diskNumber – номер частини з EOCD (0 для звичайного архіву).
+   */
+  async function readCentralDirectory(blob) {
+    // EOCD (22 байти) + коментар архіву (до 65535 байт)
+    const tailLength = Math.min(blob.size, 22 + 0xFFFF);
+    const tailStart = blob.size - tailLength;
+    const tail = await readBlobView(blob, tailStart, tailLength);
+
+    let eocdPos = -1;
+    for (let i = tailLength - 22; i >= 0; i--) {
+      if (tail.getUint32(i, true) === END_OF_CENTRAL_DIR_SIGNATURE) {
+        eocdPos = i;
+        break;
+      }
+    }
+    if (eocdPos < 0) {
+      throw new Error("Не знайдено запис кінця центрального каталогу (EOCD). Файл не є ZIP‑архівом.");
+    }
+
+    let diskNumber = tail.getUint16(eocdPos + 4, true);
+    let totalEntries = tail.getUint16(eocdPos + 10, true);
+    let centralDirectorySize = tail.getUint32(eocdPos + 12, true);
+    let centralDirectoryOffset = tail.getUint32(eocdPos + 16, true);
+    const commentLength = tail.getUint16(eocdPos + 20, true);
+    const comment = decodeEntryText(
+      new Uint8Array(tail.buffer, eocdPos + 22, Math.min(commentLength, tailLength - eocdPos - 22)), true);
+
+    // Zip64 EOCD Locator розташований безпосередньо перед EOCD
+    const eocdOffset = tailStart + eocdPos;
+    if (eocdOffset >= 20) {
+      const locator = await readBlobView(blob, eocdOffset - 20, 20);
+      if (locator.getUint32(0, true) === ZIP64_END_OF_CENTRAL_DIR_LOCATOR_SIGNATURE) {
+        const zip64EndOffset = Number(locator.getBigUint64(8, true));
+        const zip64End = await readBlobView(blob, zip64EndOffset, 56);
+        if (zip64End.getUint32(0, true) !== ZIP64_END_OF_CENTRAL_DIR_SIGNATURE) {
+          throw new Error("Пошкоджений архів: Zip64 EOCD Locator вказує на некоректний запис.");
+        }
+        diskNumber = zip64End.getUint32(16, true);
+        totalEntries = Number(zip64End.getBigUint64(32, true));
+        centralDirectorySize = Number(zip64End.getBigUint64(40, true));
+        centralDirectoryOffset = Number(zip64End.getBigUint64(48, true));
+      }
+    }
+
+    const cd = await readBlobView(blob, centralDirectoryOffset, centralDirectorySize);
+    const entries = [];
+    let pos = 0;
+    for (let i = 0; i < totalEntries; i++) {
+      if (pos + 46 > cd.byteLength || cd.getUint32(pos, true) !== CENTRAL_DIR_SIGNATURE) {
+        throw new Error(`Пошкоджений центральний каталог: некоректний запис №${i + 1}.`);
+      }
+      const flags = cd.getUint16(pos + 8, true);
+      const nameLength = cd.getUint16(pos + 28, true);
+      const extraLength = cd.getUint16(pos + 30, true);
+      const entryCommentLength = cd.getUint16(pos + 32, true);
+      const isUtf8 = (flags & FLAG_UTF8) !== 0;
+      const nameBytes = new Uint8Array(cd.buffer, pos + 46, nameLength);
+      const headerLength = 46 + nameLength + extraLength + entryCommentLength;
+      const record = {
+        versionMadeBy: cd.getUint16(pos + 4, true),
+        versionNeeded: cd.getUint16(pos + 6, true),
+        flags,
+        method: cd.getUint16(pos + 10, true),
+        dosTime: cd.getUint16(pos + 12, true),
+        dosDate: cd.getUint16(pos + 14, true),
+        crc32: cd.getUint32(pos + 16, true),
+        compressedSize: cd.getUint32(pos + 20, true),
+        size: cd.getUint32(pos + 24, true),
+        diskNumberStart: cd.getUint16(pos + 34, true),
+        internalAttributes: cd.getUint16(pos + 36, true),
+        externalAttributes: cd.getUint32(pos + 38, true),
+        localHeaderOffset: cd.getUint32(pos + 42, true),
+        encodedName: nameBytes.slice(),
+        name: decodeEntryText(nameBytes, isUtf8),
+        comment: decodeEntryText(
+          new Uint8Array(cd.buffer, pos + 46 + nameLength + extraLength, entryCommentLength), isUtf8),
+        extraFields: new Map(),
+        centralHeader: new Uint8Array(cd.buffer, pos, headerLength)
+      };
+
+      // Розбір додаткових полів: ID(2) + Size(2) + Data
+      let extraPos = pos + 46 + nameLength;
+      const extraEnd = extraPos + extraLength;
+      while (extraPos + 4 <= extraEnd) {
+        const id = cd.getUint16(extraPos, true);
+        const length = cd.getUint16(extraPos + 2, true);
+        record.extraFields.set(id, new DataView(cd.buffer, extraPos + 4, Math.min(length, extraEnd - extraPos - 4)));
+        extraPos += 4 + length;
+      }
+
+      // Zip64 extra field містить лише ті значення, що мають 0xFFFFFFFF (0xFFFF) у заголовку, у фіксованому порядку
+      const zip64 = record.extraFields.get(ZIP64_EXTRA_FIELD_ID);
+      if (zip64) {
+        let zip64Pos = 0;
+        const readUint64 = () => {
+          const value = Number(zip64.getBigUint64(zip64Pos, true));
+          zip64Pos += 8;
+          return value;
+        };
+        if (record.size === 0xFFFFFFFF) record.size = readUint64();
+        if (record.compressedSize === 0xFFFFFFFF) record.compressedSize = readUint64();
+        if (record.localHeaderOffset === 0xFFFFFFFF) record.localHeaderOffset = readUint64();
+        if (record.diskNumberStart === 0xFFFF) record.diskNumberStart = zip64.getUint32(zip64Pos, true);
+      }
+
+      entries.push(record);
+      pos += headerLength;
+    }
+
+    return { entries, centralDirectoryOffset, centralDirectorySize, diskNumber, comment };
+  }
+
+  /**
+   * Клас ZipEntry – запис ZIP‑архіву, відкритого через BrowserZip.open.
+   * Дані читаються ліниво (Blob.slice) лише під час виклику blob(), text() або stream().
+   */
+  class ZipEntry {
+    constructor(archive, record) {
+      this._archive = archive;
+      this._record = record;
+      this.name = record.name;
+      this.comment = record.comment;
+      this.size = record.size;
+      this.compressedSize = record.compressedSize;
+      this.crc32 = record.crc32;
+      this.method = record.method;
+      // Час UTC з додаткових полів точніший за DOS-час (локальний, з кроком 2 секунди)
+      const times = readTimestampExtraFields(record.extraFields);
+      this.lastModified = times.lastModified || dosToDate(record.dosTime, record.dosDate);
+      this.lastAccessed = times.lastAccessed;
+      this.created = times.created;
+      // Для архівів, створених в Unix, старші 16 біт зовнішніх атрибутів містять st_mode
+      const unixMode = (record.versionMadeBy >> 8) === HOST_SYSTEM_UNIX ? record.externalAttributes >>> 16 : 0;
+      this.mode = unixMode ? unixMode & 0o7777 : null;
+      this.isSymlink = (unixMode & S_IFMT) === S_IFLNK;
+      this.isDirectory = record.name.endsWith('/') || (record.externalAttributes & MSDOS_DIR_ATTR) !== 0 ||
+        (unixMode & S_IFMT) === S_IFDIR;
+      this.encrypted = (record.flags & FLAG_ENCRYPTED) !== 0;
+      this._dataOffset = null;
     }
 
-    _processQueue() {
-      if (this.taskQueue.length === 0) return;
-      // Знайти воркера, який не використовується і не мав критичної помилки (якщо така логіка додана)
-      const freeWorker = this.workers.find(w => !w.inUse /* && !w.hasCrashed */);
-      if (!freeWorker) return;
-      const task = this.taskQueue.shift();
-      freeWorker.inUse = true;
-      // Додати обробку помилки postMessage, якщо потрібно
-      try {
-        freeWorker.postMessage(task.message);
-      } catch (error) {
-          console.error("Failed to post message to worker:", error);
-          freeWorker.inUse = false;
-          // Повернути завдання в чергу або відхилити його
-          this.taskQueue.unshift(task); // Повернути на початок черги
-          // Або:
-          // if (this.taskResolvers.has(task.message.id)) {
-          //    this.taskResolvers.get(task.message.id).reject(error);
-          //    this.taskResolvers.delete(task.message.id);
-          // }
-          // Спробувати обробити чергу знову через деякий час або іншим воркером
-          // setTimeout(() => this._processQueue(), 100);
+    /**
+     * Повертає зміщення даних запису (одразу після локального заголовку).
+     * @returns {Promise<number>}
+     */
+    async _getDataOffset() {
+      if (this._dataOffset === null) {
+        const offset = this._record.localHeaderOffset;
+        const header = await readBlobView(this._archive, offset, 30);
+        if (header.getUint32(0, true) !== LOCAL_FILE_HEADER_SIGNATURE) {
+          throw new Error(`Пошкоджений архів: не знайдено локальний заголовок для "${this.name}".`);
+        }
+        // Довжини імені та додаткового поля в локальному заголовку можуть відрізнятися від центрального каталогу
+        this._dataOffset = offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
       }
+      return this._dataOffset;
     }
 
     /**
-     * Запускає обчислення CRC32 для Blob з потоковою обробкою по чанках.
-     * @param {Blob} blob – оброблюваний файл
-     * @param {number} chunkSize – розмір чанку (у байтах)
-     * @returns {Promise<number>} – обчислене значення CRC32
+     * Повертає розпакований вміст запису як ReadableStream.
+     * Під час читання перевіряється розмір та CRC32 зі значенням із центрального каталогу.
+     * @returns {ReadableStream<Uint8Array>}
      */
-    runCRC32Stream(blob, chunkSize) {
-      return new Promise((resolve, reject) => {
-        const id = this.nextTaskId++;
-        const message = { type: 'calculateCRC32Stream', id, blob, chunkSize };
-        this.taskResolvers.set(id, { resolve, reject });
-        // Додаємо в чергу, _processQueue знайде вільного воркера
-        this.taskQueue.push({ message });
-        this._processQueue(); // Запустити обробку черги
+    stream() {
+      if (this.encrypted) {
+        throw new Error(`Запис "${this.name}" зашифрований. Зашифровані записи не підтримуються.`);
+      }
+      if (this.method !== METHOD_STORE && this.method !== METHOD_DEFLATE) {
+        throw new Error(`Запис "${this.name}" використовує непідтримуваний метод стиснення ${this.method}.`);
+      }
+      if (this.method === METHOD_DEFLATE && typeof DecompressionStream === 'undefined') {
+        throw new Error("Розпакування DEFLATE недоступне: середовище не підтримує DecompressionStream.");
+      }
+
+      const entry = this;
+      let reader = null;
+      const source = new ReadableStream({
+        async pull(controller) {
+          if (!reader) {
+            const dataOffset = await entry._getDataOffset();
+            reader = entry._archive.slice(dataOffset, dataOffset + entry.compressedSize).stream().getReader();
+          }
+          const { done, value } = await reader.read();
+          if (done) controller.close();
+          else controller.enqueue(value);
+        },
+        cancel(reason) {
+          return reader ? reader.cancel(reason) : undefined;
+        }
       });
-    }
+      const data = this.method === METHOD_DEFLATE
+        ? source.pipeThrough(new DecompressionStream('deflate-raw'))
+        : source;
 
-    terminate() {
-      this.workers.forEach(worker => worker.terminate());
-      this.workers = [];
-      this.taskQueue = [];
-      this.taskResolvers.clear(); // Очистити резолвери
+      const crc = new CRC32();
+      let size = 0;
+      return data.pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+          crc.update(chunk);
+          size += chunk.byteLength;
+          controller.enqueue(chunk);
+        },
+        flush() {
+          if (size !== entry.size) {
+            throw new Error(`Невідповідність розміру для "${entry.name}": очікувалось ${entry.size}, отримано ${size}.`);
+          }
+          if (crc.digest() !== entry.crc32) {
+            throw new Error(`Невідповідність CRC32 для "${entry.name}": дані пошкоджені.`);
+          }
+        }
+      }));
     }
-  }
-  
-  const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
-  const CENTRAL_DIR_SIGNATURE = 0x02014b50;
-  const END_OF_CENTRAL_DIR_SIGNATURE = 0x06054b50;
-  const ZIP64_END_OF_CENTRAL_DIR_SIGNATURE = 0x06064b50;
-  const ZIP64_END_OF_CENTRAL_DIR_LOCATOR_SIGNATURE = 0x07064b50;
-
-  const VERSION_NEEDED_DEFAULT = 0x0014; // 20 = 2.0
-  const VERSION_NEEDED_ZIP64 = 0x002D; // 45 = 4.5
-  const METHOD_STORE = 0x0000;
-  const FLAG_UTF8 = 0x0800;
-  const MSDOS_DIR_ATTR = 0x10;
 
-  const ZIP64_EXTRA_FIELD_ID = 0x0001;
-  const ZIP64_EXTRA_FIELD_SIZE_NO_OFFSET = 16; // 2x 64-bit size
-  const ZIP64_EXTRA_FIELD_SIZE_FULL = 28; // 2x 64-bit size, 1x 64-bit offset, 1x 32-bit disk num
+    /**
+     * Повертає розпакований вміст запису як Blob.
+     * @param {string} [type=''] – MIME-тип результату.
+     * @returns {Promise<Blob>}
+     */
+    async blob(type = '') {
+      const blob = await new Response(this.stream()).blob();
+      return type ? new Blob([blob], { type }) : blob;
+    }
 
-  // Функція для конвертації JS Date в MS-DOS time/date format
-  function dateToDos(jsDate) {
-      const date = jsDate.getDate();
-      const month = jsDate.getMonth() + 1;
-      const year = jsDate.getFullYear();
-      const hours = jsDate.getHours();
-      const minutes = jsDate.getMinutes();
-      const seconds = Math.floor(jsDate.getSeconds() / 2); // DOS time resolution is 2 seconds
+    /**
+     * Повертає розпакований вміст запису як рядок (UTF-8).
+     * @returns {Promise<string>}
+     */
+    async text() {
+      return new Response(this.stream()).text();
+    }
+  }
 
-      if (year < 1980) { // ZIP format doesn't support years before 1980
-          return { dosTime: 0, dosDate: (1 << 5) | 1 }; // January 1st 1980
-      }
+  /**
+   * Клас ZipArchive – результат BrowserZip.open: список записів відкритого архіву.
+   */
+  class ZipArchive {
+    constructor(blob, directory) {
+      this.blob = blob;
+      this.comment = directory.comment;
+      this.entries = directory.entries.map(record => new ZipEntry(blob, record));
+    }
 
-      const dosTime = (hours << 11) | (minutes << 5) | seconds;
-      const dosDate = ((year - 1980) << 9) | (month << 5) | date;
+    /**
+     * Повертає запис за ім'ям.
+     * @param {string} name – ім'я запису (для директорій – із завершальним '/').
+     * @returns {ZipEntry|undefined}
+     */
+    getEntry(name) {
+      return this.entries.find(entry => entry.name === name);
+    }
 
-      return { dosTime, dosDate };
+    [Symbol.iterator]() {
+      return this.entries[Symbol.iterator]();
+    }
   }
 
   /**
    * Клас BrowserZip – бібліотека для формування ZIP‑архівів із підтримкою Zip64 та створенням директорій.
+   * Екземпляр є EventTarget: під час генерації він надсилає події CustomEvent з даними в `event.detail`:
+   * - `phase` – { phase: 'hashing' | 'writing' | 'central-directory' | 'done' } під час зміни етапу генерації;
+   * - `entrystart` – { name, index, size } перед записом запису (size дорівнює null для потоку невідомого розміру);
+   * - `entryend` – { name, index, size, compressedSize, crc32, digest } після запису даних запису
+   *   (digest – хеш вмісту в hex, якщо задано опцію генерації `digest` або `manifest`, інакше null);
+   * - `checksumprogress` – { name, bytesHashed, totalBytes } під час обчислення CRC32 (і хешу) у воркерах
+   *   (зокрема в precomputeChecksums);
+   * - `progress` – { filename, fileBytesProcessed, fileTotalBytes, bytesWritten, totalBytes, percent,
+   *   bytesPerSecond, etaSeconds } – записані байти архіву разом із заголовками, дробовий відсоток,
+   *   середня швидкість запису та оцінка часу до завершення (null, якщо розмір архіву невідомий).
+   *   Частоту обмежує опція генерації `progressInterval`.
+   * Помилка в обробнику події не перериває генерацію: вона виводиться в console.error.
    */
-  class BrowserZip {
-    constructor() {
+  class BrowserZip extends EventTarget {
+    /**
+     * @param {object} [options] - Опції екземпляра.
+     * @param {number} [options.maxWorkers] - Максимальна кількість воркерів (за замовчуванням – кількість ядер, не більше 6).
+     * @param {number} [options.taskTimeout=0] - Час (мс) без відповіді від воркера, після якого обчислення CRC32
+     *   відхиляється з TimeoutError, а воркер замінюється новим. 0 – без обмеження.
+     * @param {boolean} [options.sharedPool=false] - Використовувати спільний для сторінки (процесу) пул воркерів
+     *   замість власного. Налаштування пулу беруться від першого екземпляра, що його створив.
+     * @param {boolean} [options.strict=false] - Кидати помилку замість попередження (недопустиме ім'я,
+     *   дублікат, збіг імен без урахування регістру).
+     * @param {boolean} [options.createParentFolders=false] - Автоматично додавати записи для відсутніх
+     *   батьківських папок (наприклад, "a/" та "a/b/" для "a/b/c.txt").
+     * @param {boolean} [options.detectCaseCollisions=false] - Не додавати записи, імена яких відрізняються
+     *   від наявних лише регістром (у Windows та macOS вони перезаписали б один одного).
+     */
+    constructor(options = {}) {
+      super();
       // Зберігаємо записи файлів у Map (унікальність та швидкий доступ)
       this.files = new Map();
-      const numWorkers = Math.min(6, navigator.hardwareConcurrency || 2); // Мінімум 2 для надійності?
-      this.workerPool = new WorkerPool(numWorkers);
-      // Кешована таблиця CRC32 всередині екземпляра або статична ---
-      if (!BrowserZip.crc32Table) {
-        BrowserZip.crc32Table = BrowserZip._createCRC32Table();
+      this.strict = Boolean(options.strict);
+      this.createParentFolders = Boolean(options.createParentFolders);
+      this.detectCaseCollisions = Boolean(options.detectCaseCollisions);
+      this._caseIndex = null; // Індекс імен у нижньому регістрі (будується за потреби)
+      const numWorkers = options.maxWorkers || Math.min(6, getHardwareConcurrency());
+      const poolOptions = { taskTimeout: options.taskTimeout };
+      this.workerPool = options.sharedPool
+        ? WorkerPool.acquireShared(numWorkers, poolOptions)
+        : new WorkerPool(numWorkers, poolOptions);
+      // Стан паузи генерації (pause/resume)
+      this.paused = false;
+      this._resumeWaiters = new Set();
+      // Локальні заголовки та дані архіву, відкритого через fromExisting (до центрального каталогу)
+      this._existingData = null;
+
+      // Обгортки обробників подій: обробник → Map(тип і capture → обгортка)
+      this._listenerWrappers = new WeakMap();
+    }
+
+    /**
+     * Синхронно обчислює CRC32 для даних (Uint8Array).
+     * Для обчислення по чанках зручніше використовувати `new BrowserZip.CRC32().update(chunk)...digest()`.
+     * @param {Uint8Array} data – дані.
+     * @param {number} [previous=0] – CRC32 попередніх даних (для обчислення по чанках).
+     * @returns {number} – CRC32 усіх даних, включно з попередніми.
+     */
+    static computeCRC32(data, previous = 0) {
+      return new CRC32(previous).update(data).digest();
+    }
+
+    /**
+     * Відкриває ZIP‑архів для читання.
+     * Знаходить EOCD (та Zip64 EOCD, якщо є) і розбирає центральний каталог; вміст записів читається ліниво.
+     * @param {Blob|File} blob – ZIP‑архів.
+     * @returns {Promise<ZipArchive>} – архів зі списком записів (`entries`) та методом `getEntry(name)`.
+     */
+    static async open(blob) {
+      if (!(blob instanceof Blob)) {
+        throw new Error("BrowserZip.open очікує Blob або File.");
       }
+      return new ZipArchive(blob, await readCentralDirectory(blob));
     }
 
-    // Допоміжний статичний метод для створення таблиці
-    static _createCRC32Table() {
-      const table = new Array(256);
-      for (let i = 0; i < 256; i++) {
-        let c = i;
-        for (let j = 0; j < 8; j++) {
-          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
-        }
-        table[i] = c;
+    /**
+     * Створює екземпляр для доповнення наявного ZIP‑архіву без перезапису його даних.
+     * Центральний каталог (зокрема Zip64) розбирається, а локальні заголовки та дані старих записів
+     * залишаються незмінним зрізом Blob і записуються на початку нового архіву з тими самими зміщеннями.
+     * Нові записи з `addFile` розміщуються після старих даних, а генерація записує об'єднаний центральний
+     * каталог і нові кінцеві записи. Видалені (`remove`) та замінені (`addFile` з `overwrite`) записи
+     * не потрапляють у новий каталог, хоча їхні байти залишаються в архіві. Старі записи не перейменовуються
+     * і не шифруються повторно; коментар архіву не зберігається.
+     * @param {Blob|File} blob – наявний ZIP‑архів (не розділений на частини).
+     * @param {object} [options] - Опції конструктора BrowserZip.
+     * @returns {Promise<BrowserZip>}
+     */
+    static async fromExisting(blob, options = {}) {
+      if (!(blob instanceof Blob)) {
+        throw new Error("BrowserZip.fromExisting очікує Blob або File.");
+      }
+      const directory = await readCentralDirectory(blob);
+      if (directory.diskNumber !== 0 || directory.entries.some(entry => entry.diskNumberStart !== 0)) {
+        throw new Error("Розділений (multi-volume) архів неможливо доповнити.");
       }
-      return table;
+      const zip = new BrowserZip(options);
+      zip._existingData = blob.slice(0, directory.centralDirectoryOffset);
+      for (const entry of directory.entries) {
+        const info = new ZipEntry(blob, entry);
+        const unixMode = (entry.versionMadeBy >> 8) === HOST_SYSTEM_UNIX ? entry.externalAttributes >>> 16 : 0;
+        zip._setRecord({
+          name: entry.name,
+          encodedName: entry.encodedName,
+          existing: true, // Запис із наявного архіву: дані вже записані, заголовок каталогу – centralHeader
+          centralHeader: entry.centralHeader,
+          content: null,
+          provider: null,
+          crc32: entry.crc32,
+          crc32Provided: true,
+          crc32Promise: null,
+          digest: null,
+          digestPromise: null,
+          size: entry.size,
+          expectedSize: null,
+          compression: null,
+          password: null,
+          encryption: null,
+          method: entry.method,
+          compressedSize: entry.compressedSize,
+          usesDataDescriptor: false,
+          zip64DataDescriptor: false,
+          isDirectory: info.isDirectory,
+          isSymlink: info.isSymlink,
+          unixMode: unixMode || null,
+          uid: null,
+          gid: null,
+          lastModified: info.lastModified,
+          lastAccessed: info.lastAccessed,
+          created: info.created,
+          dosTime: entry.dosTime,
+          dosDate: entry.dosDate,
+          diskNumber: 0,
+          localHeaderOffset: entry.localHeaderOffset
+        });
+      }
+      return zip;
     }
+
     /**
-     * Синхронно обчислює CRC32 для даних (Uint8Array).
+     * Перевіряє маніфест архіву, створеного з опцією генерації `manifest`: хеші файлів перераховуються
+     * з розпакованого вмісту й порівнюються з маніфестом, а якщо передано publicKey – перевіряється
+     * відокремлений підпис `<ім'я маніфесту>.sig`.
+     * @param {Blob|File|ZipArchive} source – архів або результат BrowserZip.open.
+     * @param {object} [options]
+     * @param {string} [options.name] - Ім'я маніфесту. За замовчуванням – 'MANIFEST.json' або
+     *   'META-INF/MANIFEST.MF', залежно від того, який є в архіві.
+     * @param {'json'|'mf'} [options.format] - Формат маніфесту (за замовчуванням – за розширенням імені).
+     * @param {CryptoKey} [options.publicKey] - Публічний ключ для перевірки підпису.
+     * @returns {Promise<{valid: boolean, signatureValid: boolean|null, algorithm: string, mismatched: string[],
+     *   missing: string[], unlisted: string[], unverified: string[]}>} – valid дорівнює true, якщо всі файли архіву
+     *   перелічені в маніфесті й мають ті самі хеші, а підпис (якщо передано publicKey) дійсний.
+     *   signatureValid – null без publicKey; mismatched – хеш, розмір чи CRC32 не збігаються; missing – є
+     *   в маніфесті, але немає в архіві; unlisted – файли, яких немає в маніфесті; unverified – зашифровані
+     *   записи та записи з непідтримуваним методом стиснення, вміст яких неможливо прочитати.
      */
-    static computeCRC32(data) {
-      // Використання статичної кешованої таблиці
-      const table = BrowserZip.crc32Table || (BrowserZip.crc32Table = BrowserZip._createCRC32Table());
-      let crc = 0xffffffff;
-      for (let i = 0; i < data.length; i++) {
-        crc = (crc >>> 8) ^ table[(crc ^ data[i]) & 0xff];
+    static async verifyManifest(source, options = {}) {
+      const archive = source instanceof ZipArchive ? source : await BrowserZip.open(source);
+      const names = new Set(archive.entries.map(entry => entry.name));
+      const name = options.name || Object.values(DEFAULT_MANIFEST_NAMES).find(candidate => names.has(candidate));
+      if (!name || !names.has(name)) {
+        throw new Error(name ? `Маніфест "${name}" не знайдено в архіві.` : "Маніфест не знайдено в архіві.");
+      }
+      const manifestBytes = new Uint8Array(await (await archive.getEntry(name).blob()).arrayBuffer());
+      const { algorithm, digests } = parseManifest(manifestBytes, getManifestFormat(name, options.format));
+
+      const signatureName = name + MANIFEST_SIGNATURE_SUFFIX;
+      let signatureValid = null;
+      if (options.publicKey) {
+        signatureValid = false; // Підпису немає в архіві
+        if (names.has(signatureName)) {
+          const signature = await (await archive.getEntry(signatureName).blob()).arrayBuffer();
+          signatureValid = await getWebCrypto().subtle.verify(
+            getSignatureParams(options.publicKey), options.publicKey, signature, manifestBytes);
+        }
+      }
+
+      const mismatched = [];
+      const unlisted = [];
+      const unverified = [];
+      for (const entry of archive.entries) {
+        if (entry.isDirectory || entry.name === name || entry.name === signatureName) continue;
+        const expected = digests.get(entry.name);
+        if (expected === undefined) {
+          unlisted.push(entry.name);
+          continue;
+        }
+        if (entry.encrypted || (entry.method !== METHOD_STORE && entry.method !== METHOD_DEFLATE)) {
+          unverified.push(entry.name);
+          continue;
+        }
+        const hash = new SHA2(algorithm);
+        const reader = entry.stream().getReader();
+        try {
+          while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            hash.update(value);
+          }
+          if (bytesToHex(hash.digest()) !== expected) mismatched.push(entry.name);
+        } catch (error) {
+          mismatched.push(entry.name); // ZipEntry.stream перевіряє розмір і CRC32: дані пошкоджені
+        }
       }
-      return (crc ^ 0xffffffff) >>> 0;
+      const missing = Array.from(digests.keys()).filter(entryName => !names.has(entryName));
+      return {
+        valid: signatureValid !== false && mismatched.length === 0 && missing.length === 0 &&
+          unlisted.length === 0 && unverified.length === 0,
+        signatureValid,
+        algorithm,
+        mismatched,
+        missing,
+        unlisted,
+        unverified
+      };
     }
 
     /**
      * Додає файл до архіву.
      * @param {string} name – Ім'я файлу (включаючи шлях, наприклад, "folder/file.txt").
-     * @param {Blob|string|Uint8Array} content – Вміст файлу.
+     * @param {Blob|string|ArrayBuffer|ArrayBufferView|ReadableStream|Response|AsyncIterable|Function} content –
+     *   Вміст файлу. ArrayBuffer, TypedArray та DataView використовуються без копіювання. ReadableStream,
+     *   Response (fetch) та async iterable чанків читаються лише під час генерації, тож їхній розмір може бути
+     *   невідомий; такі записи завжди використовують Data Descriptor (потік можна прочитати лише один раз).
+     *   Функція `({ name, signal }) => вміст | Promise<вміст>` викликається, коли генерація доходить до запису,
+     *   а отриманий вміст звільняється одразу після запису, тож в пам'яті не тримаються всі файли одночасно.
      * @param {object} [options] - Додаткові опції.
-     * @param {Date} [options.lastModified=new Date()] - Час останньої модифікації.
+     * @param {number} [options.size] - Очікуваний розмір вмісту потоку або функції-постачальника
+     *   (перевіряється під час генерації). Без нього для такого запису використовується Zip64 Data Descriptor.
+     * @param {Date|number} [options.lastModified] - Час останньої модифікації. За замовчуванням –
+     *   `lastModified` самого File, а для інших даних – поточний час.
+     * @param {Date|number} [options.lastAccessed] - Час останнього доступу.
+     * @param {Date|number} [options.created] - Час створення.
+     * @param {'store'|'deflate'|'auto'} [options.compression] - Метод стиснення запису.
+     *   Якщо не вказано, використовується опція `compression` з `generateZipStream`.
+     * @param {number} [options.crc32] - Уже відома контрольна сума CRC32 вмісту (наприклад, від сервера).
+     *   Якщо вказана, вміст не хешується; значення не перевіряється. Недоступна для потоків і функцій.
+     * @param {string} [options.password] - Пароль запису. Якщо не вказано, використовується опція `password`
+     *   з `generateZipStream`; порожній рядок – запис без шифрування.
+     * @param {'aes256'|'aes128'|'zipcrypto'} [options.encryption] - Метод шифрування запису.
+     *   Якщо не вказано, використовується опція `encryption` з `generateZipStream` (за замовчуванням 'aes256').
+     * @param {number} [options.mode] - Права доступу Unix (наприклад, 0o755 для виконуваного скрипта).
+     *   Якщо вказано, запис позначається як створений в Unix.
+     * @param {number} [options.uid] - Ідентифікатор власника (поле 0x7875, вказується разом із gid).
+     * @param {number} [options.gid] - Ідентифікатор групи.
+     * @param {boolean} [options.overwrite=false] - Замінити наявний запис з таким самим ім'ям
+     *   (зі збереженням його позиції в архіві). Без цієї опції дублікат ігнорується.
      */
     async addFile(name, content, options = {}) {
-      if (this.files.has(name)) {
-        console.warn(`Файл "${name}" вже доданий до архіву. Ігнорується.`);
-        return;
-      }
+      const entryName = this._prepareEntryName(name);
+      if (entryName === null) return;
+      name = entryName;
       if (name.endsWith('/')) {
-        console.warn(`Ім'я файлу "${name}" схоже на директорію (закінчується на '/'). Використовуйте addFolder для директорій.`);
+        this._warn(`Ім'я файлу "${name}" схоже на директорію (закінчується на '/'). Використовуйте addFolder для директорій.`);
         name = name.slice(0, -1); // Видалити слеш для файлу
+      }
+      if (this.files.has(name) && !options.overwrite) {
+        this._warn(`Файл "${name}" вже доданий до архіву.`, 'Ігнорується.');
+        return;
+      }
+      if (this._hasCaseCollision(name)) return;
+
+      const fileRecord = this._createFileRecord(name, content, options);
+      this._addParentFolders(name);
+      this._setRecord(fileRecord);
     }
 
+    /**
+     * Перевіряє опції addFile та створює запис файлу, не додаючи його до списку.
+     * @param {string} name – нормалізоване ім'я файлу.
+     * @param {*} content – вміст (див. addFile).
+     * @param {object} options – опції addFile.
+     * @returns {Object} – запис файлу.
+     */
+    _createFileRecord(name, content, options) {
+      if (options.compression !== undefined && !COMPRESSION_MODES.includes(options.compression)) {
+        throw new Error(`Невідомий метод стиснення "${options.compression}". Має бути 'store', 'deflate' або 'auto'.`);
+      }
+      if (options.encryption !== undefined && !ENCRYPTION_MODES.includes(options.encryption)) {
+        throw new Error(`Невідомий метод шифрування "${options.encryption}". Має бути 'aes256', 'aes128' або 'zipcrypto'.`);
+      }
+      if (options.password !== undefined && typeof options.password !== 'string') {
+        throw new Error(`Пароль для "${name}" має бути рядком.`);
+      }
+      const unixOptions = readUnixOptions(options, name);
+      const knownCRC32 = options.crc32 !== undefined && options.crc32 !== null;
+      if (knownCRC32 && !(Number.isInteger(options.crc32) && options.crc32 >= 0 && options.crc32 <= 0xFFFFFFFF)) {
+        throw new Error(`Некоректне значення crc32 для "${name}": має бути ціле число від 0 до 0xFFFFFFFF.`);
+      }
+      const expectedSize = options.size !== undefined && options.size !== null ? options.size : null;
+      if (expectedSize !== null && !(Number.isSafeInteger(expectedSize) && expectedSize >= 0)) {
+        throw new Error(`Некоректне значення size для "${name}": має бути невід'ємне ціле число.`);
+      }
+
       const utf8Encoder = new TextEncoder();
       const encodedName = utf8Encoder.encode(name);
-      let storedContent;
+      const provider = typeof content === 'function' ? content : null;
+      let storedContent = null; // null для функції-постачальника (вміст отримується під час генерації)
       let crc32 = null; // Буде null для Blob
-      let size = 0;
+      let size = expectedSize; // null – розмір потоку невідомий до кінця читання
 
       // --- ПОКРАЩЕННЯ: Обробка lastModified ---
-      const lastModified = options.lastModified instanceof Date ? options.lastModified : new Date();
+      const fileLastModified = content instanceof Blob && typeof content.lastModified === 'number'
+        ? new Date(content.lastModified) // File
+        : new Date();
+      const lastModified = toDateOption(options.lastModified, 'lastModified', name) || fileLastModified;
       const dosDateTime = dateToDos(lastModified);
 
-      if (content instanceof Blob) {
-        storedContent = content;
-        size = content.size;
-        // CRC32 буде обчислено пізніше для Blob
-      } else if (typeof content === "string") {
-        storedContent = utf8Encoder.encode(content);
-        size = storedContent.length;
-        crc32 = BrowserZip.computeCRC32(storedContent); // Синхронно для даних в пам'яті
-      } else if (content instanceof Uint8Array) {
-        storedContent = content;
-        size = content.length;
-        crc32 = BrowserZip.computeCRC32(storedContent); // Синхронно для даних в пам'яті
-      } else {
-        throw new Error("Непідтримуваний тип контенту. Має бути Blob, string, або Uint8Array.");
+      if (!provider) {
+        const normalized = normalizeContent(content, name);
+        storedContent = normalized.content;
+        if (normalized.size !== null) size = normalized.size;
+        // CRC32 буде обчислено пізніше для Blob, а для потоків – під час запису
+        if (storedContent instanceof Uint8Array && !knownCRC32) {
+          crc32 = BrowserZip.computeCRC32(storedContent); // Синхронно для даних в пам'яті
+        }
+      }
+      if (knownCRC32) {
+        if (provider || isStreamSource(storedContent)) {
+          throw new Error(`Опція crc32 для "${name}" недоступна: вміст потоку чи функції читається лише під час генерації.`);
+        }
+        crc32 = options.crc32; // Контрольна сума від викликача – хешування не потрібне
       }
       
       const fileRecord = {
         name,
         encodedName,
         content: storedContent,
+        provider, // Функція, що повертає вміст під час генерації (або null)
         crc32, // null для Blob
-        size, // Розмір відомий одразу
+        crc32Provided: knownCRC32, // CRC32 передано в опціях, а не обчислено
+        crc32Promise: null, // Обчислення CRC32 у воркері, що виконується (див. _ensureCRC32)
+        digest: null, // { algorithm, value } – хеш вмісту, обчислений під час генерації (опція digest)
+        digestPromise: null, // Обчислення хешу у воркері, що виконується (див. _ensureDigest)
+        size, // null, якщо розмір потоку невідомий
+        expectedSize, // Опція size для потоків і функцій-постачальників
+        compression: options.compression || null, // null – використовується опція архіву
+        password: options.password !== undefined ? options.password : null, // null – використовується опція архіву
+        encryption: options.encryption || null, // null – використовується опція архіву
+        method: METHOD_STORE, // Визначається під час генерації
+        compressedSize: size, // Для METHOD_DEFLATE буде оновлено під час генерації
+        usesDataDescriptor: false, // Визначається під час генерації (потоковий режим)
+        zip64DataDescriptor: false, // Формат Data Descriptor, визначений до запису локального заголовку
         isDirectory: false,
+        isSymlink: false,
+        unixMode: unixOptions.mode !== null ? S_IFREG | unixOptions.mode : null, // null – атрибути MS-DOS
+        uid: unixOptions.uid,
+        gid: unixOptions.gid,
+        lastModified,
+        lastAccessed: toDateOption(options.lastAccessed, 'lastAccessed', name),
+        created: toDateOption(options.created, 'created', name),
         dosTime: dosDateTime.dosTime,
         dosDate: dosDateTime.dosDate,
+        diskNumber: 0, // Частина розділеного архіву з локальним заголовком (встановлюється під час генерації)
         localHeaderOffset: -1 // Буде встановлено під час генерації
       };
-
-      this.files.set(name, fileRecord);
+      return fileRecord;
     }
 
     /**
      * Додає папку до архіву.
      * @param {string} folderName – Ім'я папки (наприклад, "folder/").
      * @param {object} [options] - Додаткові опції.
-     * @param {Date} [options.lastModified=new Date()] - Час останньої модифікації.
+     * @param {Date|number} [options.lastModified=new Date()] - Час останньої модифікації.
+     * @param {Date|number} [options.lastAccessed] - Час останнього доступу.
+     * @param {Date|number} [options.created] - Час створення.
+     * @param {number} [options.mode] - Права доступу Unix (наприклад, 0o755).
+     * @param {number} [options.uid] - Ідентифікатор власника (вказується разом із gid).
+     * @param {number} [options.gid] - Ідентифікатор групи.
+     * @param {boolean} [options.overwrite=false] - Замінити атрибути наявної папки (вміст папки не змінюється).
      */
     async addFolder(folderName, options = {}) {
-      if (!folderName.endsWith("/")) {
+      if (typeof folderName === 'string' && !folderName.endsWith("/") && !folderName.endsWith("\\")) {
         folderName += "/";
       }
-      if (this.files.has(folderName)) {
-        console.warn(`Папка "${folderName}" вже додана до архіву. Ігнорується.`);
+      const entryName = this._prepareEntryName(folderName);
+      if (entryName === null) return;
+      folderName = entryName;
+      if (this.files.has(folderName) && !options.overwrite) {
+        this._warn(`Папка "${folderName}" вже додана до архіву.`, 'Ігнорується.');
         return;
       }
+      if (this._hasCaseCollision(folderName)) return;
 
-      // Обробка lastModified
-      const lastModified = options.lastModified instanceof Date ? options.lastModified : new Date();
-      const dosDateTime = dateToDos(lastModified);
+      const fileRecord = createFolderRecord(folderName, options);
+      this._addParentFolders(folderName);
+      this._setRecord(fileRecord);
+    }
 
-      const utf8Encoder = new TextEncoder();
-      const encodedName = utf8Encoder.encode(folderName);
-      // Директорія не має вмісту, розмір = 0, CRC = 0.
-      const fileRecord = {
-        name: folderName,
-        encodedName,
-        content: new Uint8Array(0), // Немає контенту
-        crc32: 0,                  // CRC32 = 0 для директорії
-        size: 0,                   // Розмір = 0 для директорії
-        isDirectory: true,
-        dosTime: dosDateTime.dosTime,
-        dosDate: dosDateTime.dosDate,
-        localHeaderOffset: -1 // Буде встановлено під час генерації
+    /**
+     * Додає символьне посилання. Вмістом запису є шлях, на який вказує посилання,
+     * а тип S_IFLNK записується в Unix-атрибути (розпаковується як посилання в Linux і macOS).
+     * @param {string} name – Ім'я посилання в архіві.
+     * @param {string} target – Шлях, на який вказує посилання (зазвичай відносний).
+     * @param {object} [options] - Додаткові опції: lastModified, lastAccessed, created,
+     *   mode (за замовчуванням 0o777), uid, gid, overwrite – як в `addFile`.
+     */
+    async addSymlink(name, target, options = {}) {
+      if (typeof target !== 'string' || target === '') {
+        throw new Error(`Ціль символьного посилання "${name}" має бути непорожнім рядком.`);
+      }
+      const entryName = this._prepareEntryName(name);
+      if (entryName === null) return;
+      if (entryName.endsWith('/')) {
+        throw new Error(`Ім'я символьного посилання "${name}" не може закінчуватися на '/'.`);
+      }
+      if (this.files.has(entryName) && !options.overwrite) {
+        this._warn(`Файл "${entryName}" вже доданий до архіву.`, 'Ігнорується.');
+        return;
+      }
+      const mode = options.mode !== undefined && options.mode !== null ? options.mode : 0o777;
+      const existing = this.files.get(entryName);
+      await this.addFile(entryName, target, { ...options, mode, compression: 'store', crc32: undefined });
+      const fileRecord = this.files.get(entryName);
+      if (!fileRecord || fileRecord === existing) return; // Запис не додано (наприклад, через збіг імен)
+      fileRecord.isSymlink = true;
+      fileRecord.unixMode = S_IFLNK | mode;
+    }
+
+    /**
+     * Рекурсивно додає вміст папки: FileList з `<input webkitdirectory>` (шляхи з `webkitRelativePath`),
+     * елементи DataTransfer з drag-and-drop (через `webkitGetAsEntry`) або FileSystemDirectoryHandle
+     * (File System Access API). Кожна папка, що містить додані файли, отримує запис addFolder,
+     * а файли зберігають свій `lastModified`. Шляхи в архіві починаються з імені вибраної папки.
+     * Для drag-and-drop метод слід викликати безпосередньо в обробнику події drop (до першого await).
+     * @param {FileList|Array<File>|DataTransfer|DataTransferItemList|Array<DataTransferItem>|DataTransferItem|
+     *   FileSystemEntry|FileSystemHandle} source – джерело файлів.
+     * @param {object} [options] - Додаткові опції.
+     * @param {string} [options.base=''] - Папка в архіві, до якої додається вміст (наприклад, "backup/2024").
+     * @param {Function|string|Array<string>|{include?: string|Array<string>, exclude?: string|Array<string>}} [options.filter]
+     *   - Відбір записів: функція `(path, { kind }) => boolean`, glob-шаблон(и) для включення файлів або
+     *   об'єкт { include, exclude }. Шляхи порівнюються відносно вибраної папки (наприклад, "src/app.js").
+     *   Папка, що відповідає exclude або для якої функція повернула false, пропускається разом із вмістом.
+     * @param {boolean} [options.includeEmptyDirs=false] - Додавати й папки, у яких немає відібраних файлів.
+     *   Для FileList недоступно: браузер не передає порожні папки.
+     * @param {object} [options.fileOptions] - Опції addFile для кожного файлу (compression, password, mode тощо).
+     * @returns {Promise<number>} – кількість доданих файлів.
+     */
+    async addDirectory(source, options = {}) {
+      const roots = resolveDirectorySources(source); // Синхронно – до першого await
+      const matches = createPathFilter(options.filter);
+      const fileOptions = options.fileOptions || {};
+      let base = '';
+      if (options.base !== undefined && options.base !== null && options.base !== '') {
+        const result = normalizeEntryPath(options.base);
+        if (result.error) throw new Error(`Недопустима опція base "${options.base}": ${result.error}.`);
+        base = result.name.replace(/\/?$/, '/');
+      }
+
+      const addedFolders = new Set();
+      const addFolderOnce = async (folderName) => {
+        if (addedFolders.has(folderName)) return;
+        addedFolders.add(folderName);
+        if (!this.has(base + folderName)) await this.addFolder(base + folderName);
       };
-      this.files.set(folderName, fileRecord);
+      let fileCount = 0;
+      for await (const item of walkDirectorySources(roots, matches)) {
+        if (item.kind === 'directory') {
+          if (options.includeEmptyDirs) {
+            for (const folderName of getParentFolderNames(item.path)) await addFolderOnce(folderName);
+            await addFolderOnce(item.path);
+          }
+          continue;
+        }
+        for (const folderName of getParentFolderNames(item.path)) await addFolderOnce(folderName);
+        const name = base + item.path;
+        const key = normalizeEntryPath(name).name; // undefined для недопустимого імені (addFile попередить)
+        const existing = this.files.get(key);
+        await this.addFile(name, item.file, fileOptions);
+        if (key && this.files.get(key) !== existing) fileCount++;
+      }
+      return fileCount;
+    }
+
+    /**
+     * Попередження, яке в режимі strict стає помилкою.
+     * @param {string} message
+     * @param {string} [consequence] – що відбувається з записом (додається лише до попередження).
+     */
+    _warn(message, consequence) {
+      if (this.strict) throw new Error(message);
+      console.warn(consequence ? `${message} ${consequence}` : message);
+    }
+
+    /**
+     * Реєструє обробник події. Обробник обгортається так, щоб його помилка (зокрема відхилений проміс
+     * асинхронного обробника) виводилася в console.error, а не ставала неперехопленим винятком
+     * (у Node.js такий виняток з EventTarget завершує процес).
+     * @param {string} type – тип події.
+     * @param {function|{handleEvent: function}|null} listener – обробник.
+     * @param {boolean|object} [options] – опції addEventListener.
+     */
+    addEventListener(type, listener, options) {
+      super.addEventListener(type, this._wrapListener(type, listener, options), options);
+    }
+
+    /**
+     * Видаляє обробник, зареєстрований через addEventListener.
+     * @param {string} type – тип події.
+     * @param {function|{handleEvent: function}|null} listener – обробник.
+     * @param {boolean|object} [options] – опції removeEventListener.
+     */
+    removeEventListener(type, listener, options) {
+      const wrappers = listener && this._listenerWrappers.get(listener);
+      const wrapped = wrappers && wrappers.get(listenerKey(type, options));
+      super.removeEventListener(type, wrapped || listener, options);
+    }
+
+    /**
+     * Повертає обгортку обробника. Для тієї самої пари (тип, capture) обгортка одна й та сама,
+     * тож повторна реєстрація не дублює обробник, як і в EventTarget.
+     */
+    _wrapListener(type, listener, options) {
+      if (!listener || (typeof listener !== 'function' && typeof listener !== 'object')) return listener;
+      let wrappers = this._listenerWrappers.get(listener);
+      if (!wrappers) {
+        wrappers = new Map();
+        this._listenerWrappers.set(listener, wrappers);
+      }
+      const key = listenerKey(type, options);
+      if (!wrappers.has(key)) {
+        const report = (error) => console.error(`Помилка в обробнику події "${type}":`, error);
+        wrappers.set(key, function(event) {
+          try {
+            const result = typeof listener === 'function' ? listener.call(this, event) : listener.handleEvent(event);
+            if (result && typeof result.then === 'function') result.then(null, report);
+          } catch (error) {
+            report(error);
+          }
+        });
+      }
+      return wrappers.get(key);
+    }
+
+    /**
+     * Надсилає подію генерації (див. опис класу). Помилка в обробнику не перериває генерацію:
+     * обробники обгортаються в addEventListener і виводять помилку в console.error.
+     * @param {string} type – тип події.
+     * @param {object} detail – дані події.
+     */
+    _dispatch(type, detail) {
+      this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    /**
+     * Нормалізує ім'я нового запису (див. normalizeEntryPath).
+     * @param {string} name
+     * @returns {string|null} – нормалізоване ім'я або null, якщо ім'я недопустиме (запис ігнорується).
+     */
+    _prepareEntryName(name) {
+      const result = normalizeEntryPath(name);
+      if (result.error) {
+        this._warn(`Недопустиме ім'я запису "${name}": ${result.error}.`, 'Ігнорується.');
+        return null;
+      }
+      return result.name;
+    }
+
+    /**
+     * Ключ для порівняння імен без урахування регістру ('/' у кінці не враховується).
+     */
+    static _caseKey(name) {
+      return name.replace(/\/$/, '').toLowerCase();
+    }
+
+    /**
+     * Перевіряє (якщо увімкнено detectCaseCollisions), чи є в архіві інший запис,
+     * ім'я якого відрізняється лише регістром, – у Windows та macOS такі файли перезапишуть один одного.
+     * @param {string} name – нормалізоване ім'я нового запису.
+     * @returns {boolean} – true, якщо є збіг (запис слід проігнорувати).
+     */
+    _hasCaseCollision(name) {
+      if (!this.detectCaseCollisions) return false;
+      if (!this._caseIndex) {
+        this._caseIndex = new Map();
+        for (const entryName of this.files.keys()) this._caseIndex.set(BrowserZip._caseKey(entryName), entryName);
+      }
+      const existing = this._caseIndex.get(BrowserZip._caseKey(name));
+      if (existing === undefined || existing === name) return false;
+      this._warn(`Ім'я "${name}" відрізняється від наявного запису "${existing}" лише регістром.`, 'Ігнорується.');
+      return true;
+    }
+
+    /**
+     * Додає запис до Map (або замінює запис з тим самим ім'ям на його позиції).
+     * @param {Object} fileRecord
+     */
+    _setRecord(fileRecord) {
+      this.files.set(fileRecord.name, fileRecord);
+      if (this._caseIndex) this._caseIndex.set(BrowserZip._caseKey(fileRecord.name), fileRecord.name);
+    }
+
+    /**
+     * Створює відсутні батьківські папки запису (якщо увімкнено createParentFolders).
+     * @param {string} name – нормалізоване ім'я запису.
+     */
+    _addParentFolders(name) {
+      if (!this.createParentFolders) return;
+      for (const folderName of getParentFolderNames(name)) {
+        if (!this.files.has(folderName)) this._setRecord(createFolderRecord(folderName));
+      }
+    }
+
+    /**
+     * Знаходить ключ запису: ім'я як є або, для папок, з доданим '/'.
+     * Ім'я нормалізується так само, як в addFile (наприклад, NFD → NFC, '\' → '/').
+     * @param {string} name
+     * @returns {string|null}
+     */
+    _resolveEntryName(name) {
+      const result = normalizeEntryPath(name);
+      if (result.error) return null;
+      name = result.name;
+      if (this.files.has(name)) return name;
+      if (!name.endsWith('/') && this.files.has(name + '/')) return name + '/';
+      return null;
+    }
+
+    /**
+     * Повертає список записів архіву в порядку, у якому вони будуть записані.
+     * @returns {Array<{name: string, size: number|null, lastModified: Date, isDirectory: boolean,
+     *   isSymlink: boolean, mode: number|null}>} – знімки записів (зміни об'єктів не впливають на архів);
+     *   size дорівнює null для потоку чи функції-постачальника невідомого розміру.
+     */
+    entries() {
+      return Array.from(this.files.values(), describeEntry);
+    }
+
+    /**
+     * Повертає інформацію про запис (див. `entries()`).
+     * @param {string} name – ім'я запису; для папок '/' у кінці можна не вказувати.
+     * @returns {object|undefined}
+     */
+    getEntry(name) {
+      const key = this._resolveEntryName(name);
+      return key === null ? undefined : describeEntry(this.files.get(key));
+    }
+
+    /**
+     * @param {string} name – ім'я запису; для папок '/' у кінці можна не вказувати.
+     * @returns {boolean}
+     */
+    has(name) {
+      return this._resolveEntryName(name) !== null;
+    }
+
+    /**
+     * Видаляє запис. Папка видаляється разом з усім вмістом.
+     * @param {string} name – ім'я запису; для папок '/' у кінці можна не вказувати.
+     * @returns {number} – кількість видалених записів (0, якщо запис не знайдено).
+     */
+    remove(name) {
+      const key = this._resolveEntryName(name);
+      if (key === null) return 0;
+      const names = key.endsWith('/')
+        ? Array.from(this.files.keys()).filter(entryName => entryName.startsWith(key))
+        : [key];
+      for (const entryName of names) this.files.delete(entryName);
+      this._caseIndex = null;
+      return names.length;
+    }
+
+    /**
+     * Перейменовує запис. Для папки перейменовуються й усі вкладені записи; позиції записів не змінюються.
+     * @param {string} oldName – поточне ім'я; для папок '/' у кінці можна не вказувати.
+     * @param {string} newName – нове повне ім'я (шлях) запису.
+     */
+    rename(oldName, newName) {
+      const key = this._resolveEntryName(oldName);
+      if (key === null) {
+        throw new Error(`Запис "${oldName}" не знайдено в архіві.`);
+      }
+      const isDirectory = key.endsWith('/');
+      const normalized = normalizeEntryPath(newName);
+      if (normalized.error) {
+        throw new Error(`Недопустиме ім'я запису "${newName}": ${normalized.error}.`);
+      }
+      newName = normalized.name;
+      if (isDirectory && !newName.endsWith('/')) newName += '/';
+      if (!isDirectory && newName.endsWith('/')) {
+        throw new Error(`Нове ім'я файлу "${newName}" не може закінчуватися на '/'.`);
+      }
+      if (newName === key) return;
+      if (isDirectory && newName.startsWith(key)) {
+        throw new Error(`Неможливо перемістити папку "${key}" всередину неї самої.`);
+      }
+
+      // Нові імена для запису та (для папки) всіх вкладених записів
+      const renames = new Map();
+      for (const entryName of this.files.keys()) {
+        if (entryName === key || (isDirectory && entryName.startsWith(key))) {
+          renames.set(entryName, newName + entryName.slice(key.length));
+        }
+      }
+      for (const entryName of renames.keys()) {
+        if (this.files.get(entryName).existing) {
+          throw new Error(`Запис "${entryName}" з наявного архіву неможливо перейменувати: його ім'я записане в локальному заголовку.`);
+        }
+      }
+      const remainingCaseKeys = new Map();
+      if (this.detectCaseCollisions) {
+        for (const entryName of this.files.keys()) {
+          if (!renames.has(entryName)) remainingCaseKeys.set(BrowserZip._caseKey(entryName), entryName);
+        }
+      }
+      for (const targetName of renames.values()) {
+        if (this.files.has(targetName) && !renames.has(targetName)) {
+          throw new Error(`Запис "${targetName}" вже існує в архіві.`);
+        }
+        const existing = remainingCaseKeys.get(BrowserZip._caseKey(targetName));
+        if (existing !== undefined && existing !== targetName) {
+          throw new Error(`Ім'я "${targetName}" відрізняється від наявного запису "${existing}" лише регістром.`);
+        }
+      }
+      // Відсутні батьківські папки вставляються перед першим перейменованим записом
+      const missingParents = this.createParentFolders
+        ? getParentFolderNames(newName).filter(folderName => !this.files.has(folderName) || renames.has(folderName))
+        : [];
+
+      const utf8Encoder = new TextEncoder();
+      const files = new Map();
+      for (const [entryName, fileRecord] of this.files) {
+        const targetName = renames.get(entryName);
+        if (targetName !== undefined) {
+          for (const folderName of missingParents.splice(0)) {
+            files.set(folderName, createFolderRecord(folderName));
+          }
+          fileRecord.name = targetName;
+          fileRecord.encodedName = utf8Encoder.encode(targetName);
+        }
+        files.set(fileRecord.name, fileRecord);
+      }
+      this.files = files;
+      this._caseIndex = null;
+    }
+
+    /**
+     * Переміщує запис (разом із вмістом, якщо це папка) до іншої папки, зберігаючи його ім'я.
+     * @param {string} name – ім'я запису.
+     * @param {string} folderName – папка призначення ('' – корінь архіву).
+     */
+    move(name, folderName) {
+      const key = this._resolveEntryName(name);
+      if (key === null) {
+        throw new Error(`Запис "${name}" не знайдено в архіві.`);
+      }
+      const baseName = key.replace(/\/$/, '').split('/').pop();
+      const folder = folderName && !folderName.endsWith('/') ? folderName + '/' : folderName;
+      this.rename(key, folder + baseName + (key.endsWith('/') ? '/' : ''));
+    }
+
+    /**
+     * Упорядковує записи функцією порівняння (як Array.prototype.sort).
+     * @param {function(object, object): number} compareFn – отримує інформацію про записи (див. `entries()`).
+     */
+    sort(compareFn) {
+      const described = Array.from(this.files.values(), fileRecord => ({ fileRecord, entry: describeEntry(fileRecord) }));
+      described.sort((a, b) => compareFn(a.entry, b.entry));
+      this.files = new Map(described.map(({ fileRecord }) => [fileRecord.name, fileRecord]));
+    }
+
+    /**
+     * Задає явний порядок записів: перелічені записи йдуть першими у вказаному порядку,
+     * решта – після них у поточному порядку.
+     * @param {Array<string>} names – імена записів; для папок '/' у кінці можна не вказувати.
+     */
+    setOrder(names) {
+      const files = new Map();
+      for (const name of names) {
+        const key = this._resolveEntryName(name);
+        if (key === null) {
+          throw new Error(`Запис "${name}" не знайдено в архіві.`);
+        }
+        files.set(key, this.files.get(key));
+      }
+      for (const [name, fileRecord] of this.files) {
+        if (!files.has(name)) files.set(name, fileRecord);
+      }
+      this.files = files;
     }
 
     /**
@@ -334,36 +3740,48 @@ const BrowserZip = (function() {
      * @param {Uint8Array} fileRecord.content – вміст файлу.
      * @param {number} fileRecord.crc32 – обчислений CRC32.
      * @param {number} fileRecord.size – розмір файлу.
+     * @param {number} fileRecord.compressedSize – розмір стиснутих даних.
+     * @param {number} fileRecord.method – метод стиснення (METHOD_STORE або METHOD_DEFLATE).
      * @param {number} fileRecord.isDirectory - true, якщо це директорія.
      * @param {number} fileRecord.dosTime - dosDateTime.dosTime,
      * @param {number} fileRecord.dosDate - dosDateTime.dosDate,
+     * @param {Date} fileRecord.lastModified - час модифікації (UTC, для полів 0x5455 та 0x000A).
+     * @param {Date|null} fileRecord.lastAccessed - час доступу.
+     * @param {Date|null} fileRecord.created - час створення.
      * @param {number} fileRecord.localHeaderOffset - зміщення заголовка.
      * @returns {Uint8Array} – локальний заголовок файлу.
      */
     createLocalFileHeader(fileRecord) {
-      const { encodedName, size, crc32, dosTime, dosDate } = fileRecord;
-      const useZip64 = size >= 0xFFFFFFFF;
+      const { encodedName, size, compressedSize, method, crc32, dosTime, dosDate, usesDataDescriptor } = fileRecord;
+      const useZip64 = usesDataDescriptor
+        ? fileRecord.zip64DataDescriptor
+        : size >= 0xFFFFFFFF || compressedSize >= 0xFFFFFFFF;
             // Поле Zip64 для локального заголовку містить тільки розміри
-      const extraFieldSize = useZip64 ? (4 + ZIP64_EXTRA_FIELD_SIZE_NO_OFFSET) : 0; // ID(2) + Size(2) + Sizes(16)
+      const isAES = isAESEncrypted(fileRecord);
+      const zip64FieldSize = useZip64 ? (4 + ZIP64_EXTRA_FIELD_SIZE_NO_OFFSET) : 0; // ID(2) + Size(2) + Sizes(16)
+      const aesField = isAES ? createAESExtraField(fileRecord) : null;
+      const timestampFields = createTimestampExtraFields(fileRecord, true);
+      const unixField = fileRecord.uid !== null ? createUnixExtraField(fileRecord, true) : null;
+      const extraFieldSize = zip64FieldSize + (aesField ? aesField.length : 0) + timestampFields.length +
+        (unixField ? unixField.length : 0);
       const headerSize = 30 + encodedName.length + extraFieldSize;
       const header = new Uint8Array(headerSize);
       const view = new DataView(header.buffer);
     
       view.setUint32(0, LOCAL_FILE_HEADER_SIGNATURE, true);
-      view.setUint16(4, useZip64 ? VERSION_NEEDED_ZIP64 : VERSION_NEEDED_DEFAULT, true);
-      view.setUint16(6, FLAG_UTF8, true); // Загальний прапорець (Bit 3: data descriptor, Bit 11: UTF-8)
-      // Якщо CRC/розмір невідомі на момент запису заголовку,
+      view.setUint16(4, Math.max(useZip64 ? VERSION_NEEDED_ZIP64 : VERSION_NEEDED_DEFAULT, isAES ? VERSION_NEEDED_AES : 0), true);
+      // Загальний прапорець (Bit 0: шифрування, Bit 3: data descriptor, Bit 11: UTF-8).
+      // Якщо CRC/розмір невідомі на момент запису заголовку (потоковий режим),
       // встановлюється Bit 3 і ці поля заповнюються нулями,
       // а реальні значення записуються в Data Descriptor *після* даних файлу.
-      // Наша поточна реалізація обчислює CRC/розмір *до* запису LFH,
-      // тому Bit 3 не встановлюємо.
-      view.setUint16(8, METHOD_STORE, true);
+      view.setUint16(6, getGeneralPurposeFlags(fileRecord), true);
+      view.setUint16(8, isAES ? METHOD_AES : method, true);
       view.setUint16(10, dosTime, true);            // Час модифікації
       view.setUint16(12, dosDate, true);            // Дата модифікації
-      view.setUint32(14, crc32 || 0, true);         // CRC-32 (0 якщо ще невідомий і використовується data descriptor)
-      const sizeField = useZip64 ? 0xFFFFFFFF : size;
-      view.setUint32(18, sizeField, true);          // Стиснутий розмір
-      view.setUint32(22, sizeField, true);          // Нестиснутий розмір
+      // CRC-32 (0, якщо використовується data descriptor або AE-2)
+      view.setUint32(14, usesDataDescriptor || isAES ? 0 : crc32 || 0, true);
+      view.setUint32(18, useZip64 ? 0xFFFFFFFF : usesDataDescriptor ? 0 : compressedSize, true); // Стиснутий розмір
+      view.setUint32(22, useZip64 ? 0xFFFFFFFF : usesDataDescriptor ? 0 : size, true);           // Нестиснутий розмір
       view.setUint16(26, encodedName.length, true); // Довжина імені файлу
       view.setUint16(28, extraFieldSize, true);     // Довжина додаткового поля
       header.set(encodedName, 30);
@@ -374,12 +3792,43 @@ const BrowserZip = (function() {
         // 64-бітний нестиснутий розмір, 64-бітний стиснутий розмір.
         view.setUint16(pos, ZIP64_EXTRA_FIELD_ID, true); pos += 2;
         view.setUint16(pos, ZIP64_EXTRA_FIELD_SIZE_NO_OFFSET, true); pos += 2;
-        view.setBigUint64(pos, BigInt(size), true); pos += 8; // Нестиснутий розмір
-        view.setBigUint64(pos, BigInt(size), true); pos += 8; // Стиснутий розмір
+        // З data descriptor розміри невідомі – записуються нулі, реальні значення будуть у дескрипторі
+        view.setBigUint64(pos, usesDataDescriptor ? 0n : BigInt(size), true); pos += 8; // Нестиснутий розмір
+        view.setBigUint64(pos, usesDataDescriptor ? 0n : BigInt(compressedSize), true); pos += 8; // Стиснутий розмір
       }
+      let extraPos = 30 + encodedName.length + zip64FieldSize;
+      if (aesField) {
+        header.set(aesField, extraPos);
+        extraPos += aesField.length;
+      }
+      header.set(timestampFields, extraPos);
+      if (unixField) header.set(unixField, extraPos + timestampFields.length);
       return header;
     }
 
+    /**
+     * Створює Data Descriptor, що записується після даних файлу, якщо в локальному заголовку встановлено біт 3.
+     * Формат (Zip64 чи 32-бітний) відповідає рішенню, прийнятому під час запису локального заголовку.
+     * @param {Object} fileRecord – запис файлу з уже обчисленими crc32, size та compressedSize.
+     * @returns {Uint8Array} – Data Descriptor (16 байт або 24 байти для Zip64).
+     */
+    createDataDescriptor(fileRecord) {
+      const { crc32, size, compressedSize } = fileRecord;
+      const useZip64 = fileRecord.zip64DataDescriptor;
+      const descriptor = new Uint8Array(useZip64 ? 24 : 16);
+      const view = new DataView(descriptor.buffer);
+      view.setUint32(0, DATA_DESCRIPTOR_SIGNATURE, true);
+      view.setUint32(4, isAESEncrypted(fileRecord) ? 0 : crc32, true); // AE-2: CRC32 не записується
+      if (useZip64) {
+        view.setBigUint64(8, BigInt(compressedSize), true);  // Стиснутий розмір
+        view.setBigUint64(16, BigInt(size), true);           // Нестиснутий розмір
+      } else {
+        view.setUint32(8, compressedSize, true);             // Стиснутий розмір
+        view.setUint32(12, size, true);                      // Нестиснутий розмір
+      }
+      return descriptor;
+    }
+
     /**
      * Створює запис центрального каталогу для файлу з підтримкою Zip64.
      * Для директорій зовнішній атрибут встановлюється так, щоб відзначати об'єкт як папку (наприклад, 0x10 << 16).
@@ -388,27 +3837,36 @@ const BrowserZip = (function() {
      * @param {Uint8Array} fileRecord.content – вміст файлу.
      * @param {number} fileRecord.crc32 – обчислений CRC32.
      * @param {number} fileRecord.size – розмір файлу.
+     * @param {number} fileRecord.compressedSize – розмір стиснутих даних.
+     * @param {number} fileRecord.method – метод стиснення (METHOD_STORE або METHOD_DEFLATE).
      * @param {number} fileRecord.isDirectory - true, якщо це директорія.
      * @param {number} fileRecord.dosTime - dosDateTime.dosTime,
      * @param {number} fileRecord.dosDate - dosDateTime.dosDate,
-     * @param {number} fileRecord.localHeaderOffset - зміщення заголовка.
+     * @param {Date} fileRecord.lastModified - час модифікації (UTC, для полів 0x5455 та 0x000A).
+     * @param {Date|null} fileRecord.lastAccessed - час доступу.
+     * @param {Date|null} fileRecord.created - час створення.
+     * @param {number} fileRecord.localHeaderOffset - зміщення заголовка (відносно початку його частини).
+     * @param {number} fileRecord.diskNumber - номер частини розділеного архіву з локальним заголовком.
      * @returns {Uint8Array} – запис центрального каталогу.
      */
     createCentralDirectoryHeader(fileRecord) {
-      const { encodedName, size, crc32, dosTime, dosDate, isDirectory, localHeaderOffset } = fileRecord;
-      const useZip64 = size >= 0xFFFFFFFF || localHeaderOffset >= 0xFFFFFFFF;
+      const { encodedName, size, compressedSize, method, crc32, dosTime, dosDate, isDirectory, localHeaderOffset } = fileRecord;
+      const diskNumber = fileRecord.diskNumber || 0;
+      const useZip64 = size >= 0xFFFFFFFF || compressedSize >= 0xFFFFFFFF || localHeaderOffset >= 0xFFFFFFFF ||
+        diskNumber >= 0xFFFF;
        // Поле Zip64 для центрального каталогу може містити розміри та зміщення
        let zip64ExtraFieldSize = 0;
        let zip64Data = []; // Масив байт для даних Zip64
  
-       const needsSizeZip64 = size >= 0xFFFFFFFF;
+       const needsSizeZip64 = size >= 0xFFFFFFFF || compressedSize >= 0xFFFFFFFF;
        const needsOffsetZip64 = localHeaderOffset >= 0xFFFFFFFF;
+       const needsDiskZip64 = diskNumber >= 0xFFFF;
  
        if (needsSizeZip64) {
             zip64Data.push(...new Array(16).fill(0)); // Місце для 2 x 64-біт розмірів
             const sizeView = new DataView(new ArrayBuffer(16));
             sizeView.setBigUint64(0, BigInt(size), true); // Original size
-            sizeView.setBigUint64(8, BigInt(size), true); // Compressed size
+            sizeView.setBigUint64(8, BigInt(compressedSize), true); // Compressed size
             zip64Data.splice(0, 16, ...new Uint8Array(sizeView.buffer));
        }
         if (needsOffsetZip64) {
@@ -417,38 +3875,54 @@ const BrowserZip = (function() {
             offsetView.setBigUint64(0, BigInt(localHeaderOffset), true);
             zip64Data.push(...new Uint8Array(offsetView.buffer));
         }
-       // Можливо, додати Disk Start Number (зазвичай 0)
-       // let needsDiskNumberZip64 = false; // Якщо підтримуємо багатодискові архіви
-       // if (needsDiskNumberZip64) zip64Data.push(0,0,0,0);
+        if (needsDiskZip64) {
+            const diskView = new DataView(new ArrayBuffer(4));
+            diskView.setUint32(0, diskNumber, true); // Disk start number (розділений архів)
+            zip64Data.push(...new Uint8Array(diskView.buffer));
+        }
  
  
        if (zip64Data.length > 0) {
             zip64ExtraFieldSize = 4 + zip64Data.length; // ID(2) + Size(2) + Data
        }
+       const isAES = isAESEncrypted(fileRecord);
+       const aesField = isAES ? createAESExtraField(fileRecord) : null;
+       const timestampFields = createTimestampExtraFields(fileRecord, false);
+       const unixField = fileRecord.uid !== null ? createUnixExtraField(fileRecord, false) : null;
+       const extraFieldSize = zip64ExtraFieldSize + (aesField ? aesField.length : 0) + timestampFields.length +
+         (unixField ? unixField.length : 0);
+       // Версія має збігатися з локальним заголовком, де Zip64 могло знадобитися лише для Data Descriptor
+       const versionNeeded = Math.max(useZip64 || fileRecord.zip64DataDescriptor ? VERSION_NEEDED_ZIP64 : VERSION_NEEDED_DEFAULT,
+         isAES ? VERSION_NEEDED_AES : 0);
+       // Система, що створила запис: MS-DOS (0) або Unix (3), якщо вказано права доступу
+       const isUnix = fileRecord.unixMode !== null;
+       const versionMadeBy = (isUnix ? HOST_SYSTEM_UNIX << 8 : 0) | versionNeeded;
  
- 
-       const headerSize = 46 + encodedName.length + zip64ExtraFieldSize;
+       const headerSize = 46 + encodedName.length + extraFieldSize;
        const header = new Uint8Array(headerSize);
        const view = new DataView(header.buffer);
  
        view.setUint32(0, CENTRAL_DIR_SIGNATURE, true);
-       view.setUint16(4, useZip64 ? VERSION_NEEDED_ZIP64 : VERSION_NEEDED_DEFAULT, true); // Version made by
-       view.setUint16(6, useZip64 ? VERSION_NEEDED_ZIP64 : VERSION_NEEDED_DEFAULT, true); // Version needed
-       view.setUint16(8, FLAG_UTF8, true);
-       view.setUint16(10, METHOD_STORE, true);
+       view.setUint16(4, versionMadeBy, true); // Version made by
+       view.setUint16(6, versionNeeded, true); // Version needed
+       view.setUint16(8, getGeneralPurposeFlags(fileRecord), true);
+       view.setUint16(10, isAES ? METHOD_AES : method, true);
        view.setUint16(12, dosTime, true); // Time
        view.setUint16(14, dosDate, true); // Date
-       view.setUint32(16, crc32 || 0, true);
-       const sizeField = needsSizeZip64 ? 0xFFFFFFFF : size;
-       view.setUint32(20, sizeField, true); // Compressed size
-       view.setUint32(24, sizeField, true); // Uncompressed size
+       view.setUint32(16, isAES ? 0 : crc32 || 0, true); // AE-2: CRC32 не записується
+       view.setUint32(20, needsSizeZip64 ? 0xFFFFFFFF : compressedSize, true); // Compressed size
+       view.setUint32(24, needsSizeZip64 ? 0xFFFFFFFF : size, true); // Uncompressed size
        view.setUint16(28, encodedName.length, true);
-       view.setUint16(30, zip64ExtraFieldSize, true); // Extra field length
+       view.setUint16(30, extraFieldSize, true); // Extra field length
        view.setUint16(32, 0x0000, true); // File comment length
-       view.setUint16(34, 0x0000, true); // Disk number start
+       view.setUint16(34, needsDiskZip64 ? 0xFFFF : diskNumber, true); // Disk number start
        view.setUint16(36, 0x0000, true); // Internal file attributes
-       // External file attributes: MS-DOS directory bit
-       view.setUint32(38, isDirectory ? (MSDOS_DIR_ATTR << 16) : 0x00000000, true);
+       // External file attributes: для Unix – st_mode у старших 16 бітах і MS-DOS directory bit у молодших,
+       // інакше – MS-DOS directory bit
+       const externalAttributes = isUnix
+         ? ((fileRecord.unixMode << 16) | (isDirectory ? MSDOS_DIR_ATTR : 0)) >>> 0
+         : isDirectory ? (MSDOS_DIR_ATTR << 16) : 0x00000000;
+       view.setUint32(38, externalAttributes, true);
        const offsetField = needsOffsetZip64 ? 0xFFFFFFFF : localHeaderOffset;
        view.setUint32(42, offsetField, true); // Relative offset of local header
        header.set(encodedName, 46);
@@ -459,6 +3933,13 @@ const BrowserZip = (function() {
          view.setUint16(pos, zip64Data.length, true); pos += 2; // Size of data part
          header.set(new Uint8Array(zip64Data), pos); // Записуємо підготовлені дані
        }
+       let extraPos = 46 + encodedName.length + zip64ExtraFieldSize;
+       if (aesField) {
+         header.set(aesField, extraPos);
+         extraPos += aesField.length;
+       }
+       header.set(timestampFields, extraPos);
+       if (unixField) header.set(unixField, extraPos + timestampFields.length);
        return header;
      }
 
@@ -466,22 +3947,34 @@ const BrowserZip = (function() {
      * Створює кінцеві записи архіву.
      * Якщо характеристики (зміщення, розмір каталогу, кількість записів) перевищують ліміти ZIP,
      * генерується Zip64 EOCD Record, Zip64 EOCD Locator та стандартний EOCD Record з максимальними значеннями.
-     * @param {number} centralDirectoryOffset – Зміщення центрального каталогу.
+     * @param {number} centralDirectoryOffset – Зміщення центрального каталогу (відносно початку його частини).
      * @param {number} centralDirectorySize – Розмір центрального каталогу.
      * @param {number} totalEntries – Загальна кількість записів.
+     * @param {object} [split] – Розташування для розділеного архіву (за замовчуванням – одна частина).
+     * @param {number} split.diskNumber – Номер останньої частини, у якій записуються кінцеві записи.
+     * @param {number} split.centralDirectoryDisk – Номер частини, де починається центральний каталог.
+     * @param {number} split.entriesOnDisk – Кількість записів центрального каталогу в останній частині.
+     * @param {number} split.endRecordsOffset – Зміщення кінцевих записів в останній частині.
      * @returns {Array<Uint8Array>} – Масив, що містить кінцеві записи.
      */
-    createEndRecords(centralDirectoryOffset, centralDirectorySize, totalEntries) {
+    createEndRecords(centralDirectoryOffset, centralDirectorySize, totalEntries, split = null) {
+      const {
+        diskNumber = 0,
+        centralDirectoryDisk = 0,
+        entriesOnDisk = totalEntries,
+        endRecordsOffset = centralDirectoryOffset + centralDirectorySize
+      } = split || {};
       const useZip64 = (centralDirectoryOffset >= 0xFFFFFFFF ||
                         centralDirectorySize >= 0xFFFFFFFF ||
-                        totalEntries >= 0xFFFF);
+                        totalEntries >= 0xFFFF ||
+                        diskNumber >= 0xFFFF);
 
       const eocdBuffer = new ArrayBuffer(22);
       const viewEOCD = new DataView(eocdBuffer);
       viewEOCD.setUint32(0, END_OF_CENTRAL_DIR_SIGNATURE, true);
-      viewEOCD.setUint16(4, 0, true); // Disk number
-      viewEOCD.setUint16(6, 0, true); // Disk where CD starts
-      viewEOCD.setUint16(8, useZip64 ? 0xFFFF : totalEntries, true); // Entries on this disk
+      viewEOCD.setUint16(4, Math.min(diskNumber, 0xFFFF), true); // Disk number (0xFFFF – див. Zip64 EOCD)
+      viewEOCD.setUint16(6, Math.min(centralDirectoryDisk, 0xFFFF), true); // Disk where CD starts
+      viewEOCD.setUint16(8, useZip64 ? 0xFFFF : entriesOnDisk, true); // Entries on this disk
       viewEOCD.setUint16(10, useZip64 ? 0xFFFF : totalEntries, true); // Total entries
       viewEOCD.setUint32(12, useZip64 ? 0xFFFFFFFF : centralDirectorySize, true); // CD size
       viewEOCD.setUint32(16, useZip64 ? 0xFFFFFFFF : centralDirectoryOffset, true); // CD offset
@@ -497,9 +3990,9 @@ const BrowserZip = (function() {
         viewZip64.setBigUint64(4, 44n, true); // Size of record (following this field)
         viewZip64.setUint16(12, VERSION_NEEDED_ZIP64, true); // Version made by
         viewZip64.setUint16(14, VERSION_NEEDED_ZIP64, true); // Version needed to extract
-        viewZip64.setUint32(16, 0, true); // This disk number
-        viewZip64.setUint32(20, 0, true); // Disk where CD starts
-        viewZip64.setBigUint64(24, BigInt(totalEntries), true); // Entries on this disk
+        viewZip64.setUint32(16, diskNumber, true); // This disk number
+        viewZip64.setUint32(20, centralDirectoryDisk, true); // Disk where CD starts
+        viewZip64.setBigUint64(24, BigInt(entriesOnDisk), true); // Entries on this disk
         viewZip64.setBigUint64(32, BigInt(totalEntries), true); // Total entries
         viewZip64.setBigUint64(40, BigInt(centralDirectorySize), true); // CD size
         viewZip64.setBigUint64(48, BigInt(centralDirectoryOffset), true); // CD offset
@@ -509,10 +4002,10 @@ const BrowserZip = (function() {
         const zip64LocatorBuffer = new ArrayBuffer(20);
         const viewLocator = new DataView(zip64LocatorBuffer);
         viewLocator.setUint32(0, ZIP64_END_OF_CENTRAL_DIR_LOCATOR_SIGNATURE, true);
-        viewLocator.setUint32(4, 0, true); // Disk with Zip64 EOCD Record
+        viewLocator.setUint32(4, diskNumber, true); // Disk with Zip64 EOCD Record
         // Offset of Zip64 EOCD Record (position *just before* this locator)
-        viewLocator.setBigUint64(8, BigInt(centralDirectoryOffset + centralDirectorySize), true);
-        viewLocator.setUint32(16, 1, true); // Total number of disks
+        viewLocator.setBigUint64(8, BigInt(endRecordsOffset), true);
+        viewLocator.setUint32(16, diskNumber + 1, true); // Total number of disks
         const zip64Locator = new Uint8Array(zip64LocatorBuffer);
 
         return [zip64End, zip64Locator, eocd]; // Порядок важливий: Zip64 EOCD, Zip64 Locator, EOCD
@@ -521,6 +4014,270 @@ const BrowserZip = (function() {
       }
     }
 
+    /**
+     * Обчислює точний розмір архіву в байтах до генерації: локальні заголовки з усіма додатковими полями,
+     * дані (разом із префіксом і кодом автентифікації шифрування), Data Descriptor, центральний каталог
+     * та кінцеві записи, зокрема Zip64. Корисно для заголовку Content-Length або попередження про розмір.
+     * Розмір можна визначити, якщо записи не стискаються (DEFLATE дає наперед невідомий розмір),
+     * а для потоків і функцій-постачальників вказано опцію `size` в `addFile`.
+     * @param {object} [options] - Ті самі опції, що будуть передані в `generateZipStream`
+     *   (враховуються compression, streaming, password, encryption, deterministic та epoch).
+     * @returns {number} – розмір архіву в байтах.
+     */
+    getArchiveSize(options = {}) {
+      const { size, reason } = this._planArchive(options);
+      if (size === null) throw new Error(`Неможливо визначити розмір архіву заздалегідь: ${reason}`);
+      return size;
+    }
+
+    /**
+     * Створює потік з байтами архіву в діапазоні [start, end) – такими самими, які `generateZipStream(options)`
+     * видав би на цих позиціях, але без генерації попередніх байтів. За картою архіву (див. getArchiveSize)
+     * вміст читається зрізом відповідного Blob, формуються лише ті заголовки та записи центрального каталогу,
+     * що перетинаються з діапазоном, а CRC32 обчислюється лише для записів, чиє поле CRC потрапляє в діапазон.
+     * Підходить для відповіді на HTTP Range-запити (докачування, перегляд архіву частинами) у Service Worker.
+     * Працює для архівів без стиснення та шифрування (випадкова сіль робить байти різними між запитами),
+     * що складаються з Blob і даних у пам'яті: потоки та функції-постачальники не можна читати з довільного місця.
+     * Список файлів не очищається.
+     * @param {number} start - Зміщення першого байта діапазону.
+     * @param {number} [end] - Зміщення після останнього байта (не включається), як у Blob.slice.
+     *   За замовчуванням – кінець архіву. Для заголовку `Range: bytes=a-b` передавайте (a, b + 1).
+     * @param {object} [options] - Ті самі опції, що й для повного архіву (враховуються compression, streaming,
+     *   deterministic та epoch), а також chunkSizeForCRC, signal та highWaterMark (як у generateZipStream:
+     *   скільки байтів діапазону потік може сформувати наперед, поки споживач їх не прочитав).
+     * @returns {ReadableStream} – Потік з байтами діапазону.
+     */
+    createRangeStream(start, end, options = {}) {
+      const { chunkSizeForCRC = 1024 * 1024, signal = null, highWaterMark = 1024 * 1024 } = options;
+      checkHighWaterMark(highWaterMark);
+      if (options.password || options.encryption) {
+        throw new Error('Діапазон архіву недоступний для шифрування: сіль та заголовок шифрування випадкові.');
+      }
+      const plan = this._planArchive(options);
+      if (plan.size === null) throw new Error(`Неможливо створити діапазон архіву: ${plan.reason}`);
+      if (end === undefined) end = plan.size;
+      if (!Number.isSafeInteger(start) || !Number.isSafeInteger(end) || start < 0 || start > end || end > plan.size) {
+        throw new Error(`Некоректний діапазон [${start}, ${end}) для архіву розміром ${plan.size} байт.`);
+      }
+      for (const { fileRecord, source } of plan.entries) {
+        if (fileRecord.existing) continue; // Байти старих записів читаються зі зрізу наявного архіву
+        if (fileRecord.encryptionMode) {
+          throw new Error(`Діапазон архіву недоступний: запис "${fileRecord.name}" шифрується.`);
+        }
+        if (source.provider || isStreamSource(source.content)) {
+          throw new Error(`Діапазон архіву недоступний: вміст "${fileRecord.name}" можна прочитати лише від початку.`);
+        }
+      }
+      const self = this;
+
+      // Внутрішній сигнал: спрацьовує як від options.signal, так і від скасування самого потоку
+      const abortController = new AbortController();
+      const rangeSignal = abortController.signal;
+      if (signal) {
+        if (signal.aborted) abortController.abort(signal.reason);
+        else signal.addEventListener('abort', () => abortController.abort(signal.reason), { once: true });
+      }
+
+      // Межі перетину частини архіву [offset, offset + length) з діапазоном відносно offset, або null
+      function overlap(offset, length) {
+        const from = Math.max(start, offset) - offset;
+        const to = Math.min(end, offset + length) - offset;
+        return from < to ? [from, to] : null;
+      }
+      // Чи потрапляє 4-байтове поле CRC32 за зміщенням fieldOffset у перетин
+      function coversCRC(range, fieldOffset) {
+        return range[0] < fieldOffset + 4 && range[1] > fieldOffset;
+      }
+      async function ensureCRC({ fileRecord, source }) {
+        if (fileRecord.crc32 === null) {
+          fileRecord.crc32 = await abortable(self._ensureCRC32(source, chunkSizeForCRC, rangeSignal), rangeSignal);
+        }
+      }
+
+      // Читає зріз Blob по чанках з урахуванням паузи та скасування
+      async function* readSlice(blob, [from, to]) {
+        const reader = blob.slice(from, to).stream().getReader();
+        try {
+          while (true) {
+            await self._waitIfPaused(rangeSignal);
+            throwIfAborted(rangeSignal);
+            const { done, value } = await reader.read();
+            if (done) return;
+            yield value;
+          }
+        } finally {
+          reader.releaseLock();
+        }
+      }
+
+      async function* produce() {
+        const preservedRange = plan.preservedData ? overlap(0, plan.preservedData.size) : null;
+        if (preservedRange) yield* readSlice(plan.preservedData, preservedRange);
+        for (const entry of plan.entries) {
+          const { fileRecord } = entry;
+          if (fileRecord.existing) continue;
+          await self._waitIfPaused(rangeSignal);
+          throwIfAborted(rangeSignal);
+          const dataEnd = entry.dataOffset + fileRecord.compressedSize;
+          if (fileRecord.localHeaderOffset >= end) break;
+          if (dataEnd + entry.descriptorSize <= start) continue;
+
+          let range = overlap(fileRecord.localHeaderOffset, entry.localHeaderSize);
+          if (range) {
+            if (!fileRecord.usesDataDescriptor && coversCRC(range, 14)) await ensureCRC(entry);
+            yield self.createLocalFileHeader(fileRecord).subarray(...range);
+          }
+          range = overlap(entry.dataOffset, fileRecord.compressedSize);
+          if (range) {
+            if (fileRecord.content instanceof Blob) {
+              yield* readSlice(fileRecord.content, range);
+            } else {
+              yield fileRecord.content.subarray(...range);
+            }
+          }
+          range = entry.descriptorSize ? overlap(dataEnd, entry.descriptorSize) : null;
+          if (range) {
+            if (coversCRC(range, 4)) await ensureCRC(entry);
+            yield self.createDataDescriptor(fileRecord).subarray(...range);
+          }
+        }
+
+        let offset = plan.centralDirectoryOffset;
+        for (const entry of plan.entries) {
+          if (offset >= end) return;
+          await self._waitIfPaused(rangeSignal);
+          throwIfAborted(rangeSignal);
+          const range = overlap(offset, entry.centralHeaderSize);
+          if (range && entry.fileRecord.existing) {
+            yield entry.fileRecord.centralHeader.subarray(...range);
+          } else if (range) {
+            if (coversCRC(range, 16)) await ensureCRC(entry);
+            yield self.createCentralDirectoryHeader(entry.fileRecord).subarray(...range);
+          }
+          offset += entry.centralHeaderSize;
+        }
+        for (const record of plan.endRecords) {
+          const range = overlap(offset, record.byteLength);
+          if (range) yield record.subarray(...range);
+          offset += record.byteLength;
+        }
+      }
+
+      return createPullStream(produce(), abortController, highWaterMark);
+    }
+
+    /**
+     * Повертає дані наявного архіву (fromExisting), що записуються на початку без змін,
+     * або null, якщо в списку не залишилося жодного запису з нього.
+     * @returns {Blob|null}
+     */
+    _getPreservedData() {
+      if (!this._existingData) return null;
+      for (const fileRecord of this.files.values()) {
+        if (fileRecord.existing) return this._existingData;
+      }
+      return null;
+    }
+
+    /**
+     * Будує карту архіву для поточного списку записів (див. getArchiveSize), не змінюючи самі записи:
+     * для кожного запису – копія з визначеним розташуванням та розміри його заголовків.
+     * Записи з наявного архіву (fromExisting) мають лише centralHeaderSize, а їхні дані – у preservedData.
+     * @param {object} options – опції генерації.
+     * @returns {{size: number|null, reason?: string, preservedData?: Blob|null, entries?: Array<{fileRecord: Object,
+     *   source: Object, localHeaderSize: number, dataOffset: number, descriptorSize: number, centralHeaderSize: number}>,
+     *   centralDirectoryOffset?: number, endRecords?: Array<Uint8Array>}} – size дорівнює null (з причиною
+     *   в reason), якщо розмір невідомий до генерації.
+     */
+    _planArchive(options) {
+      const {
+        compression = 'store',
+        streaming = false,
+        password = null,
+        encryption = null,
+        deterministic = false,
+        epoch,
+        manifest = null
+      } = options;
+      checkGenerationOptions(compression, encryption, password);
+      if (manifest) {
+        return { size: null, reason: 'вміст маніфесту стає відомим лише під час генерації.' };
+      }
+      const preservedData = this._getPreservedData();
+      const records = Array.from(this.files.values());
+      const entries = [];
+      let offset = preservedData ? preservedData.size : 0;
+      let centralDirectorySize = 0;
+      for (const record of deterministic ? prepareDeterministicRecords(records, epoch, password) : records) {
+        if (record.existing) {
+          entries.push({ fileRecord: record, source: record, centralHeaderSize: record.centralHeader.byteLength });
+          centralDirectorySize += record.centralHeader.byteLength;
+          continue;
+        }
+        const source = this.files.get(record.name); // Запис списку (CRC32 обчислюється і зберігається в ньому)
+        const fileRecord = { ...record };
+        resolveEntryEncryption(fileRecord, password, encryption);
+        if (fileRecord.size === null) {
+          return { size: null, reason: `розмір "${fileRecord.name}" невідомий (вкажіть опцію size в addFile).` };
+        }
+        planEntryLayout(fileRecord, compression, streaming);
+        if (fileRecord.method === METHOD_DEFLATE) {
+          return { size: null, reason: `запис "${fileRecord.name}" стискається DEFLATE.` };
+        }
+        if (fileRecord.encryptionMode) fileRecord.compressedSize += ENCRYPTION_OVERHEAD[fileRecord.encryptionMode];
+        fileRecord.localHeaderOffset = offset;
+        const localHeaderSize = this.createLocalFileHeader(fileRecord).byteLength;
+        const dataOffset = offset + localHeaderSize;
+        const descriptorSize = fileRecord.usesDataDescriptor ? this.createDataDescriptor(fileRecord).byteLength : 0;
+        const centralHeaderSize = this.createCentralDirectoryHeader(fileRecord).byteLength;
+        entries.push({ fileRecord, source, localHeaderSize, dataOffset, descriptorSize, centralHeaderSize });
+        offset = dataOffset + fileRecord.compressedSize + descriptorSize;
+        centralDirectorySize += centralHeaderSize;
+      }
+      const endRecords = this.createEndRecords(offset, centralDirectorySize, entries.length);
+      return {
+        size: offset + centralDirectorySize + endRecords.reduce((total, rec) => total + rec.byteLength, 0),
+        preservedData,
+        entries,
+        centralDirectoryOffset: offset,
+        endRecords
+      };
+    }
+
+    /**
+     * Створює записи маніфесту (та його підпису) для генерації. Вміст формується функціями-постачальниками,
+     * які викликаються після запису всіх інших записів, тож маніфест містить їхні хеші.
+     * @param {{name: string, format: string, signingKey: CryptoKey|null}} manifestOptions – див. readManifestOptions.
+     * @param {Array<Object>} digestEntries – хеші записаних записів (заповнюється під час генерації).
+     * @param {string} algorithm – алгоритм хешування.
+     * @param {{manifest: Uint8Array|null, signature: Uint8Array|null}} manifestResult – сюди зберігаються
+     *   вміст маніфесту та підпис.
+     * @returns {Array<Object>}
+     */
+    _createManifestRecords(manifestOptions, digestEntries, algorithm, manifestResult) {
+      const { name, format, signingKey } = manifestOptions;
+      const names = signingKey ? [name, name + MANIFEST_SIGNATURE_SUFFIX] : [name];
+      for (const recordName of names) {
+        if (this.files.has(recordName)) {
+          throw new Error(`Ім'я "${recordName}" зайняте записом архіву, а воно потрібне для маніфесту.`);
+        }
+      }
+      // Маніфест не шифрується, щоб його можна було перевірити без пароля
+      const records = [this._createFileRecord(name, () => {
+        manifestResult.manifest = createManifest(digestEntries, algorithm, format);
+        return manifestResult.manifest;
+      }, { password: '' })];
+      if (signingKey) {
+        records.push(this._createFileRecord(names[1], async () => {
+          const signature = await getWebCrypto().subtle.sign(
+            getSignatureParams(signingKey), signingKey, manifestResult.manifest);
+          manifestResult.signature = new Uint8Array(signature);
+          return manifestResult.signature;
+        }, { password: '' }));
+      }
+      return records;
+    }
+
     /**
      * Генерує ZIP‑архів як ReadableStream.
      * Потік формується шляхом послідовного додавання локальних заголовків, вмісту файлів,
@@ -528,165 +4285,855 @@ const BrowserZip = (function() {
      * @param {object} [options] - Опції генерації.
      * @param {number} [options.chunkSizeForCRC=1024 * 1024] – Розмір чанку для CRC32.
      * @param {function} [options.onProgress=null] – Функція зворотного виклику для оновлення прогресу
-     *   (отримує об'єкт: { filename, fileBytesProcessed, fileTotalBytes, overallProgressPercent })
+     *   (отримує об'єкт: { filename, fileBytesProcessed, fileTotalBytes, overallProgressPercent, bytesWritten, totalBytes }).
+     *   Для потоку невідомого розміру fileTotalBytes дорівнює null. Якщо розмір архіву відомий заздалегідь
+     *   (див. getArchiveSize), totalBytes містить його, а overallProgressPercent рахується за записаними байтами
+     *   архіву; інакше totalBytes дорівнює null, а відсоток рахується за прочитаним вмістом файлів.
+     *   Ті самі дані разом зі швидкістю та оцінкою часу надсилаються подією `progress` (див. опис класу).
+     * @param {number} [options.progressInterval=0] - Найменший інтервал (мс) між викликами onProgress
+     *   та подіями `progress`; проміжні оновлення пропускаються, а останнє (100%) надсилається завжди.
      * @param {boolean} [options.clearAfterGenerate=true] - Чи очищати список файлів після генерації.
-     * @returns {ReadableStream} – Потік з даними ZIP‑архіву.
+     * @param {number} [options.highWaterMark=1048576] - Скільки байтів архіву потік може сформувати наперед,
+     *   поки споживач їх не прочитав. Генерація керується запитами споживача (pull): наступний чанк файлу
+     *   читається лише тоді, коли в черзі потоку є місце, тож пам'ять не залежить від розміру архіву
+     *   й швидкості споживача. 0 – формувати дані лише на запит read().
+     * @param {'store'|'deflate'|'auto'} [options.compression='store'] - Метод стиснення за замовчуванням
+     *   для записів, у яких його не вказано в `addFile`. 'auto' зберігає вже стиснуті типи (jpg, png, mp4, zip…)
+     *   без стиснення, а решту стискає DEFLATE. Стиснуті записи стискаються по чанках під час запису
+     *   і завжди використовують Data Descriptor.
+     * @param {boolean} [options.streaming=false] - Однопрохідний режим: для Blob CRC32 обчислюється
+     *   під час запису даних, а не окремим читанням файлу. У локальному заголовку
+     *   встановлюється біт 3, CRC та розміри записуються нулями, а реальні значення – у Data Descriptor
+     *   після даних і в центральний каталог.
+     * @param {AbortSignal} [options.signal] - Сигнал скасування. Після abort() читання файлів припиняється,
+     *   завдання CRC32 скасовуються, а потік завершується з помилкою AbortError.
+     *   Скасування самого потоку (stream.cancel()) має той самий ефект.
+     * @param {number} [options.crcLookahead] - Для скількох наступних записів заздалегідь запускати
+     *   обчислення CRC32, поки записується поточний (за замовчуванням – кількість воркерів у пулі).
+     * @param {string} [options.password] - Пароль для всіх записів, у яких його не вказано в `addFile`.
+     *   Директорії не шифруються.
+     * @param {'aes256'|'aes128'|'zipcrypto'} [options.encryption='aes256'] - Метод шифрування за замовчуванням:
+     *   WinZip AES (AE-2) з 256- або 128-бітним ключем, або традиційний ZipCrypto (слабкий, лише для старих програм).
+     * @param {boolean} [options.deterministic=false] - Відтворюваний архів: однакові вхідні дані завжди дають
+     *   однакові байти. Записи сортуються за іменем (папки перед вмістом), час усіх записів замінюється
+     *   опцією epoch, а атрибути нормалізуються (див. prepareDeterministicRecords). Список файлів не змінюється.
+     *   Несумісний із шифруванням.
+     * @param {Date|number} [options.epoch] - Час записів детермінованого архіву (Date або мілісекунди),
+     *   наприклад `SOURCE_DATE_EPOCH * 1000`. За замовчуванням – 1980-01-01 00:00:00 UTC.
+     * @param {'SHA-256'|'SHA-512'} [options.digest] - Обчислювати хеш вмісту кожного файлу. Хеш рахується
+     *   за той самий прохід, що й CRC32 (у воркері для Blob, під час запису для потоків), і передається
+     *   в подію `entryend` та `stream.result`. Записи з наявного архіву (fromExisting) не хешуються.
+     * @param {boolean|Object} [options.manifest] - Додати в кінець архіву маніфест із хешами всіх файлів
+     *   (алгоритм – опція digest, за замовчуванням SHA-256). true – `MANIFEST.json`; об'єкт:
+     * @param {string} [options.manifest.name] - Ім'я запису маніфесту ('MANIFEST.json' або 'META-INF/MANIFEST.MF').
+     * @param {'json'|'mf'} [options.manifest.format] - Формат: JSON або MANIFEST.MF у стилі JAR
+     *   (за замовчуванням визначається за розширенням імені).
+     * @param {CryptoKey} [options.manifest.signingKey] - Приватний ключ WebCrypto (ECDSA, RSASSA-PKCS1-v1_5
+     *   або RSA-PSS). Відокремлений підпис маніфесту записується окремим записом `<ім'я маніфесту>.sig`
+     *   (див. BrowserZip.verifyManifest).
+     * @returns {ReadableStream} – Потік з даними ZIP‑архіву. Його властивість `result` – проміс
+     *   { algorithm, digests, manifest, signature }, що виконується після завершення потоку: хеші (hex)
+     *   за іменами записів, вміст маніфесту та підпис (Uint8Array або null).
      */
     generateZipStream(options = {}) {
-      const { chunkSizeForCRC = 1024 * 1024, onProgress = null, clearAfterGenerate = true } = options;
+      return this._createArchiveStream(options, 0);
+    }
+
+    /**
+     * Створює потік архіву (див. generateZipStream).
+     * @param {object} options – опції generateZipStream.
+     * @param {number} partSize – найбільший розмір частини розділеного архіву або 0 для звичайного архіву.
+     *   Між частинами розділеного архіву в потік додається маркер PART_BOUNDARY.
+     * @returns {ReadableStream}
+     */
+    _createArchiveStream(options, partSize) {
+      const {
+        chunkSizeForCRC = 1024 * 1024,
+        onProgress = null,
+        progressInterval = 0,
+        clearAfterGenerate = true,
+        compression = 'store',
+        streaming = false,
+        signal = null,
+        crcLookahead = this.workerPool.numWorkers,
+        password = null,
+        encryption = null,
+        deterministic = false,
+        epoch,
+        digest = null,
+        manifest = null,
+        highWaterMark = 1024 * 1024
+      } = options;
+      checkGenerationOptions(compression, encryption, password);
+      checkHighWaterMark(highWaterMark);
+      const manifestOptions = readManifestOptions(manifest);
+      const digestAlgorithm = digest || (manifestOptions ? 'SHA-256' : null);
+      if (digestAlgorithm !== null) checkDigestAlgorithm(digestAlgorithm);
+      const preservedData = this._getPreservedData();
+      if (preservedData && partSize) {
+        throw new Error("Доповнений архів (fromExisting) неможливо розділити на частини: зміщення старих записів зафіксовані.");
+      }
+      if (preservedData && manifestOptions) {
+        throw new Error("Маніфест недоступний для доповненого архіву (fromExisting): старі записи не хешуються.");
+      }
       const self = this;
       // Робимо копію, якщо не плануємо очищати, або працюємо з оригіналом
-      const fileRecords = Array.from(this.files.values());
+      const sourceRecords = Array.from(this.files.values());
+      const digestEntries = []; // { name, size, digest } записаних записів – для маніфесту та stream.result
+      const manifestResult = { manifest: null, signature: null };
+      const manifestRecords = manifestOptions ? this._createManifestRecords(manifestOptions, digestEntries, digestAlgorithm, manifestResult) : [];
+      const manifestNames = new Set(manifestRecords.map(fileRecord => fileRecord.name));
+      // Детермінований режим записує нормалізовані копії в канонічному порядку; маніфест – завжди останній
+      const fileRecords = deterministic
+        ? prepareDeterministicRecords(sourceRecords, epoch, password).concat(prepareDeterministicRecords(manifestRecords, epoch, password))
+        : sourceRecords.concat(manifestRecords);
+      const originals = deterministic ? new Map(sourceRecords.map(fileRecord => [fileRecord.name, fileRecord])) : null;
       const centralDirectoryEntries = [];
       let currentOffset = 0n; // --- ПОКРАЩЕННЯ: Використовуємо BigInt для зміщення ---
       let totalUncompressedSize = 0n;
 
-      // Обчислюємо загальний розмір даних (для прогресу)
+      // Обчислюємо загальний розмір даних (для прогресу); невідомий розмір потоків не враховується
       for (const fileRecord of fileRecords) {
-          totalUncompressedSize += BigInt(fileRecord.size);
+          if (!fileRecord.existing) totalUncompressedSize += BigInt(fileRecord.size || 0);
       }
 
-      const stream = new ReadableStream({
-        async start(controller) { 
-          try {
-            let processedSize = 0n; // --- ПОКРАЩЕННЯ: BigInt для прогресу ---
-
-            for (const fileRecord of fileRecords) {
-              // Перевіряємо, чи CRC32 вже обчислено (для не-Blob)
-              if (fileRecord.crc32 === null && fileRecord.content instanceof Blob) {
-                  try {
-                      fileRecord.crc32 = await self.workerPool.runCRC32Stream(fileRecord.content, chunkSizeForCRC);
-                  } catch (error) {
-                      console.error(`Помилка обчислення CRC32 для файлу "${fileRecord.name}":`, error);
-                      throw new Error(`Помилка CRC32 для "${fileRecord.name}": ${error.message}`);
-                  }
-              } else if (fileRecord.isDirectory) {
-                   fileRecord.crc32 = 0; // Переконуємося, що для директорії CRC = 0
+      // Шифрування кожного запису: пароль і метод запису мають пріоритет над опціями архіву
+      for (const fileRecord of fileRecords) {
+        if (!fileRecord.existing) resolveEntryEncryption(fileRecord, password, encryption);
+      }
+      // Точний розмір архіву для прогресу (null, якщо його неможливо визначити заздалегідь)
+      const archiveSize = partSize ? null : this._planArchive(options).size;
+
+      // Внутрішній сигнал: спрацьовує як від options.signal, так і від скасування самого потоку
+      const abortController = new AbortController();
+      const generationSignal = abortController.signal;
+      if (signal) {
+        if (signal.aborted) abortController.abort(signal.reason);
+        else signal.addEventListener('abort', () => abortController.abort(signal.reason), { once: true });
+      }
+
+      // Підсумок генерації (stream.result): хеші записів, маніфест та підпис
+      let resolveResult, rejectResult;
+      const result = new Promise((resolve, reject) => {
+        resolveResult = resolve;
+        rejectResult = reject;
+      });
+      result.catch(() => {}); // Помилку генерації отримує споживач потоку; result – необов'язковий
+
+      // Читає потік по чанках з урахуванням паузи та скасування
+      const readChunks = source => self._readChunks(source, generationSignal);
+
+      // Генерація ведеться ліниво: наступний чанк формується (і наступний чанк Blob читається) лише тоді,
+      // коли споживач запитує дані, тож у черзі потоку не більше highWaterMark байтів
+      async function* produce() {
+        const updateProgress = createProgressReporter(self, {
+          onProgress,
+          progressInterval,
+          archiveSize,
+          totalSize: totalUncompressedSize,
+          getBytesWritten: () => Number(currentOffset)
+        });
+        let phase = null;
+        const setPhase = (next) => {
+          if (phase === next) return;
+          phase = next;
+          self._dispatch('phase', { phase });
+        };
+        try {
+          let processedSize = 0n; // --- ПОКРАЩЕННЯ: BigInt для прогресу ---
+          let diskNumber = 0; // Номер поточної частини розділеного архіву
+          let diskStart = 0n; // Зміщення початку поточної частини
+
+          // Видає дані споживачу (`yield* write(chunk)`); у розділеному архіві вони розрізаються на межах частин
+          const write = function* (chunk) {
+            if (!partSize) {
+              currentOffset += BigInt(chunk.byteLength);
+              yield chunk;
+              return;
+            }
+            let position = 0;
+            while (position < chunk.byteLength) {
+              if (currentOffset - diskStart === BigInt(partSize)) yield* startPart();
+              const room = partSize - Number(currentOffset - diskStart);
+              const piece = chunk.subarray(position, position + room);
+              currentOffset += BigInt(piece.byteLength);
+              position += piece.byteLength;
+              yield piece;
+            }
+          };
+          const startPart = function* () {
+            diskNumber++;
+            diskStart = currentOffset;
+            yield PART_BOUNDARY;
+          };
+          // Заголовки не розриваються між частинами: якщо заголовок не вміщується в поточну частину,
+          // він починає наступну. Повертає true, якщо почато нову частину.
+          const startRecord = function* (length) {
+            if (!partSize || Number(currentOffset - diskStart) + length <= partSize) return false;
+            if (length > partSize) {
+              throw new Error(`Заголовок (${length} байт) не вміщується в частину розміром ${partSize} байт.`);
+            }
+            yield* startPart();
+            return true;
+          };
+
+          if (partSize) {
+            const signature = new Uint8Array(4);
+            new DataView(signature.buffer).setUint32(0, SPLIT_ARCHIVE_SIGNATURE, true);
+            yield* write(signature);
+          }
+
+          // Дані наявного архіву (fromExisting) копіюються без змін, тож зміщення старих записів зберігаються
+          if (preservedData) {
+            setPhase('writing');
+            for await (const chunk of readChunks(preservedData.stream())) {
+              yield* write(chunk);
+              updateProgress(processedSize, null, 0n, 0n);
+            }
+          }
+
+          for (const [index, fileRecord] of fileRecords.entries()) {
+            if (fileRecord.existing) {
+              centralDirectoryEntries.push(fileRecord.centralHeader);
+              continue;
+            }
+            await self._waitIfPaused(generationSignal);
+            throwIfAborted(generationSignal);
+            if (fileRecord.provider) await resolveProvidedContent(fileRecord, generationSignal);
+            const streamed = isStreamSource(fileRecord.content);
+            self._dispatch('entrystart', { name: fileRecord.name, index, size: fileRecord.size });
+
+            // Тримаємо пул зайнятим: CRC32 наступних записів обчислюється, поки записується поточний.
+            // У потоковому режимі CRC32 обчислюється під час запису, тож окреме хешування не потрібне.
+            if (!streaming) {
+              const lookaheadEnd = Math.min(fileRecords.length, index + 1 + crcLookahead);
+              for (let next = index; next < lookaheadEnd; next++) {
+                const nextRecord = fileRecords[next];
+                if (nextRecord.existing) continue;
+                // Записи з Data Descriptor (зокрема стиснуті) хешуються під час запису
+                planEntryLayout(nextRecord, compression, streaming);
+                if (nextRecord.usesDataDescriptor) continue;
+                // Хеш вмісту обчислюється за той самий прохід, що й CRC32
+                if (digestAlgorithm !== null && nextRecord.content instanceof Blob) {
+                  self._ensureDigest(nextRecord, digestAlgorithm, chunkSizeForCRC, generationSignal);
+                } else if (!isAESEncrypted(nextRecord)) { // Для AE-2 CRC32 не записується, тож не обчислюється
+                  self._ensureCRC32(nextRecord, chunkSizeForCRC, generationSignal);
+                }
               }
+            }
+
+            planEntryLayout(fileRecord, compression, streaming);
 
-              // Зберігаємо зміщення *перед* записом локального заголовку
-              fileRecord.localHeaderOffset = Number(currentOffset); // Зберігаємо як Number, перевірка на > 0xFFFFFFFF буде в CDH
+            if (fileRecord.usesDataDescriptor) {
+              // Ключі виводяться до запису заголовку, щоб помилка WebCrypto не залишила незавершений запис
+              const encryptor = fileRecord.encryptionMode ? createEncryptor(fileRecord, self.workerPool, generationSignal) : null;
+              const encryptionPrefix = encryptor ? await encryptor.start() : null;
 
-              // Створюємо та надсилаємо локальний заголовок
               const localHeader = self.createLocalFileHeader(fileRecord);
-              controller.enqueue(localHeader);
-              currentOffset += BigInt(localHeader.byteLength);
-
-              // Потокове надсилання вмісту файлу (якщо є)
-              if (!fileRecord.isDirectory && fileRecord.size > 0) {
-                let fileBytesProcessed = 0n;
-                const fileSizeBigInt = BigInt(fileRecord.size);
-
-                 // Оновлення прогресу перед початком обробки файлу
-                 updateProgress(processedSize, fileRecord, 0n, fileSizeBigInt, onProgress);
-
-                if (fileRecord.content instanceof Blob) {
-                  const reader = fileRecord.content.stream().getReader();
-                  while (true) {
-                    const { done, value } = await reader.read();
-                    if (done) break;
-                    controller.enqueue(value); // value це Uint8Array
-                    const chunkLen = BigInt(value.byteLength);
-                    currentOffset += chunkLen;
+              setPhase('writing');
+              yield* startRecord(localHeader.byteLength);
+              fileRecord.diskNumber = diskNumber;
+              fileRecord.localHeaderOffset = Number(currentOffset - diskStart);
+              yield* write(localHeader);
+
+              const fileSizeBigInt = fileRecord.size === null ? null : BigInt(fileRecord.size);
+              let fileBytesProcessed = 0n;
+              const crc32 = new CRC32();
+              const hash = digestAlgorithm !== null ? new SHA2(digestAlgorithm) : null;
+              updateProgress(processedSize, fileRecord, 0n, fileSizeBigInt);
+
+              const source = streamed ? toReadableStream(fileRecord.content)
+                : (fileRecord.content instanceof Blob ? fileRecord.content : new Blob([fileRecord.content])).stream();
+              const data = source
+                .pipeThrough(new TransformStream({
+                  transform(chunk, chunkController) {
+                    if (streamed) chunk = toChunkBytes(chunk, fileRecord.name);
+                    crc32.update(chunk);
+                    if (hash) hash.update(chunk);
+                    const chunkLen = BigInt(chunk.byteLength);
                     processedSize += chunkLen;
                     fileBytesProcessed += chunkLen;
-                    // Оновлюємо прогрес після кожного чанку
-                    updateProgress(processedSize, fileRecord, fileBytesProcessed, fileSizeBigInt, onProgress);
+                    chunkController.enqueue(chunk);
                   }
-                } else if (fileRecord.content instanceof Uint8Array) {
-                  controller.enqueue(fileRecord.content);
-                  const chunkLen = BigInt(fileRecord.content.byteLength);
-                  currentOffset += chunkLen;
-                  processedSize += chunkLen;
-                  fileBytesProcessed = chunkLen;
-                  // Оновлюємо прогрес після запису всього вмісту
-                  updateProgress(processedSize, fileRecord, fileBytesProcessed, fileSizeBigInt, onProgress);
-                }
-                 // Можливо, ще одне оновлення прогресу для файлу = 100%
-                 // updateProgress(processedSize, fileRecord, fileSizeBigInt, fileSizeBigInt, onProgress);
-              } else {
-                   // Для порожніх файлів/директорій теж можна викликати прогрес (0/0 bytes)
-                   updateProgress(processedSize, fileRecord, 0n, 0n, onProgress);
+                }));
+              // Вміст стискається по чанках і читається лише тоді, коли споживач архіву чекає на дані
+              const chunks = fileRecord.method === METHOD_DEFLATE
+                ? compressChunks(readChunks(data), 'deflate-raw')
+                : readChunks(data);
+
+              // Розмір даних запису разом із префіксом і кодом автентифікації шифрування
+              const dataStart = currentOffset;
+              if (encryptionPrefix) yield* write(encryptionPrefix);
+              for await (const chunk of chunks) {
+                yield* write(encryptor ? await encryptor.update(chunk) : chunk);
+                // Прогрес – після запису, щоб кількість записаних байтів архіву була точною
+                updateProgress(processedSize, fileRecord, fileBytesProcessed, fileSizeBigInt);
               }
+              if (encryptor) yield* write(encryptor.finish());
+              const compressedSize = currentOffset - dataStart;
 
-              // Створюємо запис центрального каталогу (зміщення вже відоме)
-              const centralHeader = self.createCentralDirectoryHeader(fileRecord);
-              centralDirectoryEntries.push(centralHeader);
-            } // end for loop (fileRecords)
+              if (fileSizeBigInt !== null && fileBytesProcessed !== fileSizeBigInt) {
+                throw new Error(streamed
+                  ? `Розмір потоку "${fileRecord.name}" (${fileBytesProcessed} байт) не відповідає опції size (${fileSizeBigInt}).`
+                  : `Розмір файлу "${fileRecord.name}" змінився під час генерації архіву.`);
+              }
+              fileRecord.crc32 = crc32.digest();
+              if (hash) fileRecord.digest = { algorithm: digestAlgorithm, value: bytesToHex(hash.digest()) };
+              fileRecord.size = Number(fileBytesProcessed);
+              fileRecord.compressedSize = Number(compressedSize);
+              // Прочитаний потік та вміст від постачальника більше не потрібні
+              if (streamed || fileRecord.provider) fileRecord.content = null;
 
-            // Записуємо центральний каталог
-            let centralDirSize = 0n;
-            const centralDirOffset = currentOffset; // Зміщення початку CD
+              const dataDescriptor = self.createDataDescriptor(fileRecord);
+              yield* startRecord(dataDescriptor.byteLength);
+              yield* write(dataDescriptor);
 
-            for (const entry of centralDirectoryEntries) {
-              controller.enqueue(entry);
-              centralDirSize += BigInt(entry.byteLength);
+              const centralHeader = self.createCentralDirectoryHeader(fileRecord);
+              centralDirectoryEntries.push(centralHeader);
+              finishEntry(fileRecord, index);
+              continue;
             }
-            currentOffset += centralDirSize;
-
-            // Записуємо кінцеві записи
-            const endRecords = self.createEndRecords(
-                Number(centralDirOffset), // Конвертуємо BigInt в Number для EOCD записів
-                Number(centralDirSize),   // (перевірка на > 0xFFFFFFFF вже виконана)
-                fileRecords.length
-            );
-            for (const rec of endRecords) {
-              controller.enqueue(rec);
-              // currentOffset += BigInt(rec.byteLength); // Оновлення offset тут вже не потрібне
+
+            // Хеш вмісту (опція digest) обчислюється разом із CRC32 за один прохід
+            const needsDigest = digestAlgorithm !== null && !fileRecord.isDirectory &&
+              !(fileRecord.digest && fileRecord.digest.algorithm === digestAlgorithm);
+            // Перевіряємо, чи CRC32 вже обчислено (для не-Blob)
+            if (needsDigest || (fileRecord.crc32 === null && fileRecord.content instanceof Blob && !isAESEncrypted(fileRecord))) {
+                const checksum = needsDigest ? digestAlgorithm : 'CRC32';
+                try {
+                    // Обчислення могло бути запущене раніше (precomputeChecksums або попередній запис)
+                    if (fileRecord.content instanceof Blob) setPhase('hashing');
+                    if (needsDigest) {
+                      await abortable(self._ensureDigest(fileRecord, digestAlgorithm, chunkSizeForCRC, generationSignal), generationSignal);
+                    } else {
+                      fileRecord.crc32 = await abortable(self._ensureCRC32(fileRecord, chunkSizeForCRC, generationSignal), generationSignal);
+                    }
+                } catch (error) {
+                    if (generationSignal.aborted) throw createAbortError(generationSignal);
+                    console.error(`Помилка обчислення ${checksum} для файлу "${fileRecord.name}":`, error);
+                    throw new Error(`Помилка ${checksum} для "${fileRecord.name}": ${error.message}`);
+                }
+            } else if (fileRecord.isDirectory) {
+                 fileRecord.crc32 = 0; // Переконуємося, що для директорії CRC = 0
             }
 
-            // --- ПОКРАЩЕННЯ: Опціональне очищення ---
-            if (clearAfterGenerate) {
-                self.files.clear();
+            // Шифрування додає до даних запису префікс (сіль або заголовок ZipCrypto) та код автентифікації AES
+            const encryptor = fileRecord.encryptionMode ? createEncryptor(fileRecord, self.workerPool, generationSignal) : null;
+            const encryptionPrefix = encryptor ? await encryptor.start() : null;
+            if (encryptor) fileRecord.compressedSize += ENCRYPTION_OVERHEAD[fileRecord.encryptionMode];
+
+            // Створюємо та надсилаємо локальний заголовок
+            const localHeader = self.createLocalFileHeader(fileRecord);
+            setPhase('writing');
+            yield* startRecord(localHeader.byteLength);
+            // Зберігаємо зміщення *перед* записом локального заголовку (відносно початку його частини)
+            fileRecord.diskNumber = diskNumber;
+            fileRecord.localHeaderOffset = Number(currentOffset - diskStart); // Зберігаємо як Number, перевірка на > 0xFFFFFFFF буде в CDH
+            yield* write(localHeader);
+            if (encryptionPrefix) yield* write(encryptionPrefix);
+
+            // Потокове надсилання вмісту файлу (якщо є)
+            if (!fileRecord.isDirectory && fileRecord.size > 0) {
+              let fileBytesProcessed = 0n;
+              const fileSizeBigInt = BigInt(fileRecord.size);
+
+               // Оновлення прогресу перед початком обробки файлу
+               updateProgress(processedSize, fileRecord, 0n, fileSizeBigInt);
+
+              if (fileRecord.content instanceof Blob) {
+                for await (const value of readChunks(fileRecord.content.stream())) {
+                  yield* write(encryptor ? await encryptor.update(value) : value); // value це Uint8Array
+                  const chunkLen = BigInt(value.byteLength);
+                  processedSize += chunkLen;
+                  fileBytesProcessed += chunkLen;
+                  // Оновлюємо прогрес після кожного чанку
+                  updateProgress(processedSize, fileRecord, fileBytesProcessed, fileSizeBigInt);
+                }
+              } else if (fileRecord.content instanceof Uint8Array) {
+                yield* write(encryptor ? await encryptor.update(fileRecord.content) : fileRecord.content);
+                const chunkLen = BigInt(fileRecord.content.byteLength);
+                processedSize += chunkLen;
+                fileBytesProcessed = chunkLen;
+                // Оновлюємо прогрес після запису всього вмісту
+                updateProgress(processedSize, fileRecord, fileBytesProcessed, fileSizeBigInt);
+              }
+               // Можливо, ще одне оновлення прогресу для файлу = 100%
+               // updateProgress(processedSize, fileRecord, fileSizeBigInt, fileSizeBigInt);
+            } else {
+                 // Для порожніх файлів/директорій теж можна викликати прогрес (0/0 bytes)
+                 updateProgress(processedSize, fileRecord, 0n, 0n);
             }
+            if (encryptor) yield* write(encryptor.finish());
+            if (fileRecord.provider) fileRecord.content = null; // Вміст від постачальника більше не потрібен
 
-            controller.close(); // Завершуємо потік
+            // Створюємо запис центрального каталогу (зміщення вже відоме)
+            const centralHeader = self.createCentralDirectoryHeader(fileRecord);
+            centralDirectoryEntries.push(centralHeader);
+            finishEntry(fileRecord, index);
+          } // end for loop (fileRecords)
 
-          } catch (error) {
+          // Записуємо центральний каталог; його початок – у частині з першим записом
+          setPhase('central-directory');
+          if (centralDirectoryEntries.length > 0) yield* startRecord(centralDirectoryEntries[0].byteLength);
+          const centralDirDisk = diskNumber;
+          const centralDirOffset = currentOffset - diskStart; // Зміщення початку CD у його частині
+          const centralDirStart = currentOffset;
+          let entriesOnLastDisk = 0;
+
+          for (const entry of centralDirectoryEntries) {
+            if (yield* startRecord(entry.byteLength)) entriesOnLastDisk = 0;
+            yield* write(entry);
+            entriesOnLastDisk++;
+          }
+          const centralDirSize = currentOffset - centralDirStart;
+
+          // Записуємо кінцеві записи разом в останній частині (місце – для найбільшого варіанту із Zip64)
+          if (yield* startRecord(ZIP64_END_RECORDS_MAX_SIZE)) entriesOnLastDisk = 0;
+          const endRecords = self.createEndRecords(
+              Number(centralDirOffset), // Конвертуємо BigInt в Number для EOCD записів
+              Number(centralDirSize),   // (перевірка на > 0xFFFFFFFF вже виконана)
+              fileRecords.length,
+              {
+                diskNumber,
+                centralDirectoryDisk: centralDirDisk,
+                entriesOnDisk: entriesOnLastDisk,
+                endRecordsOffset: Number(currentOffset - diskStart)
+              }
+          );
+          for (const rec of endRecords) yield* write(rec);
+          updateProgress(processedSize, null, 0n, 0n, true); // 100% архіву
+
+          // --- ПОКРАЩЕННЯ: Опціональне очищення ---
+          if (clearAfterGenerate) {
+              self.files.clear();
+              self._caseIndex = null;
+              self._existingData = null;
+          }
+
+          setPhase('done');
+          resolveResult({
+            algorithm: digestAlgorithm,
+            digests: Object.fromEntries(digestEntries.map(entry => [entry.name, entry.digest])),
+            manifest: manifestResult.manifest,
+            signature: manifestResult.signature
+          });
+
+        } catch (error) {
+          if (generationSignal.aborted) {
+            error = createAbortError(generationSignal); // Скасування – не помилка генерації
+          } else {
             console.error("Помилка під час генерації ZIP:", error);
-            controller.error(error); // Передаємо помилку в потік
           }
+          rejectResult(error);
+          throw error; // Потік завершиться з помилкою (див. pull)
+        }
 
 
-          function updateProgress(processed, record, fileProcessed, fileTotal, callback) {
-            if (!callback) return;
-            let overallPercent = 0;
-            // Запобігання діленню на нуль, якщо загальний розмір 0
-            if (totalUncompressedSize > 0n) {
-                // Обережно з великими числами при обчисленні відсотка
-                overallPercent = Math.min(100, Math.round(Number(processed * 100n / totalUncompressedSize)));
-            } else if (record) { // Якщо розмір 0, але є файли, показуємо 100% після останнього
-                 overallPercent = 100;
+        function finishEntry(fileRecord, index) {
+          // Прочитаний потік та обчислений CRC32 копії (детермінований режим) переносяться в запис списку
+          const original = originals && originals.get(fileRecord.name);
+          if (original && original !== fileRecord) {
+            if (isStreamSource(original.content)) original.content = null;
+            else if (original.content instanceof Blob) {
+              if (original.crc32 === null) original.crc32 = fileRecord.crc32;
+              if (fileRecord.digest) original.digest = fileRecord.digest;
             }
-            callback({
-              filename: record ? record.name : null, // Може бути null на початковому етапі
-              fileBytesProcessed: Number(fileProcessed), // Конвертуємо в Number для колбеку
-              fileTotalBytes: Number(fileTotal),       // Конвертуємо в Number для колбеку
-              overallProgressPercent: overallPercent
-            });
           }
-        } // end start(controller)
-      });
+          const entryDigest = digestAlgorithm !== null && fileRecord.digest ? fileRecord.digest.value : null;
+          if (entryDigest !== null && !manifestNames.has(fileRecord.name)) {
+            digestEntries.push({ name: fileRecord.name, size: fileRecord.size, digest: entryDigest });
+          }
+          self._dispatch('entryend', {
+            name: fileRecord.name,
+            index,
+            size: fileRecord.size,
+            compressedSize: fileRecord.compressedSize,
+            crc32: fileRecord.crc32,
+            digest: entryDigest
+          });
+        }
+      }
+
+      const stream = createPullStream(produce(), abortController, highWaterMark, rejectResult);
+      stream.result = result;
       return stream;
     }
+
+    /**
+     * Генерує TAR‑архів (ustar з розширеними заголовками PAX) як ReadableStream із тих самих записів, що й ZIP.
+     * Кожен запис – заголовок 512 байтів (перед ним – заголовок PAX для довгих чи не-ASCII імен, файлів від 8 ГБ
+     * та великих uid/gid) і дані, доповнені нулями до кратного 512 байтам розміру. Архів завершують два нульові
+     * блоки, а загальний розмір доповнюється до кратного 10240 байтам (20 блоків, як у GNU tar).
+     * Генерація, прогрес і події – як у generateZipStream (без етапів hashing та central-directory).
+     * Розмір кожного запису має бути відомий до запису заголовку: для потоків і функцій-постачальників
+     * потрібна опція size в addFile. TAR не підтримує шифрування та записи з fromExisting.
+     * @param {object} [options] - Опції генерації.
+     * @param {boolean} [options.gzip=false] - Стиснути архів через CompressionStream('gzip') (.tar.gz).
+     * @param {function} [options.onProgress=null] - Колбек прогресу (див. generateZipStream). bytesWritten
+     *   та totalBytes рахуються в байтах TAR до стиснення gzip, тож totalBytes відомий завжди.
+     * @param {number} [options.progressInterval=0] - Найменший інтервал (мс) між оновленнями прогресу.
+     * @param {boolean} [options.clearAfterGenerate=true] - Чи очищати список файлів після генерації.
+     * @param {AbortSignal} [options.signal] - Сигнал скасування.
+     * @param {number} [options.highWaterMark=1048576] - Скільки байтів TAR потік може сформувати наперед.
+     * @param {boolean} [options.deterministic=false] - Відтворюваний архів (див. generateZipStream).
+     * @param {Date|number} [options.epoch] - Час записів детермінованого архіву.
+     * @returns {ReadableStream} – Потік з даними TAR (або tar.gz).
+     */
+    generateTarStream(options = {}) {
+      const {
+        gzip = false,
+        onProgress = null,
+        progressInterval = 0,
+        clearAfterGenerate = true,
+        signal = null,
+        highWaterMark = 1024 * 1024,
+        deterministic = false,
+        epoch
+      } = options;
+      checkHighWaterMark(highWaterMark);
+      if (gzip && typeof CompressionStream === 'undefined') {
+        throw new Error("Стиснення gzip недоступне: середовище не підтримує CompressionStream.");
+      }
+      if (options.password) {
+        throw new Error("TAR не підтримує шифрування: опція password недоступна.");
+      }
+      const self = this;
+      const sourceRecords = Array.from(this.files.values());
+      for (const fileRecord of sourceRecords) {
+        if (fileRecord.existing) {
+          throw new Error(`Запис "${fileRecord.name}" з наявного ZIP (fromExisting) неможливо записати в TAR.`);
+        }
+        if (fileRecord.password) {
+          throw new Error(`TAR не підтримує шифрування: для "${fileRecord.name}" задано пароль.`);
+        }
+        if (fileRecord.content === null && !fileRecord.provider) {
+          throw new Error(`Потік "${fileRecord.name}" уже прочитано попередньою генерацією. ` +
+            `Для повторної генерації передайте в addFile функцію, що створює потік.`);
+        }
+        if (fileRecord.size === null) {
+          throw new Error(`Розмір "${fileRecord.name}" невідомий: заголовок TAR записується перед даними, ` +
+            `тож для потоків і функцій-постачальників вкажіть опцію size в addFile.`);
+        }
+      }
+      const fileRecords = deterministic ? prepareDeterministicRecords(sourceRecords, epoch, null) : sourceRecords;
+      const originals = deterministic ? new Map(sourceRecords.map(fileRecord => [fileRecord.name, fileRecord])) : null;
+
+      // Заголовки залежать лише від метаданих, тож точний розмір архіву відомий заздалегідь
+      const dataSizes = fileRecords.map(fileRecord => fileRecord.isDirectory || fileRecord.isSymlink ? 0 : fileRecord.size);
+      const headers = fileRecords.map(createTarEntryHeader);
+      let archiveSize = TAR_END_SIZE;
+      let totalSize = 0n;
+      fileRecords.forEach((fileRecord, index) => {
+        archiveSize += headers[index].byteLength + dataSizes[index] + tarPadding(dataSizes[index]);
+        totalSize += BigInt(dataSizes[index]);
+      });
+      const recordPadding = (TAR_RECORD_SIZE - archiveSize % TAR_RECORD_SIZE) % TAR_RECORD_SIZE;
+      archiveSize += recordPadding;
+
+      // Внутрішній сигнал: спрацьовує як від options.signal, так і від скасування самого потоку
+      const abortController = new AbortController();
+      const generationSignal = abortController.signal;
+      if (signal) {
+        if (signal.aborted) abortController.abort(signal.reason);
+        else signal.addEventListener('abort', () => abortController.abort(signal.reason), { once: true });
+      }
+
+      async function* produce() {
+        let bytesWritten = 0;
+        const updateProgress = createProgressReporter(self, {
+          onProgress,
+          progressInterval,
+          archiveSize,
+          totalSize,
+          getBytesWritten: () => bytesWritten
+        });
+        const write = function* (chunk) {
+          bytesWritten += chunk.byteLength;
+          yield chunk;
+        };
+        try {
+          let processedSize = 0n;
+          self._dispatch('phase', { phase: 'writing' });
+          for (const [index, fileRecord] of fileRecords.entries()) {
+            await self._waitIfPaused(generationSignal);
+            throwIfAborted(generationSignal);
+            if (fileRecord.provider) await resolveProvidedContent(fileRecord, generationSignal);
+            self._dispatch('entrystart', { name: fileRecord.name, index, size: fileRecord.size });
+            yield* write(headers[index]);
+
+            const fileSizeBigInt = BigInt(dataSizes[index]);
+            let fileBytesProcessed = 0n;
+            updateProgress(processedSize, fileRecord, 0n, fileSizeBigInt);
+            if (fileSizeBigInt > 0n) {
+              const streamed = isStreamSource(fileRecord.content);
+              const sizeError = () => new Error(streamed || fileRecord.provider
+                ? `Розмір вмісту "${fileRecord.name}" не відповідає опції size (${fileSizeBigInt}).`
+                : `Розмір файлу "${fileRecord.name}" змінився під час генерації архіву.`);
+              const source = streamed ? toReadableStream(fileRecord.content)
+                : (fileRecord.content instanceof Blob ? fileRecord.content : new Blob([fileRecord.content])).stream();
+              for await (let chunk of self._readChunks(source, generationSignal)) {
+                if (streamed) chunk = toChunkBytes(chunk, fileRecord.name);
+                const chunkLen = BigInt(chunk.byteLength);
+                // Заголовок уже містить розмір, тож зайві байти зіпсували б структуру архіву
+                if (fileBytesProcessed + chunkLen > fileSizeBigInt) throw sizeError();
+                yield* write(chunk);
+                processedSize += chunkLen;
+                fileBytesProcessed += chunkLen;
+                updateProgress(processedSize, fileRecord, fileBytesProcessed, fileSizeBigInt);
+              }
+              if (fileBytesProcessed !== fileSizeBigInt) throw sizeError();
+              const padding = tarPadding(dataSizes[index]);
+              if (padding > 0) yield* write(new Uint8Array(padding));
+            }
+            // Прочитаний потік та вміст від постачальника більше не потрібні
+            if (isStreamSource(fileRecord.content) || fileRecord.provider) fileRecord.content = null;
+            const original = originals && originals.get(fileRecord.name);
+            if (original && original !== fileRecord && isStreamSource(original.content)) original.content = null;
+            self._dispatch('entryend', {
+              name: fileRecord.name,
+              index,
+              size: fileRecord.size,
+              compressedSize: dataSizes[index],
+              crc32: null, // TAR не містить контрольних сум вмісту
+              digest: null
+            });
+          }
+
+          yield* write(new Uint8Array(TAR_END_SIZE + recordPadding));
+          updateProgress(processedSize, null, 0n, 0n, true); // 100% архіву
+
+          if (clearAfterGenerate) {
+            self.files.clear();
+            self._caseIndex = null;
+            self._existingData = null;
+          }
+          self._dispatch('phase', { phase: 'done' });
+        } catch (error) {
+          if (generationSignal.aborted) {
+            error = createAbortError(generationSignal); // Скасування – не помилка генерації
+          } else {
+            console.error("Помилка під час генерації TAR:", error);
+          }
+          throw error; // Потік завершиться з помилкою
+        }
+      }
+
+      // gzip стискає весь архів по чанках, тож highWaterMark обмежує вже стиснуті байти
+      return createPullStream(gzip ? compressChunks(produce(), 'gzip') : produce(), abortController, highWaterMark);
+    }
+
+    /**
+     * Генерує розділений (multi-volume) ZIP‑архів за правилами PKWARE: перша частина починається сигнатурою
+     * 0x08074b50, заголовки не розриваються між частинами, а номери частин записуються в центральний каталог,
+     * EOCD та Zip64 EOCD Locator. Частини отримують імена `.z01`, `.z02`, …, а остання – `.zip`;
+     * для розпакування всі частини мають лежати в одній папці. Кожна частина видається, щойно вона повністю
+     * сформована, а генерація наступної триває, поки споживач обробляє попередню (наприклад, вивантажує її).
+     * @param {object} options - Опції `generateZipStream`, а також:
+     * @param {number} options.partSize - Найбільший розмір частини в байтах (не менше 64 КБ).
+     * @param {string} [options.fileName='archive.zip'] - Ім'я архіву, від якого утворюються імена частин.
+     * @returns {AsyncGenerator<{index: number, name: string, blob: Blob, isLast: boolean}>} – частини за порядком;
+     *   index – номер частини (диска), починаючи з 0.
+     */
+    async *generateSplitZip(options = {}) {
+      const { partSize, fileName = 'archive.zip' } = options;
+      if (!Number.isSafeInteger(partSize) || partSize < MIN_SPLIT_PART_SIZE) {
+        throw new Error(`Некоректне значення partSize: має бути ціле число байтів, не менше ${MIN_SPLIT_PART_SIZE}.`);
+      }
+      const baseName = fileName.replace(/\.zip$/i, '');
+      const reader = this._createArchiveStream(options, partSize).getReader();
+      const flushSize = 8 * 1024 * 1024; // Чанки частини періодично об'єднуються в Blob, щоб не тримати їх у пам'яті
+      const readyParts = [];
+      let notify = null;
+      let finished = false;
+      let cancelled = false;
+      let failure = null;
+      const signalReady = () => {
+        if (notify) notify();
+        notify = null;
+      };
+
+      // Читаємо архів у фоні, поки споживач обробляє готові частини
+      (async () => {
+        let index = 0;
+        let pieces = [];
+        let buffered = [];
+        let bufferedSize = 0;
+        const finishPart = (isLast) => {
+          let blob = new Blob([...pieces, ...buffered]);
+          if (isLast && index === 0) {
+            // Архів уміщується в одну частину: сигнатура розділеного архіву замінюється на 'PK00'
+            blob = new Blob([new Uint8Array([0x50, 0x4B, 0x30, 0x30]), blob.slice(4)]);
+          }
+          const name = isLast ? `${baseName}.zip` : `${baseName}.z${String(index + 1).padStart(2, '0')}`;
+          readyParts.push({ index, name, blob, isLast });
+          index++;
+          pieces = [];
+          buffered = [];
+          bufferedSize = 0;
+          signalReady();
+        };
+        try {
+          for (;;) {
+            const { value, done } = await reader.read();
+            if (cancelled) return;
+            if (done) {
+              finishPart(true);
+              return;
+            }
+            if (value === PART_BOUNDARY) {
+              finishPart(false);
+              continue;
+            }
+            buffered.push(value);
+            bufferedSize += value.byteLength;
+            if (bufferedSize >= flushSize) {
+              pieces.push(new Blob(buffered));
+              buffered = [];
+              bufferedSize = 0;
+            }
+          }
+        } catch (error) {
+          failure = error;
+        } finally {
+          finished = true;
+          signalReady();
+        }
+      })();
+
+      try {
+        for (;;) {
+          if (readyParts.length > 0) {
+            yield readyParts.shift();
+            continue;
+          }
+          if (failure) throw failure;
+          if (finished) return;
+          await new Promise(resolve => { notify = resolve; });
+        }
+      } finally {
+        if (!finished) {
+          // Споживач припинив перебір частин – зупиняємо генерацію
+          cancelled = true;
+          reader.cancel().catch(() => {});
+        }
+      }
+    }
     
+    /**
+     * Записує ZIP‑архів безпосередньо у WritableStream, не збираючи його в пам'яті.
+     * Потік архіву передається через pipeTo, тож запис враховує backpressure цілі;
+     * після успішного завершення ціль закривається, а у разі помилки – переривається (abort).
+     * @param {WritableStream|FileSystemFileHandle} target - Ціль запису: будь-який WritableStream
+     *   (зокрема результат `FileSystemFileHandle.createWritable()`) або сам FileSystemFileHandle.
+     * @param {object} [options] - Опції, що передаються в `generateZipStream`.
+     * @returns {Promise<Object>} – підсумок генерації (див. `stream.result` у generateZipStream).
+     */
+    async saveZip(target, options = {}) {
+      let writable = target;
+      if (target && typeof target.createWritable === 'function') {
+        writable = await target.createWritable(); // FileSystemFileHandle з showSaveFilePicker
+      }
+      if (!writable || typeof writable.getWriter !== 'function') {
+        throw new Error("saveZip очікує WritableStream або FileSystemFileHandle.");
+      }
+      const zipStream = this.generateZipStream(options);
+      await zipStream.pipeTo(writable);
+      return zipStream.result;
+    }
+
     /**
      * Завантажує ZIP‑архів.
-     * Генерується архів через ReadableStream, створюється Blob, генерується URL,
-     * а потім симулюється клік для завантаження.
+     * Якщо браузер підтримує File System Access API (showSaveFilePicker), користувач обирає файл,
+     * і архів записується в нього потоково через `saveZip`. Інакше генерується архів через ReadableStream,
+     * створюється Blob, генерується URL, а потім симулюється клік для завантаження.
     * @param {string} fileName - Ім'я вихідного ZIP‑файлу (наприклад, "archive.zip").
     * @param {object} [generationOptions] - Опції, що передаються в `generateZipStream`.
     * @param {number} [generationOptions.chunkSizeForCRC=65536]
     * @param {function} [generationOptions.onProgress=null]
+    * @param {number} [generationOptions.progressInterval=0]
+    * @param {'store'|'deflate'|'auto'} [generationOptions.compression='store']
+    * @param {boolean} [generationOptions.streaming=false]
+    * @param {boolean} [generationOptions.useSavePicker=true] - Чи використовувати showSaveFilePicker, якщо він доступний.
+    * @param {AbortSignal} [generationOptions.signal] - Сигнал скасування; у разі скасування проміс відхиляється з AbortError.
+    * @returns {Promise<Object|undefined>} – підсумок генерації (див. `stream.result` у generateZipStream);
+    *   undefined, якщо користувач закрив діалог збереження або завантаження не вдалося.
     */
     async downloadZip(fileName, generationOptions = {}) {
+      return this._downloadArchive(fileName, generationOptions, {
+        method: 'downloadZip',
+        alternative: 'saveZip або generateZipStream',
+        label: 'ZIP',
+        type: 'application/zip',
+        extensions: ['.zip'],
+        generate: zipOptions => this.generateZipStream(zipOptions)
+      });
+    }
+
+    /**
+     * Завантажує TAR‑архів (або tar.gz з опцією gzip) так само, як downloadZip: через showSaveFilePicker,
+     * якщо він доступний, інакше – через Blob і посилання.
+     * @param {string} fileName - Ім'я вихідного файлу (наприклад, "backup.tar.gz").
+     * @param {object} [generationOptions] - Опції `generateTarStream`, а також:
+     * @param {boolean} [generationOptions.useSavePicker=true] - Чи використовувати showSaveFilePicker, якщо він доступний.
+     * @returns {Promise<void>}
+     */
+    async downloadTar(fileName, generationOptions = {}) {
+      const gzip = Boolean(generationOptions.gzip);
+      await this._downloadArchive(fileName, generationOptions, {
+        method: 'downloadTar',
+        alternative: 'generateTarStream',
+        label: 'TAR',
+        type: gzip ? 'application/gzip' : 'application/x-tar',
+        extensions: gzip ? ['.tar.gz', '.tgz'] : ['.tar'],
+        generate: tarOptions => this.generateTarStream(tarOptions)
+      });
+    }
+
+    /**
+     * Спільна реалізація downloadZip та downloadTar.
+     * @param {string} fileName - Ім'я вихідного файлу.
+     * @param {object} generationOptions - Опції генерації та useSavePicker.
+     * @param {object} format - Формат архіву: method та alternative – назва методу й заміни для повідомлень,
+     *   label – назва формату, type – MIME-тип, extensions – розширення для діалогу збереження,
+     *   generate(options) – створення потоку архіву.
+     * @returns {Promise<Object|undefined>} – `stream.result` потоку архіву, якщо він є.
+     */
+    async _downloadArchive(fileName, generationOptions, format) {
+      const { useSavePicker = true, ...archiveOptions } = generationOptions;
+      const canUseSavePicker = useSavePicker && typeof showSaveFilePicker === 'function';
+      if (!canUseSavePicker && typeof document === 'undefined') {
+        // Поза сторінкою (Node.js, Web Worker, Service Worker) немає DOM для завантаження через посилання
+        throw new Error(`${format.method} доступний лише на сторінці з DOM. Використовуйте ${format.alternative}.`);
+      }
+      let archiveStream = null;
       try {
-        const zipStream = this.generateZipStream(generationOptions);
-        const response = new Response(zipStream, {
-          headers: { 'Content-Type': 'application/zip' }
+        if (canUseSavePicker) {
+          let handle = null;
+          try {
+            handle = await showSaveFilePicker({
+              suggestedName: fileName,
+              types: [{ description: `${format.label} archive`, accept: { [format.type]: format.extensions } }]
+            });
+            } catch (error) {
+            if (error.name === 'AbortError') return; // Користувач закрив діалог збереження
+            // Наприклад, SecurityError без жесту користувача – переходимо до завантаження через Blob
+            if (typeof document === 'undefined') throw error;
+            console.warn("showSaveFilePicker недоступний, використовується завантаження через Blob:", error);
+          }
+          if (handle) {
+            const writable = await handle.createWritable();
+            archiveStream = format.generate(archiveOptions);
+            await archiveStream.pipeTo(writable);
+            return archiveStream.result;
+          }
+        }
+
+        archiveStream = format.generate(archiveOptions);
+        const response = new Response(archiveStream, {
+          headers: { 'Content-Type': format.type }
         });
-        const zipBlob = await response.blob();
-        const url = URL.createObjectURL(zipBlob);
+        const archiveBlob = await response.blob();
+        const url = URL.createObjectURL(archiveBlob);
         const link = document.createElement("a");
         link.href = url;
         link.download = fileName;
@@ -694,13 +5141,17 @@ const BrowserZip = (function() {
         link.click();
         document.body.removeChild(link); // Прибираємо за собою
         URL.revokeObjectURL(url);
+        return archiveStream.result;
       } catch (error) {
-        console.error(`Не вдалося завантажити ZIP "${fileName}":`, error);
+        if (archiveOptions.signal && archiveOptions.signal.aborted) {
+          throw createAbortError(archiveOptions.signal); // Скасування користувачем – без повідомлення про помилку
+        }
+        console.error(`Не вдалося завантажити ${format.label} "${fileName}":`, error);
         // Повідомити користувача про помилку
-        alert(`Помилка завантаження архіву: ${error.message}`);
+        if (typeof alert === 'function') alert(`Помилка завантаження архіву: ${error.message}`);
         // Якщо потік був створений, але сталася помилка, спробувати його скасувати
-        if (zipStream && zipStream.locked === false) {
-            zipStream.cancel(error).catch(() => {}); // Ігноруємо помилку скасування
+        if (archiveStream && archiveStream.locked === false) {
+            archiveStream.cancel(error).catch(() => {}); // Ігноруємо помилку скасування
         }
         // Важливо: Не очищати this.files, якщо clearAfterGenerate=false і сталася помилка,
         // щоб користувач міг спробувати знову.
@@ -708,16 +5159,188 @@ const BrowserZip = (function() {
       }
     }
 
+    /**
+     * Запускає (або повертає вже запущене) обчислення CRC32 для Blob‑запису у пулі воркерів.
+     * Результат записується у fileRecord.crc32; у разі помилки обчислення можна запустити повторно.
+     * @param {Object} fileRecord – запис файлу.
+     * @param {number} chunkSize – розмір чанку для CRC32.
+     * @param {AbortSignal} [signal] – сигнал скасування завдання.
+     * @returns {Promise<number>}
+     */
+    _ensureCRC32(fileRecord, chunkSize, signal) {
+      if (fileRecord.crc32 !== null || !(fileRecord.content instanceof Blob)) {
+        return Promise.resolve(fileRecord.crc32);
+      }
+      if (!fileRecord.crc32Promise) {
+        const { name, size } = fileRecord;
+        let lastBytesHashed = -1;
+        const onProgress = (bytesHashed) => {
+          if (bytesHashed === lastBytesHashed) return; // Останнє повідомлення воркера може збігтися з результатом
+          lastBytesHashed = bytesHashed;
+          this._dispatch('checksumprogress', { name, bytesHashed, totalBytes: size });
+        };
+        fileRecord.crc32Promise = this.workerPool.runCRC32Parallel(fileRecord.content, chunkSize, signal, onProgress).then(
+          (crc32) => {
+            fileRecord.crc32 = crc32;
+            onProgress(size);
+            return crc32;
+          },
+          (error) => {
+            fileRecord.crc32Promise = null;
+            throw error;
+          }
+        );
+        // Помилку отримає той, хто очікує на CRC32; фонове обчислення не повинно давати unhandledrejection
+        fileRecord.crc32Promise.catch(() => {});
+      }
+      return fileRecord.crc32Promise;
+    }
+
+    /**
+     * Запускає (або повертає вже запущене) обчислення хешу вмісту запису. Для Blob хеш обчислюється у пулі
+     * воркерів за той самий прохід, що й CRC32 (якщо CRC32 ще невідомий, він також записується у fileRecord.crc32);
+     * для даних у пам'яті – синхронно. Результат записується у fileRecord.digest.
+     * @param {Object} fileRecord – запис файлу з вмістом Blob або Uint8Array.
+     * @param {string} algorithm – 'SHA-256' або 'SHA-512'.
+     * @param {number} chunkSize – розмір чанку для читання Blob.
+     * @param {AbortSignal} [signal] – сигнал скасування завдання.
+     * @returns {Promise<string>} – хеш у шістнадцятковому вигляді.
+     */
+    _ensureDigest(fileRecord, algorithm, chunkSize, signal) {
+      if (fileRecord.digest && fileRecord.digest.algorithm === algorithm) {
+        return Promise.resolve(fileRecord.digest.value);
+      }
+      if (fileRecord.content instanceof Uint8Array) {
+        const value = bytesToHex(new SHA2(algorithm).update(fileRecord.content).digest());
+        fileRecord.digest = { algorithm, value };
+        return Promise.resolve(value);
+      }
+      if (!fileRecord.digestPromise || fileRecord.digestPromise.algorithm !== algorithm) {
+        const { name, size } = fileRecord;
+        let lastBytesHashed = -1;
+        const onProgress = (bytesHashed) => {
+          if (bytesHashed === lastBytesHashed) return;
+          lastBytesHashed = bytesHashed;
+          this._dispatch('checksumprogress', { name, bytesHashed, totalBytes: size });
+        };
+        const promise = this.workerPool.runDigestStream(fileRecord.content, chunkSize, algorithm, signal, onProgress).then(
+          (result) => {
+            if (fileRecord.crc32 === null) fileRecord.crc32 = result.crc32;
+            fileRecord.digest = { algorithm, value: bytesToHex(result.digest) };
+            onProgress(size);
+            return fileRecord.digest.value;
+          },
+          (error) => {
+            if (fileRecord.digestPromise === promise) fileRecord.digestPromise = null;
+            throw error;
+          }
+        );
+        promise.algorithm = algorithm;
+        promise.catch(() => {});
+        fileRecord.digestPromise = promise;
+      }
+      return fileRecord.digestPromise;
+    }
+
+    /**
+     * Запускає фонове обчислення CRC32 для всіх доданих Blob‑файлів одразу, не чекаючи генерації,
+     * щоб генерація архіву могла почати видавати дані без затримки.
+     * Проміс не відхиляється: якщо обчислення не вдалося, генерація повторить його та повідомить про помилку.
+     * @param {object} [options]
+     * @param {number} [options.chunkSizeForCRC=1024 * 1024] – розмір чанку для CRC32.
+     * @returns {Promise<number>} – кількість записів, для яких CRC32 обчислено.
+     */
+    async precomputeChecksums(options = {}) {
+      const { chunkSizeForCRC = 1024 * 1024 } = options;
+      const pending = Array.from(this.files.values())
+        .filter(fileRecord => fileRecord.crc32 === null && fileRecord.content instanceof Blob)
+        .map(fileRecord => this._ensureCRC32(fileRecord, chunkSizeForCRC));
+      const results = await Promise.allSettled(pending);
+      return results.filter(result => result.status === 'fulfilled').length;
+    }
+
+    /**
+     * Призупиняє генерацію архіву: читання файлів та обчислення CRC32 зупиняються перед наступним чанком,
+     * доки не буде викликано resume(). Для спільного пулу (sharedPool) призупиняються обчислення всіх екземплярів.
+     */
+    pause() {
+      this.paused = true;
+      this.workerPool.pause();
+    }
+
+    /**
+     * Відновлює генерацію архіву після pause().
+     */
+    resume() {
+      this.paused = false;
+      this.workerPool.resume();
+      this._resumeWaiters.forEach(resolve => resolve());
+      this._resumeWaiters.clear();
+    }
+
+    /**
+     * Чекає на resume(), якщо генерацію призупинено. Відхиляється з AbortError у разі скасування.
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<void>}
+     */
+    _waitIfPaused(signal) {
+      if (!this.paused) return Promise.resolve();
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          this._resumeWaiters.delete(onResume);
+          reject(createAbortError(signal));
+        };
+        const onResume = () => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          resolve();
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        this._resumeWaiters.add(onResume);
+      });
+    }
+
+    /**
+     * Читає потік по чанках з урахуванням паузи та скасування; якщо перебір перервано, читання припиняється.
+     * @param {ReadableStream} source
+     * @param {AbortSignal} signal – сигнал генерації.
+     * @returns {AsyncGenerator<*>}
+     */
+    async *_readChunks(source, signal) {
+      const reader = source.getReader();
+      try {
+        while (true) {
+          await this._waitIfPaused(signal);
+          throwIfAborted(signal);
+          const { done, value } = await reader.read();
+          if (done) return;
+          yield value;
+        }
+      } finally {
+        reader.cancel().catch(() => {}); // Припиняємо читання Blob, якщо цикл перервано
+      }
+    }
+
     /**
      * Завершує роботу бібліотеки та звільняє ресурси (воркери).
+     * Незавершені обчислення CRC32 відхиляються з AbortError. Спільний пул (sharedPool)
+     * завершується, коли його звільнить останній екземпляр.
      */
     terminate() {
-      this.workerPool.terminate();
+      this.workerPool.release();
     }
   }
 
+  // Рушій CRC32 (інкрементальний update/digest та CRC32.combine) доступний і поза бібліотекою
+  BrowserZip.CRC32 = CRC32;
+
   return BrowserZip;
 })();
+
+// Експорт: CommonJS (Node.js, бандлери) та глобальна змінна (сторінка, воркери, ES-модуль browserzip.mjs)
+if (typeof module === 'object' && module && module.exports) {
+  module.exports = BrowserZip;
+}
+globalThis.BrowserZip = BrowserZip;
 // Приклад використання:
 //
 // (async () => {
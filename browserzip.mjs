@@ -0,0 +1,8 @@
+// ES-модуль BrowserZip: `import BrowserZip from './browserzip.mjs'`.
+// browserzip.js виконується як модуль без власних експортів і реєструє клас у globalThis.
+import './browserzip.js';
+
+const BrowserZip = globalThis.BrowserZip;
+
+export { BrowserZip };
+export default BrowserZip;
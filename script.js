@@ -1,58 +1,88 @@
 // Робота з інтерфейсом
 const fileInput = document.getElementById("fileInput");
+const folderInput = document.getElementById("folderInput");
 const zipButton = document.getElementById("zipButton");
 const mainContainer = document.getElementById('mainContainer');
 const progressContainer = document.getElementById("progressContainer");
 const progressBar = document.getElementById("progressBar");
 const progressLabel = document.getElementById('progressLabel'); // Елемент для тексту
+const pauseButton = document.getElementById("pauseButton");
+const cancelButton = document.getElementById("cancelButton");
+
+let activeZip = null;
+let abortController = null;
+
+pauseButton.addEventListener("click", () => {
+  if (!activeZip) return;
+  if (activeZip.paused) {
+    activeZip.resume();
+    pauseButton.textContent = "Пауза";
+  } else {
+    activeZip.pause();
+    pauseButton.textContent = "Продовжити";
+  }
+});
 
-zipButton.addEventListener("click", async () => {
-  const zip = new BrowserZip();
+cancelButton.addEventListener("click", () => {
+  if (abortController) abortController.abort();
+});
 
+zipButton.addEventListener("click", async () => {
   const files = fileInput.files;
-  if (files.length === 0) {
+  const folderFiles = folderInput.files;
+  if (files.length === 0 && folderFiles.length === 0) {
     appendAlert("Будь ласка, виберіть файли для архівування!", 'danger');
     return;
   }
 
+  const zip = new BrowserZip();
+  activeZip = zip;
+  abortController = new AbortController();
+
   // Показуємо прогрес-бар
   progressBar.style.width = "0%";
   progressBar.setAttribute("aria-valuenow", "0");
   progressBar.textContent = "0%";
   progressContainer.classList.remove("invisible");
+  zipButton.disabled = true;
+  pauseButton.textContent = "Пауза";
+  pauseButton.classList.remove("d-none");
+  cancelButton.classList.remove("d-none");
 
   // Додаємо файли до архіву
   for (const file of files) {
     await zip.addFile(file.name, file);
   }
+  // Додаємо вибрану папку зі структурою підпапок
+  await zip.addDirectory(folderFiles);
 
-  // Генеруємо ZIP-архів із прогресом
-  await zip.downloadZip("archive.zip", { onProgress: updateProgress })
-
-  zip.terminate();
-
-  // Ховаємо прогрес-бар після завершення
-  setTimeout(() => {
-    progressContainer.classList.add("invisible");
-    progressLabel.textContent = "";
-  }, 2000);
+  zip.addEventListener("progress", (event) => updateProgress(event.detail));
+  zip.addEventListener("checksumprogress", (event) => updateChecksumProgress(event.detail));
 
-  appendAlert('Архів створено та завантажено успішно!', 'success')
+  try {
+    // Генеруємо ZIP-архів із прогресом
+    await zip.downloadZip("archive.zip", { progressInterval: 50, signal: abortController.signal });
+    appendAlert('Архів створено та завантажено успішно!', 'success');
+  } catch (error) {
+    if (error.name !== 'AbortError') throw error;
+    appendAlert('Створення архіву скасовано.', 'warning');
+  } finally {
+    zip.terminate();
+    activeZip = null;
+    abortController = null;
+    zipButton.disabled = false;
+    pauseButton.classList.add("d-none");
+    cancelButton.classList.add("d-none");
+
+    // Ховаємо прогрес-бар після завершення
+    setTimeout(() => {
+      progressContainer.classList.add("invisible");
+      progressLabel.textContent = "";
+    }, 2000);
+  }
 });
-const delay = 50;
-let timer, prevTime;
-const updateProgress = ({ filename, overallProgressPercent, fileBytesProcessed, fileTotalBytes }) => {
+const updateProgress = ({ filename, percent, fileBytesProcessed, fileTotalBytes, bytesPerSecond, etaSeconds }) => {
   try {
-
-    if (timer) clearTimeout(timer);
-    if (prevTime && performance.now() - prevTime < delay) {
-      timer = setTimeout(
-        () => updateProgress({ filename, overallProgressPercent, fileBytesProcessed, fileTotalBytes })
-        , delay);
-      return;
-    }
-    prevTime = performance.now();
-
     let label = "";
     if (filename) {
       label = ` | File: ${filename}`;
@@ -60,12 +90,14 @@ const updateProgress = ({ filename, overallProgressPercent, fileBytesProcessed,
         label += ` (${((fileBytesProcessed / fileTotalBytes) * 100).toFixed(0)}%)`;
       }
     }
+    if (bytesPerSecond) label += ` | ${(bytesPerSecond / 1024 ** 2).toFixed(1)} MB/s`;
+    if (etaSeconds !== null) label += ` | ~${Math.ceil(etaSeconds)} s`;
 
     if (!progressBar) return;
-    progressBar.style.width = `${overallProgressPercent.toFixed(1)}%`;
-    progressBar.setAttribute("aria-valuenow", overallProgressPercent.toFixed(1));
-    progressBar.textContent = `${overallProgressPercent.toFixed(1)}%`;
-    console.log(overallProgressPercent + " %\t\t" + label);
+    progressBar.style.width = `${percent.toFixed(1)}%`;
+    progressBar.setAttribute("aria-valuenow", percent.toFixed(1));
+    progressBar.textContent = `${percent.toFixed(1)}%`;
+    console.log(percent.toFixed(1) + " %\t\t" + label);
     
     if (progressLabel) progressLabel.textContent = label;
 
@@ -74,6 +106,13 @@ const updateProgress = ({ filename, overallProgressPercent, fileBytesProcessed,
   }
 };
 
+// Обчислення CRC32 великого файлу може тривати довго – показуємо його, щоб прогрес-бар не "застигав"
+const updateChecksumProgress = ({ name, bytesHashed, totalBytes }) => {
+  if (progressLabel && totalBytes) {
+    progressLabel.textContent = ` | CRC32: ${name} (${((bytesHashed / totalBytes) * 100).toFixed(0)}%)`;
+  }
+};
+
 const appendAlert = (message, type) => {
   const wrapper = document.createElement('div')
   wrapper.innerHTML = [
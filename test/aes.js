@@ -0,0 +1,140 @@
+// Перевірка шифрування WinZip AES (AE-2): архів із багатомегабайтними записами розшифровується незалежною
+// реалізацією на модулі crypto Node.js (PBKDF2-HMAC-SHA1, AES з лічильником little-endian від 1, HMAC-SHA1),
+// а вміст збігається з вихідним. Також виводиться швидкість шифрування.
+// Запуск: node test/aes.js (Node.js 18+). Код завершення 1 – перевірка не пройшла.
+'use strict';
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const BrowserZip = require('../browserzip.js');
+
+const PASSWORD = 'пароль-AE2';
+const KEY_LENGTHS = { 1: 16, 3: 32 }; // Сила шифрування з поля 0x9901 → довжина ключа
+
+let failed = false;
+
+function check(label, condition, details = '') {
+  if (condition) {
+    console.log(`✔ ${label}`);
+  } else {
+    failed = true;
+    console.error(`✘ ${label}${details ? `: ${details}` : ''}`);
+  }
+}
+
+/**
+ * Псевдовипадкові (нестисні) дані: шифрування не можна перевірити на даних, що складаються з нулів.
+ */
+function createBytes(length, seed) {
+  const bytes = new Uint8Array(length);
+  let x = seed;
+  for (let i = 0; i < length; i++) {
+    x = (Math.imul(x, 1103515245) + 12345) >>> 0;
+    bytes[i] = x >>> 24;
+  }
+  return bytes;
+}
+
+/**
+ * Повертає записи архіву: ім'я, метод стиснення з поля AES, довжину ключа та дані запису.
+ * @param {Buffer} zip
+ */
+function readEntries(zip) {
+  let eocd = zip.length - 22;
+  while (zip.readUInt32LE(eocd) !== 0x06054b50) eocd--;
+  const entries = [];
+  let pos = zip.readUInt32LE(eocd + 16);
+  for (let i = zip.readUInt16LE(eocd + 10); i > 0; i--) {
+    const nameLength = zip.readUInt16LE(pos + 28);
+    const extraLength = zip.readUInt16LE(pos + 30);
+    const name = zip.toString('utf8', pos + 46, pos + 46 + nameLength);
+    const method = zip.readUInt16LE(pos + 10);
+    const compressedSize = zip.readUInt32LE(pos + 20);
+    const offset = zip.readUInt32LE(pos + 42);
+    let aes = null;
+    for (let extra = pos + 46 + nameLength; extra < pos + 46 + nameLength + extraLength;) {
+      if (zip.readUInt16LE(extra) === 0x9901) {
+        aes = { version: zip.readUInt16LE(extra + 4), keyLength: KEY_LENGTHS[zip[extra + 8]], method: zip.readUInt16LE(extra + 9) };
+      }
+      extra += 4 + zip.readUInt16LE(extra + 2);
+    }
+    const dataStart = offset + 30 + zip.readUInt16LE(offset + 26) + zip.readUInt16LE(offset + 28);
+    entries.push({ name, method, aes, data: zip.subarray(dataStart, dataStart + compressedSize) });
+    pos += 46 + nameLength + extraLength + zip.readUInt16LE(pos + 32);
+  }
+  return entries;
+}
+
+/**
+ * Розшифровує дані запису AE-2 та перевіряє пароль і код автентифікації.
+ * @returns {{passwordValid: boolean, authValid: boolean, plain: Buffer}}
+ */
+function decryptAE2(data, keyLength) {
+  const saltLength = keyLength / 2;
+  const salt = data.subarray(0, saltLength);
+  const verifier = data.subarray(saltLength, saltLength + 2);
+  const ciphertext = data.subarray(saltLength + 2, data.length - 10);
+  const authCode = data.subarray(data.length - 10);
+  const derived = crypto.pbkdf2Sync(PASSWORD, salt, 1000, keyLength * 2 + 2, 'sha1');
+  const hmac = crypto.createHmac('sha1', derived.subarray(keyLength, keyLength * 2)).update(ciphertext).digest();
+
+  // Ключовий потік: AES-ECB над блоками лічильника 1, 2, 3, ... (little-endian)
+  const blocks = Math.ceil(ciphertext.length / 16);
+  const counters = Buffer.alloc(blocks * 16);
+  for (let i = 0; i < blocks; i++) counters.writeUInt32LE(i + 1, i * 16);
+  const cipher = crypto.createCipheriv(`aes-${keyLength * 8}-ecb`, derived.subarray(0, keyLength), null);
+  cipher.setAutoPadding(false);
+  const keystream = Buffer.concat([cipher.update(counters), cipher.final()]);
+  const plain = Buffer.alloc(ciphertext.length);
+  for (let i = 0; i < plain.length; i++) plain[i] = ciphertext[i] ^ keystream[i];
+
+  return {
+    passwordValid: verifier.equals(derived.subarray(keyLength * 2)),
+    authValid: authCode.equals(hmac.subarray(0, 10)),
+    plain
+  };
+}
+
+async function main() {
+  const inputs = {
+    'big.bin': { content: createBytes(6 * 1024 * 1024, 1), options: { encryption: 'aes256' } },
+    'blob.bin': { content: new Blob([createBytes(3 * 1024 * 1024 + 5, 2)]), options: { encryption: 'aes128' } },
+    'text.txt': { content: 'стиснений і зашифрований рядок\n'.repeat(100000), options: { compression: 'deflate' } },
+    'tiny.txt': { content: 'x', options: {} }
+  };
+  const expected = {};
+  const zip = new BrowserZip();
+  for (const [name, { content, options }] of Object.entries(inputs)) {
+    await zip.addFile(name, content, options);
+    expected[name] = typeof content === 'string' ? Buffer.from(content)
+      : Buffer.from(content instanceof Blob ? await content.arrayBuffer() : content);
+  }
+  const totalBytes = Object.values(expected).reduce((total, bytes) => total + bytes.length, 0);
+
+  const startTime = Date.now();
+  const archive = Buffer.from(await new Response(zip.generateZipStream({ password: PASSWORD, compression: 'store' })).arrayBuffer());
+  const seconds = (Date.now() - startTime) / 1000;
+  zip.terminate();
+  console.log(`  ${(totalBytes / 1048576).toFixed(1)} МБ за ${seconds.toFixed(1)} с ` +
+    `(${(totalBytes / 1048576 / seconds).toFixed(2)} МБ/с, воркерів: ${zip.workerPool.numWorkers})`);
+
+  const entries = readEntries(archive);
+  check('усі записи зашифровано AE-2', entries.length === 4 && entries.every(entry =>
+    entry.method === 99 && entry.aes && entry.aes.version === 2), entries.map(entry => entry.name).join(','));
+  for (const entry of entries) {
+    if (!entry.aes) continue;
+    const { passwordValid, authValid, plain } = decryptAE2(entry.data, entry.aes.keyLength);
+    const content = entry.aes.method === 8 ? zlib.inflateRawSync(plain) : plain;
+    check(`${entry.name}: значення перевірки пароля`, passwordValid);
+    check(`${entry.name}: код автентифікації HMAC-SHA1`, authValid);
+    check(`${entry.name}: розшифрований вміст (AES-${entry.aes.keyLength * 8})`, content.equals(expected[entry.name]),
+      `${content.length} != ${expected[entry.name].length} байтів`);
+  }
+
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,102 @@
+// Перевірка getArchiveSize: обчислений заздалегідь розмір дорівнює довжині згенерованого архіву
+// для різних опцій (потоковий режим, шифрування, Zip64 через кількість записів, потоки з опцією size),
+// а для архівів невідомого розміру повертається помилка з причиною.
+// Запуск: node test/archive-size.js (Node.js 18+). Код завершення 1 – перевірка не пройшла.
+'use strict';
+
+const BrowserZip = require('../browserzip.js');
+
+let failed = false;
+
+function check(label, condition, details = '') {
+  if (condition) {
+    console.log(`✔ ${label}`);
+  } else {
+    failed = true;
+    console.error(`✘ ${label}${details ? `: ${details}` : ''}`);
+  }
+}
+
+/**
+ * Записи різних типів: рядок, байти, Blob, порожній файл, папка, символічне посилання, права та часи Unix/NTFS,
+ * потік і функція-постачальник з опцією size.
+ */
+async function addEntries(zip) {
+  const date = new Date(2022, 1, 3, 4, 5, 6);
+  const binary = new Uint8Array(100000).map((_, i) => (i * 13) & 0xff);
+  await zip.addFolder('docs', { mode: 0o755 });
+  await zip.addFile('docs/text.txt', 'розмір архіву\n'.repeat(500), { lastModified: date });
+  await zip.addFile('docs/times.txt', 'час', { lastModified: date, lastAccessed: date, created: date });
+  await zip.addFile('bytes.bin', binary);
+  await zip.addFile('blob.bin', new Blob([binary, binary]), { mode: 0o600, uid: 1000, gid: 1000 });
+  await zip.addFile('empty.txt', '');
+  await zip.addSymlink('link', 'docs/text.txt');
+  const chunk = binary.subarray(0, 30000);
+  await zip.addFile('stream.bin', new ReadableStream({
+    start(controller) {
+      controller.enqueue(chunk);
+      controller.enqueue(chunk);
+      controller.close();
+    }
+  }), { size: chunk.length * 2 });
+  await zip.addFile('provider.bin', () => new Blob([chunk]), { size: chunk.length });
+}
+
+/**
+ * Порівнює getArchiveSize з довжиною архіву, згенерованого з тими самими опціями.
+ * @returns {Promise<Uint8Array>} – згенерований архів.
+ */
+async function compare(label, options, add = addEntries) {
+  const zip = new BrowserZip();
+  await add(zip);
+  const expected = zip.getArchiveSize(options);
+  const bytes = new Uint8Array(await new Response(zip.generateZipStream(options)).arrayBuffer());
+  zip.terminate();
+  check(`${label}: ${expected} байтів`, expected === bytes.length, `getArchiveSize ${expected}, архів ${bytes.length}`);
+  return bytes;
+}
+
+async function main() {
+  await compare('store', { compression: 'store' });
+  await compare('streaming', { compression: 'store', streaming: true });
+  await compare('aes256', { compression: 'store', password: 'пароль' });
+  await compare('aes128 + streaming', { compression: 'store', password: 'пароль', encryption: 'aes128', streaming: true });
+  await compare('zipcrypto', { compression: 'store', password: 'пароль', encryption: 'zipcrypto' });
+  await compare('zipcrypto + streaming', { compression: 'store', password: 'пароль', encryption: 'zipcrypto', streaming: true });
+  await compare('порожній архів', {}, async () => {});
+  // Понад 65535 записів – Zip64 EOCD Record та Locator
+  const zip64 = await compare('Zip64 (70000 записів)', { compression: 'store' }, async (zip) => {
+    for (let i = 0; i < 70000; i++) await zip.addFile(`f/${i}`, '');
+  });
+  const locator = new DataView(zip64.buffer, zip64.length - 22 - 20, 4);
+  check('Zip64: архів містить Zip64 EOCD Locator', locator.getUint32(0, true) === 0x07064b50);
+
+  const deflated = new BrowserZip();
+  await deflated.addFile('a.txt', 'текст');
+  let error = null;
+  try {
+    deflated.getArchiveSize({ compression: 'deflate' });
+  } catch (e) {
+    error = e;
+  }
+  check('DEFLATE: помилка з причиною', error !== null && /DEFLATE/.test(error.message), error && error.message);
+  deflated.terminate();
+
+  const unsized = new BrowserZip();
+  await unsized.addFile('stream.bin', new ReadableStream({ start(controller) { controller.close(); } }));
+  error = null;
+  try {
+    unsized.getArchiveSize({ compression: 'store' });
+  } catch (e) {
+    error = e;
+  }
+  check('потік без size: помилка з причиною', error !== null && /size/.test(error.message), error && error.message);
+  unsized.terminate();
+
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,98 @@
+// Перевірка детермінованого режиму (опція deterministic): ті самі вхідні дані, додані в різному порядку
+// і згенеровані в різних часових поясах, мають давати байт-в-байт однаковий архів.
+// Запуск: node test/deterministic.js (Node.js 18+). Код завершення 1 – хеші архівів різняться.
+'use strict';
+
+const { execFileSync } = require('child_process');
+const { createHash } = require('crypto');
+const BrowserZip = require('../browserzip.js');
+
+const TIME_ZONES = ['UTC', 'America/Los_Angeles', 'Asia/Kathmandu', 'Pacific/Chatham'];
+const ORDERS = ['forward', 'reverse'];
+const EPOCH = Date.UTC(2024, 0, 2, 3, 4, 6);
+
+/**
+ * Однаковий набір записів. Час модифікації задано в місцевому часі, тож без нормалізації
+ * DOS-час і поле 0x5455 залежали б від часового поясу.
+ */
+function createInputs() {
+  const localDate = new Date(2021, 5, 15, 12, 30, 7);
+  const binary = new Uint8Array(70000).map((_, i) => (i * 31 + (i >> 8)) & 0xff);
+  return [
+    zip => zip.addFolder('docs', { lastModified: localDate }),
+    zip => zip.addFile('docs/readme.txt', 'Детермінований архів\n'.repeat(200), { lastModified: localDate }),
+    zip => zip.addFile('docs/a-b.txt', 'дефіс сортується після "/"', { lastModified: new Date() }),
+    zip => zip.addFile('bin/tool.sh', '#!/bin/sh\necho ok\n', { mode: 0o750, lastModified: localDate }),
+    zip => zip.addFile('data/blob.bin', new Blob([binary]), { lastModified: new Date(2001, 0, 1) }),
+    zip => zip.addFile('data/bytes.bin', binary.subarray(0, 1000)),
+    zip => zip.addFile('empty.txt', '')
+  ];
+}
+
+/**
+ * Будує архіви в поточному процесі та повертає SHA-256 для кожного варіанту опцій.
+ * @param {'forward'|'reverse'} order – порядок викликів addFile/addFolder.
+ * @returns {Promise<object>}
+ */
+async function buildHashes(order) {
+  const variants = {
+    store: { compression: 'store' },
+    deflate: { compression: 'deflate' },
+    epoch: { compression: 'store', epoch: EPOCH }
+  };
+  const hashes = {};
+  for (const [variant, options] of Object.entries(variants)) {
+    const zip = new BrowserZip();
+    const inputs = createInputs();
+    if (order === 'reverse') inputs.reverse();
+    for (const add of inputs) await add(zip);
+    const bytes = new Uint8Array(await new Response(zip.generateZipStream({ ...options, deterministic: true })).arrayBuffer());
+    zip.terminate();
+    hashes[variant] = createHash('sha256').update(bytes).digest('hex');
+  }
+  return hashes;
+}
+
+async function main() {
+  // Дочірній процес: архіви для одного порядку в часовому поясі зі змінної TZ
+  if (process.argv[2]) {
+    process.stdout.write(JSON.stringify(await buildHashes(process.argv[2])));
+    return;
+  }
+
+  const runs = [];
+  for (const timeZone of TIME_ZONES) {
+    for (const order of ORDERS) {
+      const output = execFileSync(process.execPath, [__filename, order], {
+        env: { ...process.env, TZ: timeZone },
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'inherit'],
+        timeout: 120000
+      });
+      runs.push({ label: `TZ=${timeZone}, ${order}`, hashes: JSON.parse(output) });
+    }
+  }
+
+  let failed = false;
+  for (const variant of Object.keys(runs[0].hashes)) {
+    const expected = runs[0].hashes[variant];
+    const mismatched = runs.filter(run => run.hashes[variant] !== expected);
+    if (mismatched.length) {
+      failed = true;
+      console.error(`✘ ${variant}: хеш різниться`);
+      for (const run of runs) console.error(`    ${run.label}: ${run.hashes[variant]}`);
+    } else {
+      console.log(`✔ ${variant}: ${expected} (${runs.length} запусків)`);
+    }
+  }
+  if (runs[0].hashes.store === runs[0].hashes.epoch) {
+    failed = true;
+    console.error('✘ epoch: опція epoch не змінила архів');
+  }
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,193 @@
+// Перевірка хешів записів (опція digest) та маніфесту: еталонні значення SHA-256 / SHA-512 з FIPS 180-2
+// для обох шляхів обчислення (Blob у воркері та дані в пам'яті під час запису), довжини на межах блоків,
+// а також verifyManifest – виявлення зміненого вмісту, зміненого маніфесту, зайвих записів і підробленого підпису.
+// Запуск: node test/digest.js (Node.js 18+). Код завершення 1 – перевірка не пройшла.
+'use strict';
+
+const crypto = require('crypto');
+const BrowserZip = require('../browserzip.js');
+
+const ABC_448 = 'abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq';
+const ABC_896 = 'abcdefghbcdefghicdefghijdefghijkefghijklfghijklmghijklmnhijklmnoijklmnopjklmnopqklmnopqrlmnopqrsmnopqrstnopqrstu';
+const MILLION_A = 'a'.repeat(1000000);
+
+// Еталонні значення (FIPS 180-2, додаток B та C)
+const VECTORS = {
+  'SHA-256': [
+    ['', 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'],
+    ['abc', 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'],
+    [ABC_448, '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1'],
+    [MILLION_A, 'cdc76e5c9914fb9281a1c7e284d73e67f1809a48a497200e046d39ccc7112cd0']
+  ],
+  'SHA-512': [
+    ['', 'cf83e1357eefb8bdf1542850d66d8007d620e4050b5715dc83f4a921d36ce9ce' +
+      '47d0d13c5d85f2b0ff8318d2877eec2f63b931bd47417a81a538327af927da3e'],
+    ['abc', 'ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a' +
+      '2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f'],
+    [ABC_896, '8e959b75dae313da8cf4f72814fc143f8f7779c6eb9f7fa17299aeadb6889018' +
+      '501d289e4900f7e4331b99dec4b5433ac7d329eeb6dd26545e96e55b874be909'],
+    [MILLION_A, 'e718483d0ce769644e2e42c7bc15b4638e1f98b13b2044285632a803afa973eb' +
+      'de0ff244877ea60a4cb0432ce577c31beb009c5c2c49aa2e4eadb217ad8cc09b']
+  ]
+};
+
+// Довжини навколо меж блоків SHA-256 (64 байти) та SHA-512 (128 байтів) і заповнення
+const BOUNDARY_LENGTHS = [1, 55, 56, 63, 64, 65, 111, 112, 119, 120, 127, 128, 129, 1000, 65537];
+
+let failed = false;
+
+function check(label, condition, details = '') {
+  if (condition) {
+    console.log(`✔ ${label}`);
+  } else {
+    failed = true;
+    console.error(`✘ ${label}${details ? `: ${details}` : ''}`);
+  }
+}
+
+/**
+ * Генерує архів з опцією digest і повертає хеші записів зі stream.result.
+ * @param {Array<[string, string|Uint8Array]>} inputs – ім'я та вміст.
+ * @param {boolean} asBlob – Blob хешується у воркері, рядок і байти – під час запису.
+ */
+async function digestEntries(inputs, algorithm, asBlob) {
+  const zip = new BrowserZip();
+  for (const [name, content] of inputs) await zip.addFile(name, asBlob ? new Blob([content]) : content);
+  const stream = zip.generateZipStream({ compression: 'store', digest: algorithm });
+  await new Response(stream).arrayBuffer();
+  const { digests } = await stream.result;
+  zip.terminate();
+  return digests;
+}
+
+/**
+ * Знаходить запис у центральному каталозі: зміщення заголовків і даних.
+ */
+function locateEntry(bytes, name) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = bytes.length - 22;
+  while (view.getUint32(eocd, true) !== 0x06054b50) eocd--;
+  let pos = view.getUint32(eocd + 16, true);
+  for (let i = view.getUint16(eocd + 10, true); i > 0; i--) {
+    const nameLength = view.getUint16(pos + 28, true);
+    if (new TextDecoder().decode(bytes.subarray(pos + 46, pos + 46 + nameLength)) === name) {
+      const local = view.getUint32(pos + 42, true);
+      const dataStart = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      return { central: pos, local, dataStart, size: view.getUint32(pos + 20, true), flags: view.getUint16(pos + 8, true) };
+    }
+    pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+  }
+  throw new Error(`Запис "${name}" не знайдено`);
+}
+
+/**
+ * Змінює дані запису без стиснення й оновлює CRC32 у заголовках, щоб зміну виявив лише хеш.
+ * @param {Uint8Array} bytes – архів (змінюється на місці).
+ * @param {function(Uint8Array)} modify – змінює дані запису, не змінюючи їхню довжину.
+ */
+function tamper(bytes, name, modify) {
+  const entry = locateEntry(bytes, name);
+  const data = bytes.subarray(entry.dataStart, entry.dataStart + entry.size);
+  modify(data);
+  const crc32 = BrowserZip.computeCRC32(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  view.setUint32(entry.central + 16, crc32, true);
+  if (entry.flags & 0x0008) {
+    view.setUint32(entry.dataStart + entry.size + 4, crc32, true); // Data Descriptor із сигнатурою
+  } else {
+    view.setUint32(entry.local + 14, crc32, true);
+  }
+}
+
+/**
+ * Змінює першу цифру хешу запису в MANIFEST.json (довжина маніфесту не змінюється).
+ */
+function forgeDigest(manifest, name) {
+  const text = new TextDecoder().decode(manifest);
+  const { digest } = JSON.parse(text).entries.find(entry => entry.name === name);
+  const position = new TextEncoder().encode(text.slice(0, text.indexOf(digest))).length;
+  manifest[position] = manifest[position] === 0x30 ? 0x31 : 0x30;
+}
+
+async function buildManifestArchive(signingKey) {
+  const zip = new BrowserZip();
+  await zip.addFolder('docs');
+  await zip.addFile('docs/a.txt', 'маніфест\n'.repeat(100));
+  await zip.addFile('b.bin', new Blob([new Uint8Array(70000).map((_, i) => i & 0xff)]));
+  await zip.addFile('c.txt', 'третій');
+  const manifest = signingKey ? { signingKey } : true;
+  const bytes = new Uint8Array(await new Response(zip.generateZipStream({ compression: 'store', manifest })).arrayBuffer());
+  zip.terminate();
+  return bytes;
+}
+
+async function main() {
+  // Еталонні значення для обох шляхів обчислення
+  for (const [algorithm, vectors] of Object.entries(VECTORS)) {
+    const inputs = vectors.map(([message], i) => [`kat-${i}.txt`, message]);
+    for (const asBlob of [false, true]) {
+      const digests = await digestEntries(inputs, algorithm, asBlob);
+      const wrong = vectors.filter(([, expected], i) => digests[`kat-${i}.txt`] !== expected);
+      check(`${algorithm}, ${asBlob ? 'воркер (Blob)' : 'основний потік'}: ${vectors.length} еталонних значень`,
+        wrong.length === 0, wrong.map(([message]) => `${message.length} байтів`).join(', '));
+    }
+    // Межі блоків: порівняння з модулем crypto Node.js
+    const inputsByLength = BOUNDARY_LENGTHS.map(length => [`len-${length}`, crypto.randomBytes(length)]);
+    for (const asBlob of [false, true]) {
+      const digests = await digestEntries(inputsByLength, algorithm, asBlob);
+      const hashName = algorithm.replace('-', '').toLowerCase();
+      const wrong = inputsByLength.filter(([name, content]) =>
+        digests[name] !== crypto.createHash(hashName).update(content).digest('hex'));
+      check(`${algorithm}, ${asBlob ? 'воркер (Blob)' : 'основний потік'}: довжини на межах блоків`,
+        wrong.length === 0, wrong.map(([name]) => name).join(', '));
+    }
+  }
+
+  // verifyManifest: неушкоджений архів
+  const original = await buildManifestArchive(null);
+  let report = await BrowserZip.verifyManifest(new Blob([original]));
+  check('маніфест неушкодженого архіву дійсний', report.valid && report.mismatched.length === 0 &&
+    report.algorithm === 'SHA-256', JSON.stringify(report));
+
+  // Змінений вміст з правильним CRC32 – виявляє лише хеш
+  const modified = original.slice();
+  tamper(modified, 'docs/a.txt', data => { data[5] ^= 1; });
+  report = await BrowserZip.verifyManifest(new Blob([modified]));
+  check('змінений вміст (з оновленим CRC32) виявлено', !report.valid && report.mismatched.join() === 'docs/a.txt',
+    JSON.stringify(report));
+
+  // Змінений хеш у маніфесті
+  const forged = original.slice();
+  tamper(forged, 'MANIFEST.json', data => forgeDigest(data, 'c.txt'));
+  report = await BrowserZip.verifyManifest(new Blob([forged]));
+  check('змінений хеш у маніфесті виявлено', !report.valid && report.mismatched.includes('c.txt'), JSON.stringify(report));
+
+  // Запис, доданий після створення маніфесту
+  const appended = await BrowserZip.fromExisting(new Blob([original]));
+  await appended.addFile('extra.txt', 'зайвий');
+  const appendedBytes = await new Response(appended.generateZipStream({ compression: 'store' })).arrayBuffer();
+  appended.terminate();
+  report = await BrowserZip.verifyManifest(new Blob([appendedBytes]));
+  check('доданий запис потрапляє в unlisted', !report.valid && report.unlisted.join() === 'extra.txt', JSON.stringify(report));
+
+  // Підпис маніфесту
+  const { privateKey, publicKey } = await crypto.webcrypto.subtle.generateKey(
+    { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign', 'verify']);
+  const other = await crypto.webcrypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign', 'verify']);
+  const signed = await buildManifestArchive(privateKey);
+  report = await BrowserZip.verifyManifest(new Blob([signed]), { publicKey });
+  check('підпис маніфесту дійсний', report.valid && report.signatureValid === true, JSON.stringify(report));
+  report = await BrowserZip.verifyManifest(new Blob([signed]), { publicKey: other.publicKey });
+  check('підпис іншим ключем відхиляється', !report.valid && report.signatureValid === false);
+  const resigned = signed.slice();
+  tamper(resigned, 'MANIFEST.json', data => forgeDigest(data, 'c.txt'));
+  report = await BrowserZip.verifyManifest(new Blob([resigned]), { publicKey });
+  check('змінений підписаний маніфест відхиляється', !report.valid && report.signatureValid === false);
+
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,97 @@
+// Перевірка подій генерації: помилка в обробнику (синхронна чи асинхронна) не перериває генерацію
+// і не завершує процес, а removeEventListener знімає обгорнутий обробник.
+// Запуск: node test/events.js (Node.js 18+). Код завершення 1 – перевірка не пройшла.
+'use strict';
+
+const BrowserZip = require('../browserzip.js');
+
+let failed = false;
+
+function check(label, condition, details = '') {
+  if (condition) {
+    console.log(`✔ ${label}`);
+  } else {
+    failed = true;
+    console.error(`✘ ${label}${details ? `: ${details}` : ''}`);
+  }
+}
+
+/**
+ * Генерує архів і повертає його довжину; console.error тимчасово перехоплюється.
+ * @param {BrowserZip} zip
+ * @returns {Promise<{length: number, errors: string[]}>}
+ */
+async function generate(zip) {
+  const errors = [];
+  const originalError = console.error;
+  console.error = (...args) => errors.push(args.map(String).join(' '));
+  try {
+    const buffer = await new Response(zip.generateZipStream({ compression: 'store' })).arrayBuffer();
+    return { length: buffer.byteLength, errors };
+  } finally {
+    console.error = originalError;
+  }
+}
+
+async function main() {
+  // Неперехоплений виняток з EventTarget у Node.js завершує процес – тест упав би тут
+  process.on('uncaughtException', (error) => {
+    console.error(`✘ неперехоплений виняток: ${error.message}`);
+    process.exit(1);
+  });
+  process.on('unhandledRejection', (error) => {
+    console.error(`✘ необроблене відхилення: ${error && error.message}`);
+    process.exit(1);
+  });
+
+  const reference = new BrowserZip();
+  await reference.addFile('a.txt', 'перший');
+  await reference.addFile('b.txt', 'другий');
+  const expected = (await generate(reference)).length;
+  reference.terminate();
+
+  const zip = new BrowserZip();
+  await zip.addFile('a.txt', 'перший');
+  await zip.addFile('b.txt', 'другий');
+  let starts = 0;
+  const throwing = () => {
+    starts++;
+    throw new Error('sync');
+  };
+  const handler = { handleEvent() { throw new Error('object'); } };
+  const ends = [];
+  zip.addEventListener('entrystart', throwing);
+  zip.addEventListener('entrystart', throwing); // Повторна реєстрація не дублює обробник
+  zip.addEventListener('entrystart', handler);
+  zip.addEventListener('entryend', async (event) => {
+    ends.push(event.detail.name);
+    throw new Error('async');
+  });
+  zip.addEventListener('phase', () => { throw new Error('phase'); }, { once: true });
+
+  const first = await generate(zip);
+  // Асинхронні відхилення обробляються в мікрозадачах після dispatch
+  await new Promise(resolve => setTimeout(resolve, 0));
+  check('архів згенеровано попри помилки в обробниках', first.length === expected, `${first.length} != ${expected}`);
+  check('обробник entrystart викликано один раз на запис', starts === 2, `викликів: ${starts}`);
+  check('entryend надіслано для кожного запису', ends.join(',') === 'a.txt,b.txt', ends.join(','));
+  const reported = (message) => first.errors.filter(line => line.endsWith(`Error: ${message}`)).length;
+  check('синхронні помилки виведено в console.error', reported('sync') === 2 && reported('object') === 2 && reported('phase') === 1);
+  check('асинхронні помилки виведено в console.error', reported('async') === 2);
+
+  zip.removeEventListener('entrystart', throwing);
+  zip.removeEventListener('entrystart', handler);
+  // Генерація очищає список записів
+  await zip.addFile('a.txt', 'перший');
+  const second = await generate(zip);
+  check('removeEventListener знімає обгорнутий обробник', starts === 2 && second.length > 22 &&
+    !second.errors.some(line => line.endsWith('Error: sync') || line.endsWith('Error: object')), `викликів: ${starts}`);
+  zip.terminate();
+
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
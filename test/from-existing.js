@@ -0,0 +1,108 @@
+// Перевірка BrowserZip.fromExisting: старі локальні заголовки та дані записуються без змін і з тими самими
+// зміщеннями, нові записи йдуть одразу після них, а зміщення в об'єднаному центральному каталозі вказують
+// на локальні заголовки відповідних записів.
+// Запуск: node test/from-existing.js (Node.js 18+). Код завершення 1 – перевірка не пройшла.
+'use strict';
+
+const BrowserZip = require('../browserzip.js');
+
+let failed = false;
+
+function check(label, condition, details = '') {
+  if (condition) {
+    console.log(`✔ ${label}`);
+  } else {
+    failed = true;
+    console.error(`✘ ${label}${details ? `: ${details}` : ''}`);
+  }
+}
+
+/**
+ * Розбирає EOCD та центральний каталог (архіви тесту не потребують Zip64).
+ * @param {Uint8Array} bytes
+ * @returns {{offset: number, entries: Array<{name: string, localHeaderOffset: number}>}}
+ */
+function readCentralDirectory(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = bytes.length - 22;
+  while (eocd >= 0 && view.getUint32(eocd, true) !== 0x06054b50) eocd--;
+  const count = view.getUint16(eocd + 10, true);
+  const offset = view.getUint32(eocd + 16, true);
+  const entries = [];
+  let pos = offset;
+  for (let i = 0; i < count; i++) {
+    const nameLength = view.getUint16(pos + 28, true);
+    entries.push({
+      name: new TextDecoder().decode(bytes.subarray(pos + 46, pos + 46 + nameLength)),
+      localHeaderOffset: view.getUint32(pos + 42, true)
+    });
+    pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+  }
+  return { offset, entries };
+}
+
+/**
+ * Ім'я з локального заголовку за зміщенням або null, якщо там немає сигнатури.
+ */
+function localHeaderName(bytes, offset) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (offset + 30 > bytes.length || view.getUint32(offset, true) !== 0x04034b50) return null;
+  return new TextDecoder().decode(bytes.subarray(offset + 30, offset + 30 + view.getUint16(offset + 26, true)));
+}
+
+async function generate(zip, options) {
+  return new Uint8Array(await new Response(zip.generateZipStream(options)).arrayBuffer());
+}
+
+async function main() {
+  const source = new BrowserZip();
+  await source.addFolder('docs');
+  await source.addFile('docs/a.txt', 'перший запис\n'.repeat(100));
+  await source.addFile('b.bin', new Uint8Array(5000).map((_, i) => i * 7));
+  await source.addFile('c.txt', 'третій');
+  const original = await generate(source, { compression: 'deflate' });
+  source.terminate();
+  const originalDirectory = readCentralDirectory(original);
+  const originalOffsets = new Map(originalDirectory.entries.map(entry => [entry.name, entry.localHeaderOffset]));
+
+  const zip = await BrowserZip.fromExisting(new Blob([original]));
+  zip.remove('b.bin');
+  await zip.addFile('new/d.txt', 'новий запис');
+  await zip.addFile('e.bin', new Blob([new Uint8Array(3000).fill(1)]));
+  const appended = await generate(zip, { compression: 'store' });
+  zip.terminate();
+  const directory = readCentralDirectory(appended);
+
+  const prefix = appended.subarray(0, originalDirectory.offset);
+  check('старі локальні заголовки та дані записано без змін',
+    prefix.length === originalDirectory.offset && prefix.every((byte, i) => byte === original[i]));
+
+  const names = directory.entries.map(entry => entry.name);
+  check('центральний каталог містить старі та нові записи без видаленого',
+    names.join(',') === 'docs/,docs/a.txt,c.txt,new/d.txt,e.bin', names.join(','));
+
+  const moved = directory.entries.filter(entry =>
+    originalOffsets.has(entry.name) && originalOffsets.get(entry.name) !== entry.localHeaderOffset);
+  check('зміщення старих записів не змінилися', moved.length === 0, moved.map(entry => entry.name).join(','));
+
+  const added = directory.entries.filter(entry => !originalOffsets.has(entry.name));
+  check('перший новий запис починається одразу після старих даних',
+    added.length > 0 && added[0].localHeaderOffset === originalDirectory.offset,
+    `${added.length && added[0].localHeaderOffset} != ${originalDirectory.offset}`);
+
+  const broken = directory.entries.filter(entry => localHeaderName(appended, entry.localHeaderOffset) !== entry.name);
+  check('усі зміщення каталогу вказують на локальні заголовки своїх записів', broken.length === 0,
+    broken.map(entry => entry.name).join(','));
+
+  const archive = await BrowserZip.open(new Blob([appended]));
+  const texts = await Promise.all(['docs/a.txt', 'c.txt', 'new/d.txt'].map(name => archive.getEntry(name).text()));
+  check('вміст старих і нових записів читається',
+    texts[0] === 'перший запис\n'.repeat(100) && texts[1] === 'третій' && texts[2] === 'новий запис');
+
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
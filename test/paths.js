@@ -0,0 +1,134 @@
+// Перевірка нормалізації імен записів: шляхи, що під час розпакування вийшли б за межі цільової папки
+// (zip-slip), абсолютні шляхи та імена з NUL відхиляються, а допустимі імена приводяться до єдиного вигляду.
+// Запуск: node test/paths.js (Node.js 18+). Код завершення 1 – перевірка не пройшла.
+'use strict';
+
+const BrowserZip = require('../browserzip.js');
+
+// Імена, які не мають потрапити в архів
+const UNSAFE_NAMES = [
+  '../evil.txt',
+  'a/../../evil.txt',
+  'a/b/../../../evil.txt',
+  '..\\evil.txt',
+  'a\\..\\..\\evil.txt',
+  '..',
+  'a/..',
+  '/etc/passwd',
+  '\\Windows\\evil.txt',
+  '//server/share/evil.txt',
+  'C:\\evil.txt',
+  'c:/evil.txt',
+  'C:evil.txt',
+  'evil\0.txt',
+  '',
+  './',
+  '//'
+];
+
+// Допустимі імена та їхній нормалізований вигляд
+const NORMALIZED_NAMES = [
+  ['a\\b\\c.txt', 'a/b/c.txt'],
+  ['./x//y/./z.txt', 'x/y/z.txt'],
+  ['docs/', 'docs/'],
+  ['e\u0301.txt', '\u00e9.txt'], // NFD → NFC
+  ['..a/b..', '..a/b..'], // '..' лише як частина імені – допустимо
+  ['a/...', 'a/...']
+];
+
+let failed = false;
+
+function check(label, condition, details = '') {
+  if (condition) {
+    console.log(`✔ ${label}`);
+  } else {
+    failed = true;
+    console.error(`✘ ${label}${details ? `: ${details}` : ''}`);
+  }
+}
+
+/**
+ * Викликає fn і повертає кинуту помилку (або null).
+ */
+async function catchError(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Імена, для яких fn(name) не кинула помилку.
+ */
+async function acceptedNames(names, fn) {
+  const accepted = [];
+  for (const name of names) {
+    if (!await catchError(() => fn(name))) accepted.push(name);
+  }
+  return accepted;
+}
+
+/**
+ * Імена з центрального каталогу згенерованого архіву.
+ */
+async function archiveNames(zip) {
+  const bytes = new Uint8Array(await new Response(zip.generateZipStream({ compression: 'store' })).arrayBuffer());
+  const archive = await BrowserZip.open(new Blob([bytes]));
+  return archive.entries.map(entry => entry.name);
+}
+
+async function main() {
+  // strict: недопустиме ім'я – помилка
+  const strict = new BrowserZip({ strict: true });
+  const accepted = await acceptedNames(UNSAFE_NAMES, name => strict.addFile(name, 'x'));
+  check('strict: addFile відхиляє небезпечні імена', accepted.length === 0, accepted.map(JSON.stringify).join(', '));
+  const acceptedFolders = await acceptedNames(UNSAFE_NAMES, name => strict.addFolder(name));
+  check('strict: addFolder відхиляє небезпечні імена', acceptedFolders.length === 0,
+    acceptedFolders.map(JSON.stringify).join(', '));
+  await strict.addFile('safe.txt', 'x');
+  const renamed = await acceptedNames(UNSAFE_NAMES, name => strict.rename('safe.txt', name));
+  check('rename відхиляє небезпечні імена', renamed.length === 0 && strict.has('safe.txt'),
+    renamed.map(JSON.stringify).join(', '));
+  strict.terminate();
+
+  // Без strict: попередження, запис ігнорується
+  const lenient = new BrowserZip();
+  const warnings = [];
+  const originalWarn = console.warn;
+  console.warn = (message) => warnings.push(message);
+  try {
+    for (const name of UNSAFE_NAMES) await lenient.addFile(name, 'x');
+  } finally {
+    console.warn = originalWarn;
+  }
+  await lenient.addFile('safe.txt', 'x');
+  check('без strict: небезпечні імена ігноруються з попередженням',
+    warnings.length === UNSAFE_NAMES.length && lenient.entries().length === 1, `попереджень: ${warnings.length}`);
+  const names = await archiveNames(lenient);
+  check('в архіві лише безпечний запис', names.length === 1 && names[0] === 'safe.txt', names.join(','));
+  lenient.terminate();
+
+  // Нормалізація допустимих імен
+  const zip = new BrowserZip({ strict: true });
+  for (const [name] of NORMALIZED_NAMES) {
+    if (name.endsWith('/')) await zip.addFolder(name);
+    else await zip.addFile(name, 'x');
+  }
+  const registered = NORMALIZED_NAMES.map(([, expected]) => zip.has(expected)); // До генерації: вона очищає список
+  const written = await archiveNames(zip);
+  NORMALIZED_NAMES.forEach(([name, expected], i) => {
+    check(`${JSON.stringify(name)} → ${JSON.stringify(expected)}`, registered[i] && written.includes(expected));
+  });
+  check('імена в архіві не містять "\\" та сегментів "." і ".."', written.every(name =>
+    !name.includes('\\') && !name.split('/').some(segment => segment === '.' || segment === '..')), written.join(','));
+  zip.terminate();
+
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
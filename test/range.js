@@ -0,0 +1,99 @@
+// Перевірка createRangeStream: байти будь-якого діапазону [start, end) збігаються з тим самим зрізом
+// повного архіву generateZipStream – зокрема діапазони на межах заголовків, даних, Data Descriptor,
+// центрального каталогу та кінцевих записів.
+// Запуск: node test/range.js (Node.js 18+). Код завершення 1 – перевірка не пройшла.
+'use strict';
+
+const BrowserZip = require('../browserzip.js');
+
+let failed = false;
+
+function check(label, condition, details = '') {
+  if (condition) {
+    console.log(`✔ ${label}`);
+  } else {
+    failed = true;
+    console.error(`✘ ${label}${details ? `: ${details}` : ''}`);
+  }
+}
+
+/**
+ * Детермінований генератор псевдовипадкових чисел для вибору діапазонів.
+ */
+function createRandom(seed) {
+  let x = seed;
+  return (limit) => {
+    x = (Math.imul(x, 1103515245) + 12345) >>> 0;
+    return Math.floor((x / 0x100000000) * limit);
+  };
+}
+
+async function addEntries(zip) {
+  const date = new Date(2023, 4, 5, 6, 7, 8);
+  const binary = new Uint8Array(150000).map((_, i) => (i * 17 + (i >> 9)) & 0xff);
+  await zip.addFolder('dir', { lastModified: date });
+  await zip.addFile('dir/a.txt', 'діапазон\n'.repeat(1000), { lastModified: date });
+  await zip.addFile('blob.bin', new Blob([binary]), { lastModified: date });
+  await zip.addFile('bytes.bin', binary.subarray(0, 5000), { lastModified: date, lastAccessed: date, created: date });
+  await zip.addFile('empty.txt', '', { lastModified: date });
+  await zip.addFile('last.bin', new Blob([binary.subarray(1000, 3000)]), { lastModified: date, mode: 0o644 });
+}
+
+/**
+ * @returns {Promise<Uint8Array>}
+ */
+async function readAll(stream) {
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function equalBytes(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+async function runVariant(label, options) {
+  const zip = new BrowserZip();
+  await addEntries(zip);
+  const size = zip.getArchiveSize(options);
+
+  // Межі структур архіву та випадкові діапазони; createRangeStream не очищає список записів
+  const ranges = [[0, size], [0, 1], [0, 30], [size - 22, size], [size - 1, size], [size, size], [7, 7]];
+  const random = createRandom(42);
+  for (let i = 0; i < 40; i++) {
+    const start = random(size);
+    ranges.push([start, start + 1 + random(Math.min(size - start, i % 2 ? 70 : 100000))]);
+  }
+  const slices = [];
+  for (const [start, end] of ranges) slices.push(await readAll(zip.createRangeStream(start, end, options)));
+  const tail = await readAll(zip.createRangeStream(size - 100, undefined, options));
+
+  const full = await readAll(zip.generateZipStream(options));
+  zip.terminate();
+  check(`${label}: розмір архіву`, full.length === size, `${full.length} != ${size}`);
+  const mismatched = ranges.filter(([start, end], i) => !equalBytes(slices[i], full.subarray(start, end)));
+  check(`${label}: ${ranges.length} діапазонів збігаються зі зрізами архіву`, mismatched.length === 0,
+    mismatched.map(([start, end]) => `[${start}, ${end})`).join(', '));
+  check(`${label}: діапазон без end – до кінця архіву`, equalBytes(tail, full.subarray(size - 100)));
+}
+
+async function main() {
+  await runVariant('store', { compression: 'store' });
+  await runVariant('streaming', { compression: 'store', streaming: true });
+
+  const zip = new BrowserZip();
+  await zip.addFile('a.txt', 'x');
+  let error = null;
+  try {
+    zip.createRangeStream(0, 10, { compression: 'deflate' });
+  } catch (e) {
+    error = e;
+  }
+  check('DEFLATE: діапазон відхиляється', error !== null, 'помилки немає');
+  zip.terminate();
+
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
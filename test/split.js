@@ -0,0 +1,155 @@
+// Перевірка розділеного архіву (generateSplitZip): імена та розміри частин, сигнатура першої частини,
+// заголовки, що не розриваються між частинами, номери частин і зміщення в центральному каталозі та EOCD,
+// а також вміст записів, прочитаний за цими номерами та зміщеннями.
+// Запуск: node test/split.js (Node.js 18+). Код завершення 1 – перевірка не пройшла.
+'use strict';
+
+const zlib = require('zlib');
+const BrowserZip = require('../browserzip.js');
+
+const PART_SIZE = 64 * 1024;
+
+let failed = false;
+
+function check(label, condition, details = '') {
+  if (condition) {
+    console.log(`✔ ${label}`);
+  } else {
+    failed = true;
+    console.error(`✘ ${label}${details ? `: ${details}` : ''}`);
+  }
+}
+
+function createBytes(length, seed) {
+  const bytes = new Uint8Array(length);
+  let x = seed;
+  for (let i = 0; i < length; i++) {
+    x = (Math.imul(x, 1103515245) + 12345) >>> 0;
+    bytes[i] = x >>> 24;
+  }
+  return bytes;
+}
+
+/**
+ * Вхідні записи: нестисні дані (займають кілька частин), стиснений текст, дрібні файли та папка.
+ */
+function createInputs() {
+  const inputs = new Map();
+  inputs.set('random.bin', createBytes(200000, 7));
+  inputs.set('text.txt', Buffer.from('рядок тексту для стиснення\n'.repeat(20000)));
+  for (let i = 0; i < 40; i++) inputs.set(`small/${String(i).padStart(2, '0')}.txt`, Buffer.from(`файл ${i}\n`.repeat(i * 50)));
+  inputs.set('tail.bin', createBytes(70000, 11));
+  return inputs;
+}
+
+async function main() {
+  const inputs = createInputs();
+  const zip = new BrowserZip();
+  await zip.addFolder('small');
+  for (const [name, content] of inputs) {
+    const deflate = name === 'text.txt';
+    await zip.addFile(name, deflate ? new Blob([content]) : content, { compression: deflate ? 'deflate' : 'store' });
+  }
+  const parts = [];
+  for await (const part of zip.generateSplitZip({ partSize: PART_SIZE, fileName: 'test.zip' })) {
+    parts.push({ ...part, bytes: Buffer.from(await part.blob.arrayBuffer()) });
+  }
+  zip.terminate();
+
+  // Імена, номери та розміри частин
+  const expectedNames = parts.map((_, i) => i === parts.length - 1 ? 'test.zip' : `test.z${String(i + 1).padStart(2, '0')}`);
+  check(`імена частин (${parts.length})`, parts.length > 3 && parts.every((part, i) => part.name === expectedNames[i]),
+    parts.map(part => part.name).join(','));
+  check('index і isLast', parts.every((part, i) => part.index === i && part.isLast === (i === parts.length - 1)));
+  const oversized = parts.filter(part => part.bytes.length > PART_SIZE);
+  check('жодна частина не перевищує partSize', oversized.length === 0, oversized.map(part => part.name).join(','));
+  check('перша частина починається сигнатурою 0x08074b50', parts[0].bytes.readUInt32LE(0) === 0x08074b50);
+
+  // Зміщення частини в об'єднаних байтах: заголовки шукаються за (номер частини, зміщення в частині)
+  const bases = [];
+  parts.reduce((offset, part) => { bases.push(offset); return offset + part.bytes.length; }, 0);
+  const all = Buffer.concat(parts.map(part => part.bytes));
+  const partOf = (globalOffset) => bases.findLastIndex(base => base <= globalOffset);
+  const withinOnePart = (globalOffset, length) => partOf(globalOffset) === partOf(globalOffset + length - 1);
+
+  // EOCD – наприкінці останньої частини
+  const last = parts[parts.length - 1].bytes;
+  let eocd = last.length - 22;
+  while (eocd >= 0 && last.readUInt32LE(eocd) !== 0x06054b50) eocd--;
+  const eocdDisk = last.readUInt16LE(eocd + 4);
+  const centralDirectoryDisk = last.readUInt16LE(eocd + 6);
+  const entriesOnDisk = last.readUInt16LE(eocd + 8);
+  const totalEntries = last.readUInt16LE(eocd + 10);
+  const centralDirectoryOffset = last.readUInt32LE(eocd + 16);
+  check('EOCD: номер частини дорівнює номеру останньої частини', eocdDisk === parts.length - 1, `${eocdDisk}`);
+  check('EOCD: кількість записів', totalEntries === inputs.size + 1, `${totalEntries}`);
+
+  // Центральний каталог: записи не розриваються між частинами
+  const records = [];
+  let pos = bases[centralDirectoryDisk] + centralDirectoryOffset;
+  for (let i = 0; i < totalEntries; i++) {
+    const nameLength = all.readUInt16LE(pos + 28);
+    const length = 46 + nameLength + all.readUInt16LE(pos + 30) + all.readUInt16LE(pos + 32);
+    records.push({
+      name: all.toString('utf8', pos + 46, pos + 46 + nameLength),
+      flags: all.readUInt16LE(pos + 8),
+      method: all.readUInt16LE(pos + 10),
+      compressedSize: all.readUInt32LE(pos + 20),
+      disk: all.readUInt16LE(pos + 34),
+      offset: all.readUInt32LE(pos + 42),
+      headerPart: partOf(pos),
+      split: !withinOnePart(pos, length) || all.readUInt32LE(pos) !== 0x02014b50
+    });
+    pos += length;
+  }
+  check('записи центрального каталогу цілі й не розриваються між частинами', records.every(record => !record.split));
+  check('EOCD: кількість записів каталогу в останній частині',
+    entriesOnDisk === records.filter(record => record.headerPart === parts.length - 1).length, `${entriesOnDisk}`);
+  check('EOCD: частина початку центрального каталогу', records[0].headerPart === centralDirectoryDisk);
+  check('записи розкидано по кількох частинах', new Set(records.map(record => record.disk)).size > 2);
+
+  // Локальні заголовки за номером частини та зміщенням з каталогу
+  const problems = [];
+  for (const record of records) {
+    const local = bases[record.disk] + record.offset;
+    if (record.disk >= parts.length || record.offset >= parts[record.disk].bytes.length ||
+        all.readUInt32LE(local) !== 0x04034b50) {
+      problems.push(`${record.name}: немає локального заголовку`);
+      continue;
+    }
+    const headerLength = 30 + all.readUInt16LE(local + 26) + all.readUInt16LE(local + 28);
+    const localName = all.toString('utf8', local + 30, local + 30 + all.readUInt16LE(local + 26));
+    if (localName !== record.name) problems.push(`${record.name}: ім'я в локальному заголовку "${localName}"`);
+    if (!withinOnePart(local, headerLength)) problems.push(`${record.name}: локальний заголовок розірвано`);
+    const dataStart = local + headerLength;
+    const data = all.subarray(dataStart, dataStart + record.compressedSize);
+    if (record.flags & 0x0008) {
+      // Data Descriptor з сигнатурою: 16 байтів (або 24 для Zip64)
+      const descriptorLength = all.readUInt32LE(dataStart + record.compressedSize) === 0x08074b50 ? 16 : 0;
+      if (!descriptorLength || !withinOnePart(dataStart + record.compressedSize, descriptorLength)) {
+        problems.push(`${record.name}: Data Descriptor відсутній або розірваний`);
+      }
+    }
+    if (record.name.endsWith('/')) continue;
+    const content = record.method === 8 ? zlib.inflateRawSync(data) : data;
+    if (!content.equals(Buffer.from(inputs.get(record.name)))) problems.push(`${record.name}: вміст не збігається`);
+  }
+  check('зміщення каталогу вказують на цілі локальні заголовки, дані збігаються', problems.length === 0, problems.join('; '));
+
+  // Архів, що вміщується в одну частину, – звичайний ZIP з маркером PK00
+  const single = new BrowserZip();
+  await single.addFile('a.txt', 'мало даних');
+  const singleParts = [];
+  for await (const part of single.generateSplitZip({ partSize: PART_SIZE })) singleParts.push(part);
+  single.terminate();
+  const singleBytes = Buffer.from(await singleParts[0].blob.arrayBuffer());
+  check('одна частина: archive.zip з маркером PK00', singleParts.length === 1 && singleParts[0].name === 'archive.zip' &&
+    singleBytes.toString('latin1', 0, 4) === 'PK00');
+
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
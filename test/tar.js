@@ -0,0 +1,154 @@
+// Перевірка заголовків TAR (generateTarStream): поля ustar та контрольна сума, розділення довгих імен
+// на prefix/name, розширені заголовки PAX (не-ASCII та задовгі імена, ціль посилання, uid/gid, час до 1970),
+// типи записів, вирівнювання даних і кінець архіву, а також tar.gz з тими самими байтами після розпакування.
+// Запуск: node test/tar.js (Node.js 18+). Код завершення 1 – перевірка не пройшла.
+'use strict';
+
+const zlib = require('zlib');
+const BrowserZip = require('../browserzip.js');
+
+const DATE = new Date(Date.UTC(2024, 2, 4, 5, 6, 7, 890));
+const LONG_PATH = `long/${'a'.repeat(60)}/${'b'.repeat(60)}/file.txt`; // ASCII, 135 байтів
+const LONG_SEGMENT = `x/${'c'.repeat(120)}.txt`;
+const LONG_TARGET = `${'t'.repeat(80)}/${'u'.repeat(80)}`;
+
+let failed = false;
+
+function check(label, condition, details = '') {
+  if (condition) {
+    console.log(`✔ ${label}`);
+  } else {
+    failed = true;
+    console.error(`✘ ${label}${details ? `: ${details}` : ''}`);
+  }
+}
+
+function readString(block, offset, length) {
+  const field = block.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.toString('utf8', 0, end === -1 ? length : end);
+}
+
+function readOctal(block, offset, length) {
+  return parseInt(readString(block, offset, length).trim() || '0', 8);
+}
+
+/**
+ * Розбирає TAR: заголовки ustar, записи PAX (застосовуються до наступного запису) та дані.
+ * @param {Buffer} tar
+ */
+function parseTar(tar) {
+  const entries = [];
+  const problems = [];
+  let pax = null;
+  let offset = 0;
+  while (offset + 512 <= tar.length) {
+    const block = tar.subarray(offset, offset + 512);
+    if (block.every(byte => byte === 0)) break;
+    const stored = readOctal(block, 148, 8);
+    const checksum = block.reduce((sum, byte, i) => sum + (i >= 148 && i < 156 ? 0x20 : byte), 0);
+    const header = {
+      name: readString(block, 0, 100),
+      mode: readOctal(block, 100, 8),
+      uid: readOctal(block, 108, 8),
+      gid: readOctal(block, 116, 8),
+      size: readOctal(block, 124, 12),
+      mtime: readOctal(block, 136, 12),
+      type: String.fromCharCode(block[156]),
+      linkname: readString(block, 157, 100),
+      prefix: readString(block, 345, 155)
+    };
+    if (stored !== checksum) problems.push(`${header.name}: контрольна сума ${stored} != ${checksum}`);
+    if (block.toString('latin1', 257, 265) !== 'ustar\u000000') problems.push(`${header.name}: magic/version`);
+    const dataStart = offset + 512;
+    const data = tar.subarray(dataStart, dataStart + header.size);
+    offset = dataStart + Math.ceil(header.size / 512) * 512;
+    if (header.type === 'x') {
+      pax = {};
+      for (let pos = 0; pos < data.length;) {
+        const space = data.indexOf(0x20, pos);
+        const length = parseInt(data.toString('utf8', pos, space), 10);
+        const record = data.toString('utf8', space + 1, pos + length - 1);
+        if (data[pos + length - 1] !== 0x0a) problems.push(`${header.name}: довжина запису PAX`);
+        const separator = record.indexOf('=');
+        pax[record.slice(0, separator)] = record.slice(separator + 1);
+        pos += length;
+      }
+      continue;
+    }
+    const path = header.prefix ? `${header.prefix}/${header.name}` : header.name;
+    entries.push({ ...header, path, pax, data,
+      paddingZero: tar.subarray(dataStart + header.size, offset).every(byte => byte === 0) });
+    pax = null;
+  }
+  return { entries, problems, end: offset };
+}
+
+async function addEntries(zip) {
+  await zip.addFolder('dir', { lastModified: DATE, mode: 0o750 });
+  await zip.addFile('dir/file.txt', 'вміст\n'.repeat(100), { lastModified: DATE });
+  await zip.addFile('blob.bin', new Blob([new Uint8Array(1000).fill(7)]), { lastModified: DATE, mode: 0o600, uid: 1000, gid: 100 });
+  await zip.addFile('empty.txt', '', { lastModified: DATE });
+  await zip.addFile(LONG_PATH, 'довгий шлях', { lastModified: DATE });
+  await zip.addFile(LONG_SEGMENT, 'довгий сегмент', { lastModified: DATE });
+  await zip.addFile('файл.txt', 'не-ASCII', { lastModified: DATE });
+  await zip.addFile('ids.txt', 'великі uid/gid', { lastModified: DATE, uid: 0o7777777 + 1, gid: 3000000 });
+  await zip.addFile('old.txt', 'до 1970', { lastModified: new Date(Date.UTC(1960, 0, 1)) });
+  await zip.addSymlink('link', 'dir/file.txt', { lastModified: DATE });
+  await zip.addSymlink('long-link', LONG_TARGET, { lastModified: DATE });
+}
+
+async function main() {
+  const zip = new BrowserZip();
+  await addEntries(zip);
+  const tar = Buffer.from(await new Response(zip.generateTarStream({ clearAfterGenerate: false })).arrayBuffer());
+  const gzipped = Buffer.from(await new Response(zip.generateTarStream({ gzip: true })).arrayBuffer());
+  zip.terminate();
+
+  const { entries, problems, end } = parseTar(tar);
+  check('контрольні суми, magic та записи PAX коректні', problems.length === 0, problems.join('; '));
+  const byPath = new Map(entries.map(entry => [entry.pax && entry.pax.path || entry.path, entry]));
+  check('усі записи на місці', byPath.size === 11, Array.from(byPath.keys()).join(','));
+
+  const mtime = Math.floor(DATE.getTime() / 1000);
+  const dir = byPath.get('dir/');
+  check('папка: тип 5, права, розмір 0', dir && dir.type === '5' && dir.mode === 0o750 && dir.size === 0 && dir.mtime === mtime);
+  const file = byPath.get('dir/file.txt');
+  check('файл: тип 0, права за замовчуванням 0644, дані та час', file && file.type === '0' && file.mode === 0o644 &&
+    file.mtime === mtime && file.data.toString() === 'вміст\n'.repeat(100) && !file.pax);
+  const blob = byPath.get('blob.bin');
+  check('Blob: права, uid/gid, дані доповнено нулями до 512', blob && blob.mode === 0o600 && blob.uid === 1000 &&
+    blob.gid === 100 && blob.size === 1000 && blob.data.every(byte => byte === 7) && blob.paddingZero);
+  check('порожній файл без блоків даних', byPath.get('empty.txt') && byPath.get('empty.txt').size === 0);
+
+  const longPath = byPath.get(LONG_PATH);
+  check('довгий ASCII-шлях розділено на prefix/name без PAX', longPath && !longPath.pax && longPath.prefix.length > 0 &&
+    longPath.name.length <= 100 && longPath.prefix.length <= 155);
+  const longSegment = byPath.get(LONG_SEGMENT);
+  check('задовгий сегмент імені – PAX path', longSegment && longSegment.pax && longSegment.pax.path === LONG_SEGMENT &&
+    longSegment.name.length <= 100);
+  const unicode = byPath.get('файл.txt');
+  check('не-ASCII ім\'я – PAX path та ASCII-наближення в ustar', unicode && unicode.pax && unicode.pax.path === 'файл.txt' &&
+    /^[\x20-\x7e]+$/.test(unicode.name) && unicode.data.toString() === 'не-ASCII');
+  const ids = byPath.get('ids.txt');
+  check('uid/gid понад 0o7777777 – у PAX', ids && ids.pax && ids.pax.uid === String(0o7777777 + 1) &&
+    ids.pax.gid === '3000000' && ids.uid === 0o7777777 && ids.gid === 0o7777777);
+  const old = byPath.get('old.txt');
+  check('час до 1970 – PAX mtime', old && old.pax && Number(old.pax.mtime) === Date.UTC(1960, 0, 1) / 1000 && old.mtime === 0);
+  const link = byPath.get('link');
+  check('посилання: тип 2, linkname, розмір 0', link && link.type === '2' && link.linkname === 'dir/file.txt' &&
+    link.size === 0 && link.mode === 0o777);
+  const longLink = byPath.get('long-link');
+  check('довга ціль посилання – PAX linkpath', longLink && longLink.pax && longLink.pax.linkpath === LONG_TARGET);
+
+  check('архів завершують нульові блоки, розмір кратний 10240', tar.length % 10240 === 0 && tar.length - end >= 1024 &&
+    tar.subarray(end).every(byte => byte === 0), `${tar.length} байтів`);
+  check('tar.gz після розпакування дорівнює TAR', zlib.gunzipSync(gzipped).equals(tar));
+
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});